@@ -2,16 +2,36 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import { connectDB } from "./utils/db.js";
-//import { updateEventsAndMarkets } from "./services/kalshiService.js";
-//import { populateNewsCollection } from "./populate-news-collection.js";
 
 import newsRoutes from "./routes/news.js";
 import eventsRoutes from "./routes/events.js";
+import marketsRoutes from "./routes/markets.js";
+import streamRoutes from "./routes/stream.js";
+import searchRoutes from "./routes/search.js";
+import analyticsRoutes from "./routes/analytics.js";
+import adminRoutes from "./routes/admin.js";
+import authRoutes from "./routes/auth.js";
+import meRoutes from "./routes/me.js";
+import alertsRoutes from "./routes/alerts.js";
+import newsSubscriptionsRoutes from "./routes/newsSubscriptions.js";
+import { attachStreamSocket } from "./services/streamSocket.js";
+import { startScheduler } from "./services/scheduler.js";
+import { migrationStatus } from "./services/migrations.js";
+import { startAlertEvaluation } from "./services/alerts.js";
+import { startWebhookDispatcher } from "./services/webhooks.js";
+import { startNewsSubscriptionDelivery } from "./services/newsSubscriptions.js";
 
 
 dotenv.config();
 const app = express();
 
+//behind a reverse proxy, TRUST_PROXY makes req.ip the client's address (login throttling is keyed on it):
+//a hop count ("1"), "true", or the proxies' addresses/subnets ("loopback, 10.0.0.0/8")
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY.trim();
+  app.set("trust proxy", /^\d+$/.test(trust) ? Number(trust) : trust === "true" ? true : trust === "false" ? false : trust);
+}
+
 // Middleware
 // CORS configuration - allow requests from frontend
 app.use(cors({
@@ -23,26 +43,53 @@ app.use(cors({
     process.env.FRONTEND_URL // Add your production frontend URL here
   ].filter(Boolean), // Remove undefined values
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Next-Cursor'] // pagination cursor for list endpoints
 }));
 app.use(express.json()); // Parse JSON bodies
 
 await connectDB();
 
+//migrations are applied by hand (node scripts/cli.js migrate), just flag any that are missing
+migrationStatus()
+  .then(migrations => {
+    const pending = migrations.filter(m => !m.applied_at).map(m => m.id);
+    if (pending.length) console.warn(`Pending migrations: ${pending.join(", ")} (run: node scripts/cli.js migrate)`);
+  })
+  .catch(err => console.error("Could not check migrations:", err.message));
+
 //routes
 app.use("/api/news", newsRoutes);
 app.use("/api/events", eventsRoutes);
+app.use("/api/markets", marketsRoutes);
+app.use("/api/stream", streamRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/auth", authRoutes);
+app.use("/api/me", meRoutes);
+app.use("/api/alerts", alertsRoutes);
+app.use("/api/news-subscriptions", newsSubscriptionsRoutes);
 
 
 app.get("/", (req, res) => {
   res.send("Kalshi Stream is running");
 });
 
-//run once on startup
-//await updateEventsAndMarkets();
-//await populateNewsCollection(); 
+//with SCHEDULER_ENABLED=true, event sync, news population and thumbnails run on cron schedules (see services/scheduler.js);
+//a Mongo lease per job keeps instances and CLI runs from running the same job at once
+startScheduler();
+
+//alert rules are evaluated on every market price/volume change, news subscriptions get every batch of newly
+//linked articles; webhooks that failed are retried with backoff
+startAlertEvaluation().catch(err => console.error("Could not start alert evaluation:", err.message));
+startNewsSubscriptionDelivery();
+startWebhookDispatcher();
 
 
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+const server = app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// WebSocket stream shares the HTTP server (ws://host/api/stream/ws)
+attachStreamSocket(server);
@@ -0,0 +1,20 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+function digest(value) {
+  return createHash("sha256").update(value).digest();
+}
+
+//admin routes require "Authorization: Bearer <ADMIN_TOKEN>"; they stay closed while ADMIN_TOKEN is unset
+export function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: "Admin API is disabled (ADMIN_TOKEN not set)" });
+  }
+
+  const [scheme, provided] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !provided || !timingSafeEqual(digest(provided), digest(token))) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+
+  next();
+}
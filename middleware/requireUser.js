@@ -0,0 +1,21 @@
+import { userForBearer } from "../services/auth.js";
+
+//"Authorization: Bearer <JWT or API key>"; sets req.user (a plain User document)
+export async function requireUser(req, res, next) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  let user;
+  try {
+    user = await userForBearer(token);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Failed to authenticate" });
+  }
+  if (!user) return res.status(401).json({ error: "Invalid or expired token" });
+
+  req.user = user;
+  next();
+}
@@ -0,0 +1,28 @@
+import { createRateLimiter } from "../utils/rateLimiter.js";
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+//attempts per client IP, and per email address from one IP (so nobody can lock an account
+//by spamming its address from elsewhere), each per 15 minutes; req.ip needs TRUST_PROXY behind a proxy
+const byIp = createRateLimiter({ limit: parseInt(process.env.AUTH_ATTEMPTS_PER_IP || "30"), windowMs: WINDOW_MS });
+const byEmail = createRateLimiter({ limit: parseInt(process.env.AUTH_ATTEMPTS_PER_EMAIL || "10"), windowMs: WINDOW_MS });
+
+function emailKey(req, email) {
+  const normalized = typeof email === "string" ? email.trim().toLowerCase() : "";
+  return normalized && `${normalized}|${req.ip}`;
+}
+
+//throttles login and registration attempts; over the limit -> 429 with Retry-After (seconds)
+export function throttleAuth(req, res, next) {
+  const key = emailKey(req, req.body?.email);
+  const waitMs = Math.max(byIp.hit(req.ip), key ? byEmail.hit(key) : 0);
+  if (!waitMs) return next();
+
+  res.set("Retry-After", String(Math.ceil(waitMs / 1000)));
+  res.status(429).json({ error: "Too many attempts, try again later" });
+}
+
+//a successful login clears the count for its email from that IP
+export function resetAuthThrottle(req, email) {
+  byEmail.reset(emailKey(req, email));
+}
@@ -0,0 +1,28 @@
+// The news scripts stored created_at/updated_at as ISO strings next to
+// Mongoose's createdAt/updatedAt. Fold them into the Mongoose timestamps
+// (earliest createdAt, latest updatedAt) and drop the string copies.
+
+const LEGACY = { $or: [{ created_at: { $exists: true } }, { updated_at: { $exists: true } }] };
+
+const toDate = field => ({ $convert: { input: field, to: "date", onError: null, onNull: null } });
+
+export default {
+  description: "news: merge string created_at/updated_at into createdAt/updatedAt Dates",
+
+  async pending(db) {
+    return { news: await db.collection("news").countDocuments(LEGACY) };
+  },
+
+  async up(db) {
+    const result = await db.collection("news").updateMany(LEGACY, [
+      {
+        $set: {
+          createdAt: { $ifNull: [{ $min: ["$createdAt", toDate("$created_at")] }, "$$NOW"] },
+          updatedAt: { $ifNull: [{ $max: ["$updatedAt", toDate("$updated_at")] }, "$$NOW"] },
+        }
+      },
+      { $unset: ["created_at", "updated_at"] },
+    ]);
+    return { news: result.modifiedCount };
+  },
+};
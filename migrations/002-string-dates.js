@@ -0,0 +1,31 @@
+import { convertStringDates, countStringDates } from "./helpers.js";
+
+// Date fields written as strings (fetched_at and thumbnail_fetched_at by the
+// news scripts, published_at straight from feeds) sort and compare wrongly
+// next to real Dates.
+
+const DATE_FIELDS = {
+  news: ["published_at", "fetched_at", "thumbnail_fetched_at"],
+  events: ["expires_at", "archived_at", "close_time"],
+  markets: ["expires_at", "close_time", "last_trade_at", "archived_at"],
+};
+
+export default {
+  description: "news, events, markets: convert string dates to Dates",
+
+  async pending(db) {
+    const counts = {};
+    for (const [name, fields] of Object.entries(DATE_FIELDS)) {
+      counts[name] = await countStringDates(db.collection(name), fields);
+    }
+    return counts;
+  },
+
+  async up(db) {
+    const modified = {};
+    for (const [name, fields] of Object.entries(DATE_FIELDS)) {
+      modified[name] = await convertStringDates(db.collection(name), fields);
+    }
+    return modified;
+  },
+};
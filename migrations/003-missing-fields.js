@@ -0,0 +1,30 @@
+import { countMissing, fillMissing } from "./helpers.js";
+
+// Documents written before these fields existed lack them, so filters like
+// { archived: false } or { thumbnail_not_found: false } skip them.
+
+const DEFAULTS = {
+  news: { thumbnail_not_found: false, event_ids: [] },
+  events: { archived: false, key_words: [], related_news: [], news_links: [], markets: [] },
+  markets: { archived: false },
+};
+
+export default {
+  description: "news, events, markets: add missing fields with their schema defaults",
+
+  async pending(db) {
+    const counts = {};
+    for (const [name, defaults] of Object.entries(DEFAULTS)) {
+      counts[name] = await countMissing(db.collection(name), defaults);
+    }
+    return counts;
+  },
+
+  async up(db) {
+    const modified = {};
+    for (const [name, defaults] of Object.entries(DEFAULTS)) {
+      modified[name] = await fillMissing(db.collection(name), defaults);
+    }
+    return modified;
+  },
+};
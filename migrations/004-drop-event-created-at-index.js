@@ -0,0 +1,25 @@
+// models/event.js indexed created_at, a field events never had; the index is
+// now on createdAt, so drop the unused one.
+
+const STALE_INDEX = "created_at_-1";
+
+async function hasStaleIndex(db) {
+  const exists = await db.listCollections({ name: "events" }).hasNext();
+  if (!exists) return false;
+  const indexes = await db.collection("events").indexes();
+  return indexes.some(index => index.name === STALE_INDEX);
+}
+
+export default {
+  description: "events: drop the unused created_at index",
+
+  async pending(db) {
+    return { events: (await hasStaleIndex(db)) ? 1 : 0 };
+  },
+
+  async up(db) {
+    if (!(await hasStaleIndex(db))) return { events: 0 };
+    await db.collection("events").dropIndex(STALE_INDEX);
+    return { events: 1 };
+  },
+};
@@ -0,0 +1,28 @@
+// Before failures were classified, every failed thumbnail lookup (timeouts
+// and 403s included) set thumbnail_not_found for good. Give articles looked
+// up in the last week one more, classified, attempt on the next run.
+
+const RECENT_MS = 7 * 24 * 60 * 60 * 1000;
+
+function unclassified() {
+  return {
+    thumbnail_not_found: true,
+    thumbnail_error: { $exists: false },
+    thumbnail_fetched_at: { $gte: new Date(Date.now() - RECENT_MS) },
+  };
+}
+
+export default {
+  description: "news: retry thumbnail failures from the last 7 days that predate failure classification",
+
+  async pending(db) {
+    return { news: await db.collection("news").countDocuments(unclassified()) };
+  },
+
+  async up(db) {
+    const result = await db.collection("news").updateMany(unclassified(), {
+      $set: { thumbnail_not_found: false, thumbnail_retry_at: new Date(), thumbnail_attempts: 1 },
+    });
+    return { news: result.modifiedCount };
+  },
+};
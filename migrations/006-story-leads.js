@@ -0,0 +1,37 @@
+// GET /api/news collapses stories by matching the lead copy each article
+// insert now flags (story_lead, outlet_count). Flag the newest copy of every
+// existing story; articles stored before clustering become their own story.
+
+const BATCH_SIZE = 500;
+
+export default {
+  description: "news: flag the newest copy of each story as its lead, with the story's copy count",
+
+  async pending(db) {
+    return { news: await db.collection("news").countDocuments({ story_lead: { $exists: false } }) };
+  },
+
+  async up(db) {
+    const news = db.collection("news");
+    await news.updateMany({ story_id: null }, [{ $set: { story_id: "$id" } }]);
+    await news.updateMany({}, { $set: { story_lead: false }, $unset: { outlet_count: "" } });
+
+    const stories = news.aggregate([
+      { $project: { story_id: 1, published_at: 1 } },
+      { $sort: { published_at: -1, _id: 1 } },
+      { $group: { _id: "$story_id", lead: { $first: "$_id" }, count: { $sum: 1 } } },
+    ], { allowDiskUse: true });
+
+    let leads = 0;
+    let ops = [];
+    for await (const story of stories) {
+      ops.push({ updateOne: { filter: { _id: story.lead }, update: { $set: { story_lead: true, outlet_count: story.count } } } });
+      if (ops.length === BATCH_SIZE) {
+        leads += (await news.bulkWrite(ops, { ordered: false })).modifiedCount;
+        ops = [];
+      }
+    }
+    if (ops.length) leads += (await news.bulkWrite(ops, { ordered: false })).modifiedCount;
+    return { news: leads };
+  },
+};
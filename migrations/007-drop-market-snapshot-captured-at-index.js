@@ -0,0 +1,26 @@
+// models/marketSnapshot.js now expires snapshots through a TTL index on
+// captured_at (ascending), which also serves the movers queries the old
+// descending index was for, so drop that one.
+
+const STALE_INDEX = "captured_at_-1";
+
+async function hasStaleIndex(db) {
+  const exists = await db.listCollections({ name: "marketsnapshots" }).hasNext();
+  if (!exists) return false;
+  const indexes = await db.collection("marketsnapshots").indexes();
+  return indexes.some(index => index.name === STALE_INDEX);
+}
+
+export default {
+  description: "marketsnapshots: drop the captured_at index replaced by the retention TTL index",
+
+  async pending(db) {
+    return { marketsnapshots: (await hasStaleIndex(db)) ? 1 : 0 };
+  },
+
+  async up(db) {
+    if (!(await hasStaleIndex(db))) return { marketsnapshots: 0 };
+    await db.collection("marketsnapshots").dropIndex(STALE_INDEX);
+    return { marketsnapshots: 1 };
+  },
+};
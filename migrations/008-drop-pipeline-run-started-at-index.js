@@ -0,0 +1,26 @@
+// models/pipelineRun.js now expires runs through a TTL index on started_at
+// (ascending), which serves the same queries as the old descending index, so
+// drop that one.
+
+const STALE_INDEX = "started_at_-1";
+
+async function hasStaleIndex(db) {
+  const exists = await db.listCollections({ name: "pipelineruns" }).hasNext();
+  if (!exists) return false;
+  const indexes = await db.collection("pipelineruns").indexes();
+  return indexes.some(index => index.name === STALE_INDEX);
+}
+
+export default {
+  description: "pipelineruns: drop the started_at index replaced by the retention TTL index",
+
+  async pending(db) {
+    return { pipelineruns: (await hasStaleIndex(db)) ? 1 : 0 };
+  },
+
+  async up(db) {
+    if (!(await hasStaleIndex(db))) return { pipelineruns: 0 };
+    await db.collection("pipelineruns").dropIndex(STALE_INDEX);
+    return { pipelineruns: 1 };
+  },
+};
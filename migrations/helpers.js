@@ -0,0 +1,64 @@
+// Shared steps for migrations. Every helper only touches documents that still
+// need the change, so a migration interrupted half-way can simply run again.
+
+const BATCH_SIZE = 500;
+
+//string-typed values of the given fields
+function stringDateFilter(fields) {
+  return { $or: fields.map(f => ({ [f]: { $type: "string" } })) };
+}
+
+export function countStringDates(collection, fields) {
+  return collection.countDocuments(stringDateFilter(fields));
+}
+
+/**
+ * Rewrite string dates as BSON Dates. Parsed in JS rather than with $toDate
+ * because RSS dates ("Tue, 21 Oct 2025 14:00:00 GMT") aren't ISO strings;
+ * values that don't parse at all are removed.
+ */
+export async function convertStringDates(collection, fields) {
+  let modified = 0;
+  let ops = [];
+  const flush = async () => {
+    if (!ops.length) return;
+    const result = await collection.bulkWrite(ops, { ordered: false });
+    modified += result.modifiedCount;
+    ops = [];
+  };
+
+  const projection = Object.fromEntries(fields.map(f => [f, 1]));
+  for await (const doc of collection.find(stringDateFilter(fields), { projection })) {
+    const $set = {};
+    const $unset = {};
+    for (const field of fields) {
+      if (typeof doc[field] !== "string") continue;
+      const date = new Date(doc[field]);
+      if (isNaN(date)) $unset[field] = "";
+      else $set[field] = date;
+    }
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+    ops.push({ updateOne: { filter: { _id: doc._id }, update } });
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return modified;
+}
+
+//documents missing any of the fields
+export function countMissing(collection, defaults) {
+  return collection.countDocuments({ $or: Object.keys(defaults).map(f => ({ [f]: { $exists: false } })) });
+}
+
+//set each missing field to its default; returns documents changed per field
+export async function fillMissing(collection, defaults) {
+  const modified = {};
+  for (const [field, value] of Object.entries(defaults)) {
+    const result = await collection.updateMany({ [field]: { $exists: false } }, { $set: { [field]: value } });
+    modified[field] = result.modifiedCount;
+  }
+  return modified;
+}
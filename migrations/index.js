@@ -0,0 +1,20 @@
+// Applied in this order; never reorder or renumber, only append.
+import newsTimestamps from "./001-news-timestamps.js";
+import stringDates from "./002-string-dates.js";
+import missingFields from "./003-missing-fields.js";
+import dropEventCreatedAtIndex from "./004-drop-event-created-at-index.js";
+import retryUnclassifiedThumbnailFailures from "./005-retry-unclassified-thumbnail-failures.js";
+import storyLeads from "./006-story-leads.js";
+import dropMarketSnapshotCapturedAtIndex from "./007-drop-market-snapshot-captured-at-index.js";
+import dropPipelineRunStartedAtIndex from "./008-drop-pipeline-run-started-at-index.js";
+
+export const MIGRATIONS = [
+  { id: "001-news-timestamps", ...newsTimestamps },
+  { id: "002-string-dates", ...stringDates },
+  { id: "003-missing-fields", ...missingFields },
+  { id: "004-drop-event-created-at-index", ...dropEventCreatedAtIndex },
+  { id: "005-retry-unclassified-thumbnail-failures", ...retryUnclassifiedThumbnailFailures },
+  { id: "006-story-leads", ...storyLeads },
+  { id: "007-drop-market-snapshot-captured-at-index", ...dropMarketSnapshotCapturedAtIndex },
+  { id: "008-drop-pipeline-run-started-at-index", ...dropPipelineRunStartedAtIndex },
+];
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+//a user's alert on one market, evaluated on every price/volume change (services/alerts.js)
+const alertRuleSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  market_ticker: { type: String, required: true },
+  event_ticker: String,
+  type: { type: String, enum: ["price_cross", "price_move", "volume_spike"], required: true },
+  //price_cross: yes price crosses threshold (cents) going "above" or "below"
+  threshold: Number,
+  //price_cross: above | below; price_move: up | down | either
+  direction: String,
+  //price_move: yes price moved at least `points` cents within `window`
+  points: Number,
+  window: String, //duration like "1h" (price_move, volume_spike)
+  //volume_spike: volume traded within `window` is at least `multiplier` times the usual for that long, judged over `baseline`
+  multiplier: Number,
+  baseline: String, //duration like "24h"
+  min_volume: Number, //ignore spikes smaller than this many contracts
+  cooldown: { type: String, default: "1h" }, //minimum time between two triggers
+  webhook: {
+    url: String,
+    secret: { type: String, select: false }, //HMAC key for the X-Webhook-Signature header
+  },
+  active: { type: Boolean, default: true },
+  last_triggered_at: Date,
+  trigger_count: { type: Number, default: 0 },
+}, { timestamps: true });
+
+alertRuleSchema.index({ market_ticker: 1, active: 1 });
+alertRuleSchema.index({ user: 1, createdAt: -1 });
+export default mongoose.model("AlertRule", alertRuleSchema);
@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+//long-lived credential for scripts and integrations; only a hash of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  name: String,
+  prefix: String, //first characters of the key, to tell keys apart in listings
+  key_hash: { type: String, required: true, unique: true }, //sha256 of the key
+  last_used_at: Date,
+}, { timestamps: true });
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+export default mongoose.model("ApiKey", apiKeySchema);
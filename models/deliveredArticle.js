@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+//an article already sent to a news subscription; the unique index is what keeps it from being sent twice
+const deliveredArticleSchema = new mongoose.Schema({
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: "NewsSubscription", required: true },
+  article_id: { type: String, required: true }, //News.id (hash of the normalized URL)
+  delivery: { type: mongoose.Schema.Types.ObjectId, ref: "WebhookDelivery" },
+  delivered_at: Date,
+});
+
+deliveredArticleSchema.index({ subscription: 1, article_id: 1 }, { unique: true });
+export default mongoose.model("DeliveredArticle", deliveredArticleSchema);
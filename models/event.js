@@ -7,11 +7,28 @@ const eventSchema = new mongoose.Schema({
   sub_title: String,
   expires_at: Date,
   status: String,
+  //archive: set once the event is past expires_at instead of deleting it
+  archived: { type: Boolean, default: false },
+  archived_at: Date,
+  close_time: Date, //latest market close time reported by Kalshi
   //markets
   key_words: [{ type: String }],
   related_news: [{ type: mongoose.Schema.Types.ObjectId, ref: "News" }], //related news is object id
+  //relevance score of each related_news link, written by the news pipeline
+  news_links: [{
+    _id: false,
+    news: { type: mongoose.Schema.Types.ObjectId, ref: "News" },
+    score: Number,
+    linked_at: Date,
+  }],
   markets: [{ type: mongoose.Schema.Types.ObjectId, ref: "Market" }] //markets
 }, { timestamps: true });
 
-eventSchema.index({ created_at: -1 });
+eventSchema.index({ createdAt: -1 });
+eventSchema.index({ related_news: 1 });
+eventSchema.index({ archived: 1, expires_at: 1 });
+eventSchema.index(
+  { title: "text", sub_title: "text", key_words: "text" },
+  { weights: { title: 10, sub_title: 5, key_words: 3 }, name: "event_text" }
+);
 export default mongoose.model("Event", eventSchema);
@@ -0,0 +1,10 @@
+import mongoose from "mongoose";
+
+//lease held by the process (server instance or CLI run) currently running a job
+const jobLeaseSchema = new mongoose.Schema({
+  job: { type: String, unique: true },
+  owner: String, //hostname:pid:random of the holding process
+  expires_at: Date, //renewed while the job runs; anyone may take it over once passed
+}, { timestamps: true });
+
+export default mongoose.model("JobLease", jobLeaseSchema);
@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+//one execution of a scheduled job
+const jobRunSchema = new mongoose.Schema({
+  job: String,
+  owner: String,
+  trigger: { type: String, enum: ["schedule", "manual"] },
+  status: { type: String, enum: ["running", "succeeded", "failed"], default: "running" },
+  started_at: Date,
+  finished_at: Date,
+  duration_ms: Number,
+  result: mongoose.Schema.Types.Mixed, //whatever the job returned (counts etc.)
+  error: String,
+});
+
+jobRunSchema.index({ job: 1, started_at: -1 });
+
+export default mongoose.model("JobRun", jobRunSchema);
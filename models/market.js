@@ -10,8 +10,22 @@ const marketSchema = new mongoose.Schema({
   yes_price: Number,
   no_price: Number,
   volume: Number,
+  last_price: Number, //latest trade price from the WebSocket stream
+  last_trade_at: Date,
   expires_at: Date,
+  close_time: Date,
+  //settlement, filled in from Kalshi after the market resolves
+  result: String, //"yes" | "no" | "" while undetermined
+  settlement_value: Number, //cents paid per YES contract
+  archived: { type: Boolean, default: false },
+  archived_at: Date,
 }, { timestamps: true });
 
 marketSchema.index({ createdAt: -1 });
+marketSchema.index({ archived: 1, expires_at: 1 });
+marketSchema.index({ event_ticker: 1 });
+marketSchema.index(
+  { name: "text", yes_sub_title: "text" },
+  { weights: { name: 10, yes_sub_title: 5 }, name: "market_text" }
+);
 export default mongoose.model("Market", marketSchema);
\ No newline at end of file
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+//snapshots older than this are removed by MongoDB; changing it on an existing
+//database needs a collMod on the captured_at_1 index (the index isn't rebuilt)
+const RETENTION_DAYS = parseInt(process.env.MARKET_SNAPSHOT_RETENTION_DAYS || "90");
+
+//point-in-time copy of a market's prices, appended on every sync
+const marketSnapshotSchema = new mongoose.Schema({
+  market_ticker: { type: String, required: true },
+  event_ticker: String,
+  yes_price: Number,
+  no_price: Number,
+  volume: Number,
+  captured_at: { type: Date, default: Date.now },
+});
+
+marketSnapshotSchema.index({ market_ticker: 1, captured_at: -1 });
+//one sync's snapshots across markets, for movers; also expires old snapshots
+marketSnapshotSchema.index({ captured_at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+export default mongoose.model("MarketSnapshot", marketSnapshotSchema);
@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+//a data migration from migrations/ that has been applied to this database
+const migrationSchema = new mongoose.Schema({
+  id: { type: String, unique: true }, //file name without .js, e.g. "001-news-timestamps"
+  description: String,
+  applied_at: Date,
+  duration_ms: Number,
+  result: mongoose.Schema.Types.Mixed, //documents changed, per collection
+});
+
+export default mongoose.model("Migration", migrationSchema);
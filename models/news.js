@@ -8,7 +8,42 @@ const newsSchema = new mongoose.Schema({
   source: String,
   snippet: String,
   published_at: Date,
+  fetched_at: Date, //when the news pipeline first fetched it
+  thumbnail: String, //og:image URL found by update-news-thumbnails.js; served resized via /api/news/:id/thumbnail
+  thumbnail_not_found: { type: Boolean, default: false }, //no usable image, or retries used up; skipped by later thumbnail runs
+  thumbnail_fetched_at: Date,
+  thumbnail_domain: String, //publisher host the thumbnail was looked up on
+  thumbnail_attempts: { type: Number, default: 0 }, //failed lookups so far
+  thumbnail_error: { //last failure, see services/thumbnailFailures.js
+    kind: String, //timeout, network, http, blocked, unresolved, no_image, invalid_image
+    status: Number, //HTTP status for http and blocked
+    message: String,
+    at: Date,
+    _id: false,
+  },
+  thumbnail_retry_at: Date, //set while a retryable failure waits for its next attempt
+  story_id: String, //shared by near-duplicate copies of the same story
+  story_lead: { type: Boolean, default: false }, //newest copy of its story, the one GET /api/news shows when collapsing
+  outlet_count: Number, //on the lead: copies in the story
+  minhash: { type: [Number], select: false }, //near-duplicate fingerprint, see services/storyClustering.js
+  minhash_bands: { type: [String], select: false },
+  provider: String, //news source adapter that first found the article (e.g. "google-news")
+  query: String, //search query that found it
+  query_strategy: String, //which generateSearchQueries strategy produced that query
   event_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: "Event" }]
 }, { timestamps: true });
 
+newsSchema.index({ canonical_url: 1 });
+newsSchema.index({ event_ids: 1 });
+newsSchema.index({ createdAt: -1 });
+newsSchema.index({ thumbnail_retry_at: 1 }, { sparse: true });
+newsSchema.index({ thumbnail_domain: 1, thumbnail_fetched_at: -1 }, { sparse: true });
+newsSchema.index({ story_id: 1 });
+newsSchema.index({ story_lead: 1, published_at: -1, _id: 1 });
+newsSchema.index({ minhash_bands: 1 });
+newsSchema.index(
+  { title: "text", snippet: "text" },
+  { weights: { title: 10, snippet: 3 }, name: "news_text" }
+);
+
 export default mongoose.model("News", newsSchema);
\ No newline at end of file
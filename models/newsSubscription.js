@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+//webhook for news newly linked to events matching an event ticker, a category or a keyword (services/newsSubscriptions.js)
+const newsSubscriptionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  name: String,
+  type: { type: String, enum: ["event", "category", "keyword"], required: true },
+  value: { type: String, required: true }, //event_ticker, category name or keyword
+  webhook: {
+    url: String,
+    secret: { type: String, select: false }, //HMAC key for the X-Webhook-Signature header
+  },
+  active: { type: Boolean, default: true },
+  last_delivered_at: Date,
+  delivered_articles: { type: Number, default: 0 },
+}, { timestamps: true });
+
+newsSubscriptionSchema.index({ type: 1, value: 1, active: 1 });
+newsSubscriptionSchema.index({ user: 1, createdAt: -1 });
+export default mongoose.model("NewsSubscription", newsSubscriptionSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+//runs older than this are removed by MongoDB (TTL on started_at)
+const RETENTION_DAYS = parseInt(process.env.PIPELINE_RUN_RETENTION_DAYS || "90");
+
+//structured summary of one pipeline run (event sync, news population, thumbnails)
+//written by services/pipelineTelemetry.js however the pipeline was started
+const pipelineRunSchema = new mongoose.Schema({
+  pipeline: { type: String, required: true },
+  status: { type: String, enum: ["succeeded", "failed"] },
+  started_at: Date,
+  finished_at: Date,
+  duration_ms: Number,
+  stages: [{ _id: false, name: String, duration_ms: Number }], //wall time per stage, in run order
+  counters: { type: Map, of: Number },
+  sources: [{ //one entry per news source / query strategy pair
+    _id: false,
+    source: String,
+    strategy: String,
+    queries: Number,
+    results: Number,
+    zero_results: Number, //queries that returned nothing
+    failed: Number, //queries that threw
+    duration_ms: Number,
+  }],
+  failures: [{ _id: false, event_ticker: String, stage: String, message: String }], //per-event / per-item errors
+  failures_truncated: Number, //failures beyond the stored limit
+  error: String, //fatal error that ended the run
+});
+
+pipelineRunSchema.index({ pipeline: 1, started_at: -1 });
+pipelineRunSchema.index({ started_at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model("PipelineRun", pipelineRunSchema);
@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+//progress of a paged sync so an aborted run can resume from its last good page
+const syncStateSchema = new mongoose.Schema({
+  key: { type: String, unique: true },
+  cursor: String, //cursor for the next page; null once a run completes
+  events_seen: { type: Number, default: 0 },
+  started_at: Date,
+  last_error: String,
+}, { timestamps: true });
+
+export default mongoose.model("SyncState", syncStateSchema);
@@ -0,0 +1,9 @@
+import mongoose from "mongoose";
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: String,
+  password_hash: { type: String, select: false }, //"scrypt$<salt>$<hash>", see services/auth.js
+}, { timestamps: true });
+
+export default mongoose.model("User", userSchema);
@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+//an event or market a user follows
+const watchlistItemSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  type: { type: String, enum: ["event", "market"], required: true },
+  ticker: { type: String, required: true }, //event_ticker or market_ticker
+  event_ticker: String, //event of a followed market (same as ticker for events)
+}, { timestamps: true });
+
+watchlistItemSchema.index({ user: 1, type: 1, ticker: 1 }, { unique: true });
+watchlistItemSchema.index({ user: 1, createdAt: -1 });
+export default mongoose.model("WatchlistItem", watchlistItemSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+//one webhook POST and its attempts; pending deliveries double as the retry queue (services/webhooks.js)
+const webhookDeliverySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  source: { //what produced it, e.g. { kind: "alert", id: <AlertRule _id> }
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId,
+    _id: false,
+  },
+  event: String, //"alert.triggered", "alert.test", ...
+  url: String,
+  secret: { type: String, select: false }, //signing secret at the time it was queued
+  payload: mongoose.Schema.Types.Mixed,
+  status: { type: String, enum: ["pending", "delivered", "failed"], default: "pending" },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: Date, //while pending
+  locked_until: Date, //claimed by a sender until then
+  delivered_at: Date,
+  last_error: String,
+  log: [{
+    _id: false,
+    at: Date,
+    status_code: Number,
+    error: String,
+    duration_ms: Number,
+  }],
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ "source.kind": 1, "source.id": 1, createdAt: -1 });
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -2,23 +2,40 @@
  * Standalone Script: Populate News Collection from Events
  * 
  * This script:
- * 1. Reads events from MongoDB (uses existing `key_words` array)
- * 2. Fetches news from Google News RSS using those keywords
- * 3. Stores news in a separate "news" collection
- * 4. Updates events' `related_news` array with ObjectIds
+ * 1. Reads events from MongoDB (those with a `key_words` array)
+ * 2. Builds search queries for each event (phrase, title, keyword, threshold and
+ *    category strategies) and fetches news for all of them from the configured
+ *    sources (config/news-sources.json: Google News RSS, per-category RSS/Atom feeds, JSON APIs)
+ * 3. Scores each article's relevance to the event and drops weak matches
+ *    (NEWS_MIN_RELEVANCE, default 0.15)
+ * 4. Stores news in a separate "news" collection
+ * 5. Updates events' `related_news` array with ObjectIds and `news_links` with scores
  * 
  * Usage:
  *   - Make sure .env file has MONGO_URI set
  *   - Run: node populate-news-collection.js
+ *   - Or: node scripts/cli.js sync-news [--event TICKER] [--category NAME] [--since 7d] [--dry-run]
  * 
  * Requirements:
- *   npm install mongodb rss-parser dotenv
+ *   npm install mongodb rss-parser dotenv axios
  */
 
-import { MongoClient, ObjectId } from 'mongodb';
-import Parser from 'rss-parser';
 import { createHash } from 'node:crypto';
 import dotenv from 'dotenv';
+import { pathToFileURL } from 'node:url';
+import { publishNewsLinked } from './services/streamService.js';
+import { buildEventTerms, scoreRelevance } from './services/relevance.js';
+import { loadNewsSources, sourcesForEvent } from './services/newsSources/index.js';
+import { assignStory } from './services/storyClustering.js';
+import { generateSearchQueries } from './services/generic-search-generator.js';
+import { decodeGoogleNewsUrl } from './utils/googleNewsUrl.js';
+import { createRunRecorder, saveRun } from './services/pipelineTelemetry.js';
+import { databaseName, disconnectDB, requireDB } from './utils/db.js';
+import { flushNewsSubscriptions, startNewsSubscriptionDelivery, stopNewsSubscriptionDelivery } from './services/newsSubscriptions.js';
+import { flushWebhooks } from './services/webhooks.js';
+import { addEventToNews, countNews, findNewsByHash, insertNews, refreshStoryLead } from './repositories/newsRepository.js';
+import { countEvents, countEventsWithNews, findEventsForNews, linkNewsToEvent } from './repositories/eventRepository.js';
+import { countMarkets, findMarketNamesForEvent } from './repositories/marketRepository.js';
 
 // Load environment variables
 dotenv.config();
@@ -27,20 +44,15 @@ dotenv.config();
 // CONFIGURATION
 // ============================================================================
 
-const MONGODB_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/test';
-const DB_NAME = process.env.DB_NAME || 'test'; // Match the existing database name
-const EVENTS_COLLECTION = 'events';
-const NEWS_COLLECTION = 'news';
-
-// Google News RSS settings
+// News fetching settings (sources themselves are configured in config/news-sources.json)
 const NEWS_CONFIG = {
-  lang: process.env.NEWS_LANG || 'en-US',
-  region: process.env.NEWS_REGION || 'US',
-  ceid: process.env.NEWS_CEID || 'US:en',
-  maxArticlesPerQuery: 20, // Limit articles per search query
+  maxArticlesPerQuery: 20, // Limit articles per search query, per source
   days: parseInt(process.env.NEWS_DAYS || '30'), // Only fetch articles from last N days
 };
 
+// Articles scoring below this share of event terms are not linked
+const MIN_RELEVANCE = parseFloat(process.env.NEWS_MIN_RELEVANCE || '0.15');
+
 // Concurrency settings
 const CONCURRENCY_CONFIG = {
   maxConcurrent: parseInt(process.env.MAX_CONCURRENT_EVENTS || '12'), // Max parallel event processing
@@ -59,11 +71,13 @@ function normalizeUrl(u) {
   try {
     const url = new URL(u);
     
-    // If host is news.google.com and has "url=" param, use that param
+    // If host is news.google.com, resolve to the publisher URL:
+    // use the "url=" param if present, else decode the article id offline
+    // (undecodable links stay on news.google.com; the thumbnail job resolves those in a browser)
     if (url.hostname === 'news.google.com') {
-      const urlParam = url.searchParams.get('url');
-      if (urlParam) {
-        return normalizeUrl(urlParam);
+      const publisherUrl = url.searchParams.get('url') || decodeGoogleNewsUrl(u);
+      if (publisherUrl) {
+        return normalizeUrl(publisherUrl);
       }
     }
     
@@ -81,74 +95,70 @@ function normalizeUrl(u) {
   }
 }
 
-function generateSearchQuery(keyWords) {
-  // Join keywords with spaces for Google News search
-  return keyWords.join(' ');
-}
-
 // ============================================================================
 // NEWS FETCHING
 // ============================================================================
 
-async function fetchNewsFromGoogle(query) {
-  const parser = new Parser();
-  const rssUrl = `https://news.google.com/rss/search?q=${encodeURIComponent(query)}&hl=${NEWS_CONFIG.lang}&gl=${NEWS_CONFIG.region}&ceid=${NEWS_CONFIG.ceid}`;
+async function fetchNews(query, sources, run, strategy, cutoffDate) {
+  const articles = [];
+  const seenUrls = new Set();
   
-  console.log(`  📰 Fetching: ${rssUrl}`);
-  
-  try {
-    const feed = await parser.parseURL(rssUrl);
-    const articles = [];
-    const seenUrls = new Set();
-    const cutoffDate = new Date(Date.now() - NEWS_CONFIG.days * 24 * 60 * 60 * 1000);
+  for (const source of sources) {
+    console.log(`  📰 Fetching from ${source.name}: "${query}"`);
     
-    for (const item of feed.items || []) {
-      if (articles.length >= NEWS_CONFIG.maxArticlesPerQuery) break;
+    let items;
+    const started = Date.now();
+    try {
+      items = await source.fetch(query);
+    } catch (error) {
+      console.error(`  ❌ Error fetching news from ${source.name} for query "${query}":`, error.message);
+      run.query({ source: source.name, strategy, results: null, duration_ms: Date.now() - started });
+      continue;
+    }
+    // Raw result counts per source/strategy show when a source starts returning nothing
+    run.query({ source: source.name, strategy, results: items.length, duration_ms: Date.now() - started });
+    
+    let taken = 0;
+    for (const item of items) {
+      if (taken >= NEWS_CONFIG.maxArticlesPerQuery) break;
       
       const canonicalUrl = normalizeUrl(item.link || '');
       const id = sha1(canonicalUrl);
       
-      // Skip duplicates
-      if (seenUrls.has(canonicalUrl)) continue;
+      // Skip duplicates (also across sources)
+      if (!item.link || seenUrls.has(canonicalUrl)) continue;
       seenUrls.add(canonicalUrl);
       
       // Filter by date
-      const publishedAt = item.isoDate ? new Date(item.isoDate) : null;
+      const publishedAt = item.published_at ? new Date(item.published_at) : null;
       if (publishedAt && publishedAt < cutoffDate) continue;
       
       articles.push({
         id,
-        title: item.title || '',
+        title: item.title,
         canonical_url: canonicalUrl,
-        source: item.source || item.creator || item.author,
-        snippet: item.contentSnippet,
-        published_at: item.isoDate,
+        source: item.source,
+        snippet: item.snippet,
+        published_at: item.published_at,
+        provider: source.name, // Which adapter found it
         query,
-        fetched_at: new Date().toISOString(),
+        fetched_at: new Date(),
       });
+      taken++;
     }
-    
-    return articles;
-  } catch (error) {
-    console.error(`  ❌ Error fetching news for query "${query}":`, error);
-    return [];
   }
+  
+  return articles;
 }
 
 // ============================================================================
 // MONGODB OPERATIONS
 // ============================================================================
 
-async function upsertNewsArticle(
-  newsCollection,
-  article,
-  eventId
-) {
+async function upsertNewsArticle(article, eventId) {
   // Try to find existing news by id (SHA1 hash of normalized URL)
   // This is the primary duplicate prevention mechanism
-  const existing = await newsCollection.findOne({ id: article.id });
-  
-  const now = new Date().toISOString();
+  const existing = await findNewsByHash(article.id);
   
   if (existing) {
     // News article already exists - check if event_id is already linked
@@ -161,54 +171,39 @@ async function upsertNewsArticle(
       return { _id: existing._id, isNew: false, wasAlreadyLinked: true };
     }
     
-    // Update existing: add event_id to event_ids array if not present
-    await newsCollection.updateOne(
-      { id: article.id },
-      {
-        $set: {
-          title: article.title, // Update title in case it changed
-          snippet: article.snippet,
-          updated_at: now,
-        },
-        $addToSet: { event_ids: eventId }, // Add event_id if not already present
-      }
-    );
+    // Update existing: add event_id to event_ids array if not present (title may have changed)
+    await addEventToNews(article.id, eventId, { title: article.title, snippet: article.snippet });
     return { _id: existing._id, isNew: false, wasAlreadyLinked: false };
   } else {
-    // Insert new news article - no duplicate found
-    const doc = {
+    // Insert new news article - no duplicate URL found; near-duplicates share a story_id
+    const story = await assignStory(article);
+    const _id = await insertNews({
       id: article.id, // SHA1 hash of canonical_url (unique identifier)
       title: article.title,
       canonical_url: article.canonical_url,
       source: article.source,
       snippet: article.snippet,
       published_at: article.published_at,
+      fetched_at: article.fetched_at,
+      provider: article.provider, // Source adapter and query that first found it
+      query: article.query,
+      query_strategy: article.query_strategy,
+      ...story, // story_id, minhash, minhash_bands
       event_ids: [eventId],
-      created_at: now,
-      updated_at: now,
-    };
-    
-    const result = await newsCollection.insertOne(doc);
-    return { _id: result.insertedId, isNew: true, wasAlreadyLinked: false };
+    });
+    await refreshStoryLead(story.story_id); // the news list shows one lead per story
+    return { _id, isNew: true, wasAlreadyLinked: false };
   }
 }
 
-async function updateEventRelatedNews(
-  eventsCollection,
-  eventId,
-  newsObjectIds
-) {
-  await eventsCollection.updateOne(
-    { _id: eventId },
-    {
-      $addToSet: {
-        related_news: { $each: newsObjectIds } // Add all news ObjectIds, avoiding duplicates
-      },
-      $set: {
-        updatedAt: new Date(),
-      },
-    }
-  );
+// Dry-run counterpart of upsertNewsArticle: same result shape, nothing written
+async function previewNewsArticle(article, eventId) {
+  const existing = await findNewsByHash(article.id);
+  if (!existing) {
+    return { _id: null, isNew: true, wasAlreadyLinked: false };
+  }
+  const isAlreadyLinked = existing.event_ids?.some(id => id.toString() === eventId.toString()) || false;
+  return { _id: existing._id, isNew: false, wasAlreadyLinked: isAlreadyLinked };
 }
 
 // ============================================================================
@@ -216,9 +211,10 @@ async function updateEventRelatedNews(
 // ============================================================================
 
 async function processEvent(
-  eventsCollection,
-  newsCollection,
-  event
+  sources,
+  event,
+  run,
+  { cutoffDate, dryRun }
 ) {
   console.log(`\n📋 Processing: ${event.title}`);
   console.log(`   Event ID: ${event._id}`);
@@ -230,28 +226,60 @@ async function processEvent(
     console.log(`   ℹ️  Event already has ${existingNewsCount} linked news articles`);
   }
   
-  // Generate search query from keywords
-  const searchQuery = generateSearchQuery(event.key_words);
-  console.log(`   Search Query: "${searchQuery}"`);
+  // Market names and sub-titles feed both query generation (thresholds, dates) and relevance scoring
+  const markets = await findMarketNamesForEvent(event.event_ticker);
   
-  // Fetch news
-  const fetchedArticles = await fetchNewsFromGoogle(searchQuery);
-  console.log(`   Found ${fetchedArticles.length} articles from RSS`);
+  // Generate one query per strategy (phrase, cleaned title, keywords, threshold, category)
+  const { strategies } = generateSearchQueries(event, markets);
+  const eventSources = sourcesForEvent(sources, event);
+  
+  // Run every strategy and merge; an article keeps the first query that found it
+  const fetchedArticles = [];
+  const seenIds = new Set();
+  for (const strategy of strategies) {
+    console.log(`   Search Query (${strategy.name}): ${strategy.query}`);
+    const articles = await fetchNews(strategy.query, eventSources, run, strategy.name, cutoffDate);
+    let added = 0;
+    for (const article of articles) {
+      if (seenIds.has(article.id)) continue;
+      seenIds.add(article.id);
+      fetchedArticles.push({ ...article, query_strategy: strategy.name });
+      added++;
+    }
+    console.log(`     → ${articles.length} articles, ${added} not found by earlier queries`);
+  }
+  console.log(`   Found ${fetchedArticles.length} articles from ${eventSources.map(s => s.name).join(', ')}`);
+  run.count('articles_fetched', fetchedArticles.length);
   
   if (fetchedArticles.length === 0) {
     console.log(`   ⚠️  No news found, skipping`);
+    run.count('events_without_news');
     return;
   }
   
+  // Score each article against the event title, sub_title and market names
+  const eventTerms = buildEventTerms(event, markets.flatMap(m => [m.name, m.yes_sub_title]));
+  
   // Store news articles and collect ObjectIds (avoiding duplicates)
   const newsObjectIds = [];
+  const linkedArticles = [];
+  const scores = [];
   let newArticles = 0;
   let existingArticles = 0;
   let skippedDuplicates = 0;
+  let lowRelevance = 0;
   
   for (const article of fetchedArticles) {
+    const relevance = scoreRelevance(article, eventTerms);
+    if (relevance < MIN_RELEVANCE) {
+      lowRelevance++;
+      continue;
+    }
+    
     try {
-      const result = await upsertNewsArticle(newsCollection, article, event._id);
+      const result = dryRun
+        ? await previewNewsArticle(article, event._id)
+        : await upsertNewsArticle(article, event._id);
       
       if (result.wasAlreadyLinked) {
         // Article already linked to this event, skip
@@ -259,7 +287,9 @@ async function processEvent(
         continue;
       }
       
-      newsObjectIds.push(result._id);
+      if (result._id) newsObjectIds.push(result._id);
+      linkedArticles.push(article);
+      scores.push(relevance);
       
       if (result.isNew) {
         newArticles++;
@@ -270,13 +300,15 @@ async function processEvent(
       // If duplicate key error (unique index violation), article already exists
       if (error.code === 11000 || error.codeName === 'DuplicateKey') {
         // Try to find and link existing article
-        const existing = await newsCollection.findOne({ id: article.id });
+        const existing = await findNewsByHash(article.id);
         if (existing) {
           const isAlreadyLinked = existing.event_ids && existing.event_ids.some(
             id => id.toString() === event._id.toString()
           );
           if (!isAlreadyLinked) {
             newsObjectIds.push(existing._id);
+            linkedArticles.push(article);
+            scores.push(relevance);
             existingArticles++;
           } else {
             skippedDuplicates++;
@@ -284,16 +316,48 @@ async function processEvent(
         }
       } else {
         console.error(`   ❌ Error storing article "${article.title}":`, error);
+        run.count('articles_store_errors');
+        run.fail({ event_ticker: event.event_ticker, stage: 'store', message: `${article.canonical_url}: ${error.message}` });
       }
     }
   }
   
+  run.count('articles_new', newArticles);
+  run.count('articles_existing', existingArticles);
+  run.count('articles_already_linked', skippedDuplicates);
+  run.count('articles_low_relevance', lowRelevance);
+  
+  if (dryRun && linkedArticles.length > 0) {
+    run.count('events_linked');
+    console.log(`   🔎 Would link ${linkedArticles.length} news articles (${newArticles} new, ${existingArticles} existing, ${skippedDuplicates} already linked, ${lowRelevance} below relevance ${MIN_RELEVANCE})`);
+    return;
+  }
+  
   // Update event's related_news array (only if we have new links)
   if (newsObjectIds.length > 0) {
-    await updateEventRelatedNews(eventsCollection, event._id, newsObjectIds);
-    console.log(`   ✅ Linked ${newsObjectIds.length} news articles (${newArticles} new, ${existingArticles} existing, ${skippedDuplicates} already linked)`);
+    await linkNewsToEvent(event._id, newsObjectIds, scores);
+    run.count('events_linked');
+    
+    // Notify stream subscribers and news subscription webhooks in this process
+    publishNewsLinked({
+      event_ticker: event.event_ticker,
+      event_title: event.title,
+      category: event.category,
+      articles: linkedArticles.map((a, i) => ({
+        id: a.id,
+        title: a.title,
+        snippet: a.snippet,
+        canonical_url: a.canonical_url,
+        source: a.source,
+        published_at: a.published_at,
+        relevance: scores[i],
+      })),
+    });
+    console.log(`   ✅ Linked ${newsObjectIds.length} news articles (${newArticles} new, ${existingArticles} existing, ${skippedDuplicates} already linked, ${lowRelevance} below relevance ${MIN_RELEVANCE})`);
   } else if (skippedDuplicates > 0) {
     console.log(`   ℹ️  All ${skippedDuplicates} articles were already linked to this event`);
+  } else if (lowRelevance > 0) {
+    console.log(`   ⚠️  All ${lowRelevance} articles scored below relevance ${MIN_RELEVANCE}`);
   }
 }
 
@@ -301,96 +365,51 @@ async function processEvent(
 // MAIN FUNCTION
 // ============================================================================
 
-async function main() {
-  console.log('🚀 Starting News Population Script\n');
-  console.log(`MongoDB URI: ${MONGODB_URI.replace(/\/\/[^:]+:[^@]+@/, '//***:***@')}`); // Hide credentials
-  console.log(`Database: ${DB_NAME}`);
-  console.log(`Events Collection: ${EVENTS_COLLECTION}`);
-  console.log(`News Collection: ${NEWS_COLLECTION}\n`);
+/**
+ * options (all optional; defaults come from the env vars above):
+ *   event       - only this event ticker (archived or not)
+ *   category    - only events in this category
+ *   since       - Date; skip articles published before it (default: NEWS_DAYS ago)
+ *   concurrency - events processed in parallel (default: MAX_CONCURRENT_EVENTS)
+ *   dryRun      - fetch and score, but store and link nothing
+ */
+async function main({ event: eventTicker, category, since, concurrency, dryRun = false } = {}) {
+  console.log(`🚀 Starting News Population Script${dryRun ? ' (dry run, nothing will be written)' : ''}\n`);
+  console.log(`Database: ${databaseName()}\n`);
   
-  const client = new MongoClient(MONGODB_URI);
+  const run = createRunRecorder('sync-news');
+  let fatalError;
   
   try {
-    await client.connect();
-    console.log('✅ Connected to MongoDB\n');
+    const sources = loadNewsSources();
+    console.log(`📡 News sources: ${sources.map(s => `${s.name} (${s.type}${s.categories ? `: ${s.categories.join(', ')}` : ''})`).join(', ')}\n`);
     
-    const db = client.db(DB_NAME);
-    const eventsCollection = db.collection(EVENTS_COLLECTION);
-    const newsCollection = db.collection(NEWS_COLLECTION);
-    
-    // Check if news collection exists
-    const collections = await db.listCollections({ name: NEWS_COLLECTION }).toArray();
-    const collectionExists = collections.length > 0;
-    
-    if (collectionExists) {
-      console.log(`📁 Using existing "${NEWS_COLLECTION}" collection\n`);
-    } else {
-      console.log(`📁 Creating "${NEWS_COLLECTION}" collection (will be created on first insert)\n`);
-    }
-    
-    // Create indexes on news collection for efficient lookups and duplicate prevention
-    // These are safe to run multiple times - MongoDB handles existing indexes gracefully
-    console.log('🔍 Setting up indexes for duplicate prevention...');
-    
-    try {
-      // PRIMARY: Unique index on SHA1 hash - this is the main duplicate prevention
-      await newsCollection.createIndex({ id: 1 }, { unique: true });
-      console.log('✅ Index on "id" field (unique) - prevents duplicate news articles');
-    } catch (error) {
-      // Index already exists or different conflict - that's fine, continue
-      console.log('ℹ️  Index on "id" field already exists');
-    }
-    
-    try {
-      await newsCollection.createIndex({ canonical_url: 1 });
-      console.log('✅ Index on "canonical_url" field');
-    } catch (error) {
-      // Index might already exist - that's fine
-      console.log('ℹ️  Index on "canonical_url" field already exists');
-    }
-    
-    try {
-      await newsCollection.createIndex({ event_ids: 1 }); // For querying news by event
-      console.log('✅ Index on "event_ids" field');
-    } catch (error) {
-      // Index might already exist - that's fine
-      console.log('ℹ️  Index on "event_ids" field already exists');
-    }
-    
-    // Create index on events collection for related_news queries
-    try {
-      await eventsCollection.createIndex({ related_news: 1 });
-      console.log('✅ Index on "related_news" field in events collection\n');
-    } catch (error) {
-      // Index might already exist - that's fine
-      console.log('ℹ️  Index on "related_news" field already exists\n');
-    }
+    // Indexes (unique "id" for duplicate prevention, canonical_url, event_ids, story lookups)
+    // are declared on the models and built by Mongoose on connect
     
     // Debug: Check collection sizes
-    const totalEvents = await eventsCollection.countDocuments();
-    const totalMarkets = await db.collection('markets').countDocuments();
-    const totalNews = await newsCollection.countDocuments();
+    const [totalEvents, totalMarkets, totalNews] = await Promise.all([countEvents(), countMarkets(), countNews()]);
     
     console.log(`📊 Collection sizes:`);
     console.log(`   Events: ${totalEvents}`);
     console.log(`   Markets: ${totalMarkets}`);
     console.log(`   News: ${totalNews}\n`);
     
-    // Fetch all events that have key_words
-    const events = await eventsCollection
-      .find({ key_words: { $exists: true, $ne: [] } })
-      .toArray();
+    // Fetch all live (non-archived) events that have key_words, or just the requested one
+    const events = await findEventsForNews({ event: eventTicker, category });
     
     console.log(`📊 Found ${events.length} events with keywords\n`);
     
     if (events.length === 0) {
       console.log('⚠️  No events found with keywords. Exiting.');
-      return;
+      return { processed: 0, events: 0, failures: 0, dry_run: dryRun };
     }
     
     // Process events concurrently in batches
     let processed = 0;
-    const { maxConcurrent, delayBetweenBatches } = CONCURRENCY_CONFIG;
+    const maxConcurrent = concurrency || CONCURRENCY_CONFIG.maxConcurrent;
+    const { delayBetweenBatches } = CONCURRENCY_CONFIG;
+    const cutoffDate = since || new Date(Date.now() - NEWS_CONFIG.days * 24 * 60 * 60 * 1000);
     
     console.log(`🔄 Processing ${events.length} events with max ${maxConcurrent} concurrent threads\n`);
     
@@ -404,17 +423,20 @@ async function main() {
       // Process batch concurrently
       const batchPromises = batch.map(async (event) => {
         try {
-          await processEvent(eventsCollection, newsCollection, event);
+          await processEvent(sources, event, run, { cutoffDate, dryRun });
           return { success: true, eventId: event._id };
         } catch (error) {
           console.error(`❌ Error processing event ${event._id}:`, error);
+          run.fail({ event_ticker: event.event_ticker, stage: 'event', message: error.message });
           return { success: false, eventId: event._id, error };
         }
       });
       
-      const batchResults = await Promise.all(batchPromises);
+      const batchResults = await run.stage('events', () => Promise.all(batchPromises));
       const successful = batchResults.filter(r => r.success).length;
       processed += successful;
+      run.count('events_processed', successful);
+      run.count('events_failed', batch.length - successful);
       
       console.log(`✅ Batch ${batchNumber} completed: ${successful}/${batch.length} successful\n`);
       
@@ -426,10 +448,7 @@ async function main() {
     }
     
     // Get final counts
-    const newsCount = await newsCollection.countDocuments();
-    const eventsWithNews = await eventsCollection.countDocuments({ 
-      related_news: { $exists: true, $ne: [] } 
-    });
+    const [newsCount, eventsWithNews] = await Promise.all([countNews(), countEventsWithNews()]);
     
     console.log(`\n✨ Completed!`);
     console.log(`   Processed: ${processed}/${events.length} events`);
@@ -440,18 +459,35 @@ async function main() {
     console.log(`   - Unique index on "id" field prevents database duplicates`);
     console.log(`   - URL normalization removes tracking parameters (utm_*, etc.)`);
     console.log(`   - Event linking uses $addToSet to prevent duplicate links`);
+    console.log(`   - Near-duplicate copies of one story share a "story_id" (MinHash on title + snippet)`);
     
+    return { processed, events: events.length, newsCount, eventsWithNews, failures: run.failureCount, dry_run: dryRun };
   } catch (error) {
     console.error('❌ Fatal error:', error);
-    process.exit(1);
+    fatalError = error;
+    throw error;
   } finally {
-    await client.close();
-    console.log('\n👋 Disconnected from MongoDB');
+    if (!dryRun) await saveRun(run.finish(fatalError));
   }
 }
 
-export async function populateNewsCollection() {
-  await main();
+// Expects an open Mongoose connection (the server, the scheduler and scripts/cli.js provide one)
+export async function populateNewsCollection(options) {
+  return main(options);
+}
+
+// Run when executed directly (node populate-news-collection.js); the scheduler imports populateNewsCollection()
+// Like `cli.js sync-news`, linked articles go out to news subscriptions; webhooks that fail here are retried by the server
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startNewsSubscriptionDelivery();
+  requireDB()
+    .then(() => main())
+    .then(() => flushNewsSubscriptions())
+    .then(() => flushWebhooks())
+    .then(() => {
+      stopNewsSubscriptionDelivery();
+      return disconnectDB();
+    }, () => process.exit(1));
 }
 
 
@@ -0,0 +1,39 @@
+import Event from "../models/event.js";
+
+// Event data access shared by the API and the news pipeline.
+
+//events the news pipeline should search for: live events with keywords,
+//or one specific event (archived or not), optionally limited to a category
+export function findEventsForNews({ event, category } = {}) {
+  const query = { key_words: { $exists: true, $ne: [] } };
+  if (event) query.event_ticker = event;
+  else query.archived = { $ne: true };
+  if (category) query.category = category;
+  return Event.find(query).lean();
+}
+
+export function findEventByTicker(eventTicker, projection = { _id: 1 }) {
+  return Event.findOne({ event_ticker: eventTicker }, projection).lean();
+}
+
+//link news articles to an event, with the relevance score of each link
+export function linkNewsToEvent(eventId, newsIds, scores) {
+  const now = new Date();
+  return Event.updateOne(
+    { _id: eventId },
+    {
+      $addToSet: { related_news: { $each: newsIds } },
+      $push: {
+        news_links: { $each: newsIds.map((news, i) => ({ news, score: scores[i], linked_at: now })) }
+      },
+    }
+  );
+}
+
+export function countEvents() {
+  return Event.estimatedDocumentCount();
+}
+
+export function countEventsWithNews() {
+  return Event.countDocuments({ related_news: { $exists: true, $ne: [] } });
+}
@@ -0,0 +1,12 @@
+import Market from "../models/market.js";
+
+// Market data access shared by the API and the news pipeline.
+
+//names and sub-titles of an event's markets, used for query generation and relevance scoring
+export function findMarketNamesForEvent(eventTicker) {
+  return Market.find({ event_ticker: eventTicker }, { name: 1, yes_sub_title: 1 }).lean();
+}
+
+export function countMarkets() {
+  return Market.estimatedDocumentCount();
+}
@@ -0,0 +1,185 @@
+import News from "../models/news.js";
+
+// News data access shared by the API, the news pipeline and the thumbnail job.
+// Articles are keyed by "id", the SHA1 of their normalized URL.
+
+const GOOGLE_PLACEHOLDER = /googleusercontent\.com|gstatic\.com|google\.com\/images/i;
+
+export function findNewsByHash(id, projection = { event_ids: 1 }) {
+  return News.findOne({ id }, projection).lean();
+}
+
+//insert a new article; rejects with code 11000 if another run inserted the same id first
+export async function insertNews(doc) {
+  const created = await News.create(doc);
+  return created._id;
+}
+
+//link an existing article to one more event, refreshing title and snippet
+export function addEventToNews(id, eventId, { title, snippet }) {
+  return News.updateOne(
+    { id },
+    { $set: { title, snippet }, $addToSet: { event_ids: eventId } }
+  );
+}
+
+//articles sharing at least one LSH band with a fingerprint (see services/storyClustering.js)
+export function findStoryCandidates(bands, excludeId, limit) {
+  return News.find({ minhash_bands: { $in: bands }, id: { $ne: excludeId } })
+    .select("id story_id +minhash")
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Mark the newest copy of a story (published_at, then _id, the order of the
+ * news list) as its lead with the story's copy count, and clear the flag on
+ * the others. Recomputed from the stored copies, so concurrent inserts into
+ * one story settle on the same lead.
+ */
+export async function refreshStoryLead(storyId) {
+  const copies = await News.find({ story_id: storyId }, { _id: 1 }).sort({ published_at: -1, _id: 1 }).lean();
+  if (!copies.length) return;
+  const [lead] = copies;
+  await News.updateOne({ _id: lead._id }, { $set: { story_lead: true, outlet_count: copies.length } });
+  await News.updateMany(
+    { story_id: storyId, _id: { $ne: lead._id }, story_lead: { $ne: false } },
+    { $set: { story_lead: false }, $unset: { outlet_count: 1 } }
+  );
+}
+
+export function countNews() {
+  return News.estimatedDocumentCount();
+}
+
+/**
+ * Articles the thumbnail job should (re)try: those with no thumbnail yet or
+ * only a Google placeholder that were either added or updated since the
+ * cutoff and never looked up, or are due a retry after a transient failure
+ * (thumbnail_retry_at, regardless of age). Articles given up on
+ * (thumbnail_not_found) are skipped unless the stored image is a placeholder.
+ */
+export function thumbnailCandidatesFilter({ since, eventId, now = new Date() }) {
+  const placeholder = { thumbnail: { $regex: GOOGLE_PLACEHOLDER } };
+  const recent = {
+    $or: [
+      { createdAt: { $gte: since } },
+      { updatedAt: { $gte: since } },
+      { createdAt: { $exists: false }, updatedAt: { $exists: false }, thumbnail_fetched_at: { $exists: false } },
+    ]
+  };
+
+  const filter = {
+    $and: [
+      {
+        $or: [
+          { thumbnail: { $exists: false } },
+          { thumbnail: null },
+          { thumbnail: "" },
+          placeholder,
+        ]
+      },
+      {
+        $or: [
+          {
+            $and: [
+              recent,
+              { $or: [{ thumbnail_fetched_at: { $exists: false } }, { thumbnail_fetched_at: null }] },
+              { thumbnail_not_found: { $ne: true } },
+            ]
+          },
+          { $and: [recent, placeholder] },
+          { thumbnail_retry_at: { $lte: now }, thumbnail_not_found: { $ne: true } },
+        ]
+      },
+    ]
+  };
+  if (eventId) filter.$and.push({ event_ids: eventId });
+  return filter;
+}
+
+export function countThumbnailCandidates(filter) {
+  return News.countDocuments(filter);
+}
+
+//newest first
+export function findThumbnailCandidates(filter, limit) {
+  return News.find(filter, { title: 1, canonical_url: 1, thumbnail_attempts: 1 })
+    .sort({ createdAt: -1, updatedAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+export function saveThumbnail(newsId, thumbnail, { domain } = {}) {
+  return News.updateOne(
+    { _id: newsId },
+    {
+      $set: { thumbnail, thumbnail_not_found: false, thumbnail_fetched_at: new Date(), thumbnail_domain: domain },
+      $unset: { thumbnail_error: "", thumbnail_retry_at: "" },
+    }
+  );
+}
+
+/**
+ * Record a failed lookup (a ThumbnailFailure from services/thumbnailFailures.js).
+ * With retryAt the article is picked up again then; without it, it is marked
+ * thumbnail_not_found and skipped by later runs. domain is omitted when the
+ * failure wasn't on the publisher page (e.g. the image proxy).
+ */
+export function saveThumbnailFailure(newsId, failure, { retryAt = null, domain } = {}) {
+  const now = new Date();
+  const $set = {
+    thumbnail: null,
+    thumbnail_not_found: !retryAt,
+    thumbnail_fetched_at: now,
+    thumbnail_error: { kind: failure.kind, status: failure.status, message: failure.message?.slice(0, 500), at: now },
+  };
+  if (domain) $set.thumbnail_domain = domain;
+  const update = { $set, $inc: { thumbnail_attempts: 1 } };
+  if (retryAt) $set.thumbnail_retry_at = retryAt;
+  else update.$unset = { thumbnail_retry_at: "" };
+  return News.updateOne({ _id: newsId }, update);
+}
+
+/**
+ * Thumbnail lookup outcomes per publisher domain for articles looked up
+ * since a date: found, failures by kind, waiting for retry and given up,
+ * worst failure rate first. Domains with fewer than minArticles are left out.
+ */
+export async function thumbnailDomainStats({ since, minArticles = 1, limit = 50 }) {
+  const rows = await News.aggregate([
+    { $match: { thumbnail_fetched_at: { $gte: since }, thumbnail_domain: { $type: "string" } } },
+    {
+      $group: {
+        _id: { domain: "$thumbnail_domain", kind: "$thumbnail_error.kind" },
+        articles: { $sum: 1 },
+        found: { $sum: { $cond: [{ $gt: ["$thumbnail", null] }, 1, 0] } },
+        retrying: { $sum: { $cond: [{ $gt: ["$thumbnail_retry_at", null] }, 1, 0] } },
+        given_up: { $sum: { $cond: ["$thumbnail_not_found", 1, 0] } },
+        attempts: { $sum: "$thumbnail_attempts" },
+      }
+    },
+    {
+      $group: {
+        _id: "$_id.domain",
+        articles: { $sum: "$articles" },
+        found: { $sum: "$found" },
+        retrying: { $sum: "$retrying" },
+        given_up: { $sum: "$given_up" },
+        failed_attempts: { $sum: "$attempts" },
+        failures: { $push: { kind: "$_id.kind", count: { $subtract: ["$articles", "$found"] } } },
+      }
+    },
+    { $match: { articles: { $gte: minArticles } } },
+    { $addFields: { failure_rate: { $divide: [{ $subtract: ["$articles", "$found"] }, "$articles"] } } },
+    { $sort: { failure_rate: -1, articles: -1 } },
+    { $limit: limit },
+  ]);
+
+  return rows.map(({ _id, failures, ...row }) => ({
+    domain: _id,
+    ...row,
+    //last failure kind of each article not (yet) found
+    failures: Object.fromEntries(failures.filter(f => f.kind && f.count > 0).map(f => [f.kind, f.count])),
+  }));
+}
@@ -0,0 +1,157 @@
+import express from "express";
+import mongoose from "mongoose";
+import JobRun from "../models/jobRun.js";
+import PipelineRun from "../models/pipelineRun.js";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import { JOB_NAMES, listJobs, triggerJob } from "../services/scheduler.js";
+import { PIPELINES, listRuns, pipelineStatus, runTrends } from "../services/pipelineTelemetry.js";
+import { thumbnailDomainStats } from "../repositories/newsRepository.js";
+import { parseLimit, sendPage } from "../utils/pagination.js";
+import { RESOLUTION_UNITS, parseDuration } from "../utils/time.js";
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+function knownJob(req, res, next) {
+  if (!JOB_NAMES.includes(req.params.name)) {
+    return res.status(404).json({ error: `Unknown job, expected one of: ${JOB_NAMES.join(", ")}` });
+  }
+  next();
+}
+
+//scheduled jobs with their cron schedule, next run, current lease and last run
+router.get("/jobs", async (req, res) => {
+  try {
+    res.json(await listJobs());
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to list jobs" });
+  }
+});
+
+//most recent runs of a job, newest first (?limit=, default 50)
+router.get("/jobs/:name/runs", knownJob, async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  if (limit === null) return res.status(400).json({ error: "limit must be a positive integer" });
+
+  try {
+    const runs = await JobRun.find({ job: req.params.name })
+      .sort({ started_at: -1 })
+      .limit(limit)
+      .lean();
+    res.json(runs);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch job runs" });
+  }
+});
+
+//start a job now; 202 with the new run, 409 if it is already running on any instance
+router.post("/jobs/:name/run", knownJob, async (req, res) => {
+  try {
+    const run = await triggerJob(req.params.name);
+    if (!run) return res.status(409).json({ error: `${req.params.name} is already running` });
+    res.status(202).json(run);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to start job" });
+  }
+});
+
+//last run per pipeline, event sync progress, running jobs and collection sizes (same as `cli.js status`)
+//?since=7d for the run counts
+router.get("/status", async (req, res) => {
+  const since = req.query.since || "7d";
+  const sinceMs = parseDuration(since);
+  if (sinceMs === null) return res.status(400).json({ error: "since must look like 30m, 24h, 7d or 2w" });
+
+  try {
+    res.json(await pipelineStatus({ since: new Date(Date.now() - sinceMs) }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch pipeline status" });
+  }
+});
+
+//pipeline run records (timings, counters, failures, news source query stats), newest first
+//?pipeline=sync-events|sync-news|thumbnails, ?status=succeeded|failed, cursor-paginated via X-Next-Cursor
+router.get("/runs", async (req, res) => {
+  const { pipeline, status } = req.query;
+  if (pipeline && !PIPELINES.includes(pipeline)) {
+    return res.status(400).json({ error: `pipeline must be one of ${PIPELINES.join(", ")}` });
+  }
+  if (status && !["succeeded", "failed"].includes(status)) {
+    return res.status(400).json({ error: "status must be succeeded or failed" });
+  }
+  const limit = parseLimit(req.query.limit);
+  if (limit === null) return res.status(400).json({ error: "limit must be a positive integer" });
+
+  try {
+    const page = await listRuns({ pipeline, status, limit, cursor: req.query.cursor });
+    if (page.error) return res.status(400).json({ error: page.error });
+    sendPage(res, page);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch pipeline runs" });
+  }
+});
+
+//pipeline runs bucketed over time, with per-source zero-result rates
+//?pipeline=, ?since=7d (how far back), ?resolution=1h|1d
+router.get("/runs/trends", async (req, res) => {
+  const { pipeline } = req.query;
+  if (pipeline && !PIPELINES.includes(pipeline)) {
+    return res.status(400).json({ error: `pipeline must be one of ${PIPELINES.join(", ")}` });
+  }
+  const since = req.query.since || "7d";
+  const sinceMs = parseDuration(since);
+  if (sinceMs === null) return res.status(400).json({ error: "since must look like 30m, 24h, 7d or 2w" });
+  const resolution = req.query.resolution || "1d";
+  if (!RESOLUTION_UNITS[resolution]) {
+    return res.status(400).json({ error: `resolution must be one of ${Object.keys(RESOLUTION_UNITS).join(", ")}` });
+  }
+
+  try {
+    const buckets = await runTrends({ pipeline, since: new Date(Date.now() - sinceMs), resolution });
+    res.json({ pipeline: pipeline || null, since, resolution, buckets });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to compute pipeline trends" });
+  }
+});
+
+//thumbnail lookup outcomes per publisher domain, worst failure rate first, to spot publishers needing special handling
+//?since=7d (articles looked up within), ?min_articles=5, ?limit=
+router.get("/thumbnails/domains", async (req, res) => {
+  const since = req.query.since || "7d";
+  const sinceMs = parseDuration(since);
+  if (sinceMs === null) return res.status(400).json({ error: "since must look like 30m, 24h, 7d or 2w" });
+  const minArticles = req.query.min_articles === undefined ? 5 : parseLimit(req.query.min_articles);
+  if (minArticles === null) return res.status(400).json({ error: "min_articles must be a positive integer" });
+  const limit = parseLimit(req.query.limit);
+  if (limit === null) return res.status(400).json({ error: "limit must be a positive integer" });
+
+  try {
+    const domains = await thumbnailDomainStats({ since: new Date(Date.now() - sinceMs), minArticles, limit });
+    res.json({ since, domains });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to compute thumbnail domain stats" });
+  }
+});
+
+router.get("/runs/:id", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid run id" });
+
+  try {
+    const run = await PipelineRun.findById(req.params.id).lean();
+    if (!run) return res.status(404).json({ error: "Run not found" });
+    res.json(run);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch pipeline run" });
+  }
+});
+
+export default router;
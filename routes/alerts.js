@@ -0,0 +1,123 @@
+import express from "express";
+import mongoose from "mongoose";
+import { requireUser } from "../middleware/requireUser.js";
+import {
+  createRule,
+  deleteRule,
+  getRule,
+  listRules,
+  rotateSecret,
+  sendTestAlert,
+  updateRule,
+} from "../services/alerts.js";
+import { listDeliveries } from "../services/webhooks.js";
+import { parseLimit } from "../utils/pagination.js";
+
+const router = express.Router();
+
+router.use(requireUser);
+
+function validId(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid alert rule id" });
+  next();
+}
+
+//the user's alert rules, newest first
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listRules(req.user._id));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to list alert rules" });
+  }
+});
+
+//create a rule on one market:
+//  { market_ticker, type: "price_cross", threshold, direction: "above"|"below", webhook_url }
+//  { market_ticker, type: "price_move", points, window?, direction?: "up"|"down"|"either", webhook_url }
+//  { market_ticker, type: "volume_spike", multiplier?, window?, baseline?, min_volume?, webhook_url }
+//optional cooldown (default "1h"); 201 with the rule and its webhook secret, which is only shown here
+router.post("/", async (req, res) => {
+  try {
+    const result = await createRule(req.user._id, req.body);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ ...result.rule, webhook_secret: result.secret });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to create alert rule" });
+  }
+});
+
+router.get("/:id", validId, async (req, res) => {
+  try {
+    const rule = await getRule(req.user._id, req.params.id);
+    if (!rule) return res.status(404).json({ error: "Alert rule not found" });
+    res.json(rule);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch alert rule" });
+  }
+});
+
+//change any field but market_ticker, e.g. { active: false } or { threshold: 60 }
+router.patch("/:id", validId, async (req, res) => {
+  try {
+    const result = await updateRule(req.user._id, req.params.id, req.body);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.rule);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to update alert rule" });
+  }
+});
+
+router.delete("/:id", validId, async (req, res) => {
+  try {
+    if (!(await deleteRule(req.user._id, req.params.id))) return res.status(404).json({ error: "Alert rule not found" });
+    res.status(204).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to delete alert rule" });
+  }
+});
+
+//replace the webhook signing secret; returns the rule with the new secret
+router.post("/:id/rotate-secret", validId, async (req, res) => {
+  try {
+    const result = await rotateSecret(req.user._id, req.params.id);
+    if (!result) return res.status(404).json({ error: "Alert rule not found" });
+    res.json({ ...result.rule, webhook_secret: result.secret });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to rotate webhook secret" });
+  }
+});
+
+//send an "alert.test" webhook with the market's current prices; 202 with the queued delivery
+router.post("/:id/test", validId, async (req, res) => {
+  try {
+    const delivery = await sendTestAlert(req.user._id, req.params.id);
+    if (!delivery) return res.status(404).json({ error: "Alert rule not found" });
+    res.status(202).json(delivery);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to send test alert" });
+  }
+});
+
+//webhook delivery log of a rule with every attempt, newest first (?limit=, default 50)
+router.get("/:id/deliveries", validId, async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  if (limit === null) return res.status(400).json({ error: "limit must be a positive integer" });
+
+  try {
+    const rule = await getRule(req.user._id, req.params.id);
+    if (!rule) return res.status(404).json({ error: "Alert rule not found" });
+    res.json(await listDeliveries({ kind: "alert", id: rule._id }, limit));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch deliveries" });
+  }
+});
+
+export default router;
@@ -0,0 +1,36 @@
+import express from "express";
+import { computeCalibration } from "../services/analyticsService.js";
+import { parseDuration } from "../utils/time.js";
+
+const router = express.Router();
+
+//calibration of settled markets: predicted probability buckets vs realized frequency,
+//Brier score and log loss overall and per category
+//?category= to restrict, ?horizon=24h (price taken this long before close), ?buckets=10
+router.get("/calibration", async (req, res) => {
+  try {
+    const horizon = req.query.horizon || "24h";
+    const horizonMs = parseDuration(horizon);
+    if (horizonMs === null) {
+      return res.status(400).json({ error: "horizon must look like 30m, 24h, 7d or 2w" });
+    }
+
+    const buckets = req.query.buckets ? parseInt(req.query.buckets) : 10;
+    if (!Number.isInteger(buckets) || buckets < 2 || buckets > 50) {
+      return res.status(400).json({ error: "buckets must be an integer between 2 and 50" });
+    }
+
+    const report = await computeCalibration({
+      category: req.query.category,
+      horizonMs,
+      buckets,
+    });
+
+    res.json({ category: req.query.category || null, horizon, ...report });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to compute calibration" });
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+import express from "express";
+import {
+  accountsEnabled,
+  issueToken,
+  loginUser,
+  parseCredentials,
+  publicUser,
+  registerUser,
+} from "../services/auth.js";
+import { resetAuthThrottle, throttleAuth } from "../middleware/throttleAuth.js";
+
+const router = express.Router();
+
+//accounts stay closed while JWT_SECRET is unset
+router.use((req, res, next) => {
+  if (!accountsEnabled()) {
+    return res.status(503).json({ error: "User accounts are disabled (JWT_SECRET not set)" });
+  }
+  next();
+});
+
+//create an account; { email, password, name? } -> 201 { user, token, expires_at }
+router.post("/register", throttleAuth, async (req, res) => {
+  const credentials = parseCredentials(req.body);
+  if (credentials.error) return res.status(400).json({ error: credentials.error });
+
+  try {
+    const user = await registerUser(credentials);
+    res.status(201).json({ user: publicUser(user), ...issueToken(user) });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "An account with this email already exists" });
+    console.error(err);
+    res.status(500).json({ error: "Failed to create account" });
+  }
+});
+
+//{ email, password } -> { user, token, expires_at }; send the token as "Authorization: Bearer <token>"
+router.post("/login", throttleAuth, async (req, res) => {
+  const credentials = parseCredentials(req.body);
+  if (credentials.error) return res.status(401).json({ error: "Invalid email or password" });
+
+  try {
+    const user = await loginUser(credentials);
+    if (!user) return res.status(401).json({ error: "Invalid email or password" });
+    resetAuthThrottle(req, user.email);
+    res.json({ user: publicUser(user), ...issueToken(user) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+export default router;
@@ -2,99 +2,103 @@ import express from "express";
 import Event from "../models/event.js";
 import Market from "../models/market.js";
 import News from "../models/news.js";
+import MarketSnapshot from "../models/marketSnapshot.js";
+import { RESOLUTION_UNITS, parseDateParam, parseDuration } from "../utils/time.js";
+import { sendPage } from "../utils/pagination.js";
+import { listEvents, parseEventListOptions } from "../services/eventListing.js";
+import { topRelatedNews } from "../services/newsRanking.js";
+import { MAX_HORIZON_MS, buildTimeline, timelineMarket, timelineResolution } from "../services/eventTimeline.js";
 
 const router = express.Router();
 
 //get all events
+//cursor-paginated: ?cursor=&limit=, filters ?status=&category=&expires_before=&expires_after=&min_volume=&has_news=,
+//?sort=expiry|volume|news|updated; the next page cursor is returned in the X-Next-Cursor header
 router.get("/", async (req, res) => {
   try {
-    const events = await Event.find({
-      markets: { $exists: true, $ne: [] }   //filters out events with empty markets array
-    })
-      .sort({ expires_at: 1 })
-      .populate({ path: "markets", model: "Market" })
-      .populate({
-        path: "related_news",
-        options: { sort: { published_at: -1 }, limit: 5 }
-      })
-      .limit(50);
-
-    
-    res.json(events);
+    const options = parseEventListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const page = await listEvents(
+      {
+        markets: { $exists: true, $ne: [] }, //filters out events with empty markets array
+        archived: { $ne: true }
+      },
+      options
+    );
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    sendPage(res, page);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to fetch events" });
   }
 });
 
-//filter by category
+//filter by category (same query params as GET /)
 router.get("/category/:category", async (req, res) => {
   try {
-    const events = await Event.aggregate([
-      { $match: { category: req.params.category } },
-
-      // populate markets
-      {
-        $lookup: {
-          from: "markets",          // collection name in MongoDB
-          localField: "markets",    // field in Event
-          foreignField: "_id",      // field in Market
-          as: "markets"
-        }
-      },
-
-      // populate related_news
-      {
-        $lookup: {
-          from: "news",
-          localField: "related_news",
-          foreignField: "_id",
-          as: "related_news"
-        }
-      },
-
-      // count related news
-      {
-        $addFields: {
-          related_news: { $slice: [ "$related_news", 5 ] },
-          newsCount: { $size: "$related_news" }
-        }
-
-      },
-      {
-        $addFields: {
-          hasMarkets: { $gt: [{ $size: "$markets" }, 0] }
-        }
-      },
+    const options = parseEventListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
 
-      // sort by expiration and news count
-      {
-        $sort: { hasMarkets: -1 ,expires_at: 1, newsCount: -1, }
-      },
-      { $limit: 50 }
-    ]);
+    // events with markets first, then the chosen sort
+    const page = await listEvents(
+      { category: req.params.category, archived: { $ne: true } },
+      options,
+      { leadingSort: [["hasMarkets", -1]] }
+    );
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
 
-    res.json(events);
+    sendPage(res, page);
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: "Failed to fetch events" });
   }
 });
 
+//archived (expired) events with their settled markets (same query params as GET /)
+//?sort=closed lists the most recently closed first
+router.get("/archive", async (req, res) => {
+  try {
+    const options = parseEventListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const page = await listEvents({ archived: true }, options, { archived: true });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    sendPage(res, page);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch archived events" });
+  }
+});
+
 //get event by id
 router.get("/:id", async (req, res) => {
   try {
     const event = await Event.findOne({ event_ticker: req.params.id })
       .populate({path: "markets", model: "Market"})
-      .populate({
-        path: "related_news",
-        options: { sort: { published_at: -1 },limit: 5 } //newest first
-      });
+      .lean();
 
     if (!event) {
       return res.status(404).json({ error: "Event not found" });
     }
 
+    event.related_news = await topRelatedNews(event, 5); //most relevant first
+    delete event.news_links;
+
     res.json({ event });
 
   } catch (err) {
@@ -103,7 +107,139 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+//price history for one market of an event
+//optional ?from=&to= (ISO or epoch ms) and ?resolution=1m|1h|1d for OHLC buckets
+router.get("/:id/markets/:ticker/history", async (req, res) => {
+  try {
+    const { resolution } = req.query;
+    if (resolution && !RESOLUTION_UNITS[resolution]) {
+      return res.status(400).json({ error: `resolution must be one of ${Object.keys(RESOLUTION_UNITS).join(", ")}` });
+    }
 
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: "from/to must be ISO dates or epoch milliseconds" });
+    }
 
-export default router;
+    const market = await Market.findOne({
+      market_ticker: req.params.ticker,
+      event_ticker: req.params.id,
+    });
+    if (!market) {
+      return res.status(404).json({ error: "Market not found" });
+    }
+
+    const match = { market_ticker: market.market_ticker };
+    if (from || to) {
+      match.captured_at = {};
+      if (from) match.captured_at.$gte = from;
+      if (to) match.captured_at.$lte = to;
+    }
+
+    let points;
+    if (!resolution) {
+      points = await MarketSnapshot.find(match)
+        .select("yes_price no_price volume captured_at -_id")
+        .sort({ captured_at: 1 })
+        .lean();
+    } else {
+      points = await MarketSnapshot.aggregate([
+        { $match: match },
+        { $sort: { captured_at: 1 } },
+        {
+          $group: {
+            _id: { $dateTrunc: { date: "$captured_at", unit: RESOLUTION_UNITS[resolution] } },
+            open: { $first: "$yes_price" },
+            high: { $max: "$yes_price" },
+            low: { $min: "$yes_price" },
+            close: { $last: "$yes_price" },
+            volume: { $last: "$volume" },
+          }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, time: "$_id", open: 1, high: 1, low: 1, close: 1, volume: 1 } }
+      ]);
+    }
+
+    res.json({
+      market_ticker: market.market_ticker,
+      resolution: resolution || "raw",
+      from,
+      to,
+      points,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch market history" });
+  }
+});
+
+//linked news and market price points merged into one stream, oldest first; each article has the
+//market's yes_price at published_at and ?horizon= later (default 4h, at most 7d) with the change in between
+//?market= ticker (default the event's highest-volume market), ?from=&to= (ISO or epoch ms, default the last 7 days),
+//?resolution=1m|1h|1d keeps the last price point per bucket; ranges past 7 days default to the finest one that
+//stays within 2000 points, and may span at most 366 days
+router.get("/:id/timeline", async (req, res) => {
+  try {
+    if (req.query.resolution && !RESOLUTION_UNITS[req.query.resolution]) {
+      return res.status(400).json({ error: `resolution must be one of ${Object.keys(RESOLUTION_UNITS).join(", ")}` });
+    }
 
+    const horizon = req.query.horizon || "4h";
+    const horizonMs = parseDuration(horizon);
+    if (horizonMs === null) {
+      return res.status(400).json({ error: "horizon must look like 30m, 24h, 7d or 2w" });
+    }
+    if (horizonMs > MAX_HORIZON_MS) {
+      return res.status(400).json({ error: "horizon may be at most 7d" });
+    }
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: "from/to must be ISO dates or epoch milliseconds" });
+    }
+    const end = to || new Date();
+    const start = from || new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (start > end) {
+      return res.status(400).json({ error: "from must be before to" });
+    }
+    const { resolution, error } = timelineResolution(start, end, req.query.resolution);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const event = await Event.findOne(
+      { event_ticker: req.params.id },
+      { event_ticker: 1, title: 1, category: 1, related_news: 1, news_links: 1 }
+    ).lean();
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    const market = await timelineMarket(event, req.query.market);
+    if (!market) {
+      return res.status(404).json({ error: req.query.market ? "Market not found" : "Event has no markets" });
+    }
+
+    const timeline = await buildTimeline(event, market, { from: start, to: end, horizonMs, resolution });
+    res.json({
+      event_ticker: event.event_ticker,
+      title: event.title,
+      market,
+      from: start,
+      to: end,
+      horizon,
+      resolution: resolution || "raw",
+      ...timeline,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to build event timeline" });
+  }
+});
+
+
+
+export default router;
@@ -0,0 +1,31 @@
+import express from "express";
+import { MOVER_DIRECTIONS, MOVER_WINDOWS, findMovers } from "../services/marketMovers.js";
+import { parseLimit } from "../utils/pagination.js";
+
+const router = express.Router();
+
+//markets that moved most over ?window=1h|24h|7d (default 24h), with price and volume change,
+//parent event and its latest linked headline; ?category=, ?direction=up|down, ?limit= (default 50).
+//The baseline is a market's last sync snapshot within half the window (at most 1h) before it started, so a
+//market is left out when the syncs around then were missed, as well as when it first appeared inside the window
+router.get("/movers", async (req, res) => {
+  const { window = "24h", category, direction } = req.query;
+  if (!MOVER_WINDOWS.includes(window)) {
+    return res.status(400).json({ error: `window must be one of ${MOVER_WINDOWS.join(", ")}` });
+  }
+  if (direction !== undefined && !MOVER_DIRECTIONS.includes(direction)) {
+    return res.status(400).json({ error: `direction must be one of ${MOVER_DIRECTIONS.join(", ")}` });
+  }
+  const limit = parseLimit(req.query.limit);
+  if (limit === null) return res.status(400).json({ error: "limit must be a positive integer" });
+
+  try {
+    const movers = await findMovers({ window, category: category || undefined, direction, limit });
+    res.json({ window, category: category || null, direction: direction || null, movers });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch market movers" });
+  }
+});
+
+export default router;
@@ -0,0 +1,108 @@
+import express from "express";
+import mongoose from "mongoose";
+import { requireUser } from "../middleware/requireUser.js";
+import { createApiKey, listApiKeys, publicUser, revokeApiKey } from "../services/auth.js";
+import { buildFeed, follow, listWatchlist, parseWatchTarget, unfollow } from "../services/watchlist.js";
+import { parseLimit } from "../utils/pagination.js";
+import { parseDuration } from "../utils/time.js";
+
+const router = express.Router();
+
+router.use(requireUser);
+
+router.get("/", (req, res) => {
+  res.json(publicUser(req.user));
+});
+
+//API keys for scripts and integrations; the key itself is only returned once, on creation
+router.get("/api-keys", async (req, res) => {
+  try {
+    res.json(await listApiKeys(req.user._id));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to list API keys" });
+  }
+});
+
+//{ name? } -> 201 { key, _id, name, prefix, createdAt }
+router.post("/api-keys", async (req, res) => {
+  const name = typeof req.body?.name === "string" ? req.body.name.trim().slice(0, 100) : undefined;
+
+  try {
+    const { key, apiKey } = await createApiKey(req.user._id, name);
+    res.status(201).json({ key, _id: apiKey._id, name: apiKey.name, prefix: apiKey.prefix, createdAt: apiKey.createdAt });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+});
+
+router.delete("/api-keys/:id", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid API key id" });
+
+  try {
+    if (!(await revokeApiKey(req.user._id, req.params.id))) return res.status(404).json({ error: "API key not found" });
+    res.status(204).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to revoke API key" });
+  }
+});
+
+//followed events and markets, most recently followed first
+router.get("/watchlist", async (req, res) => {
+  try {
+    res.json(await listWatchlist(req.user._id));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch watchlist" });
+  }
+});
+
+//follow { event_ticker } or { market_ticker }; 201 when newly followed, 200 when already following
+router.post("/watchlist", async (req, res) => {
+  const target = parseWatchTarget(req.body);
+  if (target.error) return res.status(400).json({ error: target.error });
+
+  try {
+    const result = await follow(req.user._id, target);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(result.created ? 201 : 200).json(result.item);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to update watchlist" });
+  }
+});
+
+//unfollow { event_ticker } or { market_ticker }, in the body or as query params
+router.delete("/watchlist", async (req, res) => {
+  const target = parseWatchTarget(req.body && Object.keys(req.body).length ? req.body : req.query);
+  if (target.error) return res.status(400).json({ error: target.error });
+
+  try {
+    if (!(await unfollow(req.user._id, target))) return res.status(404).json({ error: `Not following ${target.ticker}` });
+    res.status(204).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to update watchlist" });
+  }
+});
+
+//followed events with current market prices and the change since ?since= (default 24h),
+//plus news linked to them since then (?limit= stories, default 50)
+router.get("/feed", async (req, res) => {
+  const since = req.query.since || "24h";
+  const sinceMs = parseDuration(since);
+  if (sinceMs === null) return res.status(400).json({ error: "since must look like 30m, 24h, 7d or 2w" });
+  const limit = parseLimit(req.query.limit);
+  if (limit === null) return res.status(400).json({ error: "limit must be a positive integer" });
+
+  try {
+    res.json(await buildFeed(req.user._id, { since: new Date(Date.now() - sinceMs), newsLimit: limit }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to build feed" });
+  }
+});
+
+export default router;
@@ -1,20 +1,39 @@
 import express from "express";
 import dotenv from "dotenv";
+import mongoose from "mongoose";
 import News from "../models/news.js";
+import Event from "../models/event.js";
+import { sendPage } from "../utils/pagination.js";
+import { listNews, parseNewsListOptions } from "../services/newsListing.js";
+import { relevanceMap, sortByRelevance } from "../services/newsRanking.js";
+import { collapseStories } from "../services/storyClustering.js";
+import {
+  getThumbnail,
+  variantWidth,
+  InvalidThumbnailError,
+} from "../services/thumbnailProxy.js";
 
 dotenv.config();
 
 const router = express.Router();
 
 //get all news
+//cursor-paginated: ?cursor=&limit=, filters ?source=&event_id=&published_before=&published_after=,
+//?sort=published|updated; the next page cursor is returned in the X-Next-Cursor header
+//near-duplicate copies collapse into one story with outlet_count and alternates unless ?collapse=false
 router.get("/", async (req, res) => {
   try {
-    const news = await News.find({})
-      .populate("event_ids")
-      .sort({ published_at: -1 })
-      .limit(50);
+    const options = parseNewsListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
 
-    res.json(news);
+    const page = await listNews(options);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    sendPage(res, page);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to fetch news" });
@@ -26,11 +45,14 @@ router.get("/event/:id", async (req, res) => {
   try {
     const eventId = req.params.id;
 
-    const news = await News.find({ event_ids: eventId })
-      .populate("event_ids")
-      .sort({ published_at: -1 });
+    const [news, event] = await Promise.all([
+      News.find({ event_ids: eventId }).populate("event_ids").lean(),
+      Event.findById(eventId, { news_links: 1 }).lean(),
+    ]);
 
-    res.json(news);
+    //most relevant first, then newest; ?collapse=false keeps near-duplicate copies
+    const ranked = sortByRelevance(news, relevanceMap(event));
+    res.json(req.query.collapse === "false" ? ranked : collapseStories(ranked));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to fetch news for event" });
@@ -38,4 +60,41 @@ router.get("/event/:id", async (req, res) => {
 });
 
 
+//resized, cached copy of an article's thumbnail
+//:id is the Mongo _id or the article's url hash id; ?w= width in px (rounded up to a cached size)
+router.get("/:id/thumbnail", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const article = await News.findOne(
+      mongoose.isValidObjectId(id) ? { _id: id } : { id },
+      { thumbnail: 1 }
+    ).lean();
+
+    if (!article || !article.thumbnail) {
+      return res.status(404).json({ error: "Thumbnail not found" });
+    }
+
+    const format = req.accepts(["image/webp", "image/jpeg"]) === "image/webp" ? "webp" : "jpeg";
+    const thumbnail = await getThumbnail(article, { width: variantWidth(req.query.w), format });
+
+    res.set({
+      "Content-Type": thumbnail.contentType,
+      "Cache-Control": "public, max-age=604800, stale-while-revalidate=86400",
+      ETag: thumbnail.etag,
+      Vary: "Accept",
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(thumbnail.body);
+  } catch (err) {
+    if (err instanceof InvalidThumbnailError) {
+      return res.status(404).json({ error: "Thumbnail not available" });
+    }
+    console.error(err);
+    res.status(502).json({ error: "Failed to fetch thumbnail" });
+  }
+});
+
+
 export default router;
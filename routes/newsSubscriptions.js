@@ -0,0 +1,147 @@
+import express from "express";
+import mongoose from "mongoose";
+import { requireUser } from "../middleware/requireUser.js";
+import {
+  createSubscription,
+  deleteSubscription,
+  getSubscription,
+  listSubscriptions,
+  rotateSubscriptionSecret,
+  sendTestNews,
+  updateSubscription,
+} from "../services/newsSubscriptions.js";
+import { listDeliveries, replayDeliveries } from "../services/webhooks.js";
+import { parseLimit } from "../utils/pagination.js";
+import { parseDuration } from "../utils/time.js";
+
+const router = express.Router();
+
+router.use(requireUser);
+
+function validId(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: "Invalid news subscription id" });
+  next();
+}
+
+//the user's news subscriptions, newest first
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listSubscriptions(req.user._id));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to list news subscriptions" });
+  }
+});
+
+//subscribe a webhook to newly linked news:
+//  { type: "event", value: <event_ticker>, webhook_url }
+//  { type: "category", value: <category>, webhook_url }
+//  { type: "keyword", value: <word or phrase in the title or snippet>, webhook_url }
+//optional name; 201 with the subscription and its webhook secret, which is only shown here
+router.post("/", async (req, res) => {
+  try {
+    const result = await createSubscription(req.user._id, req.body);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ ...result.subscription, webhook_secret: result.secret });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to create news subscription" });
+  }
+});
+
+router.get("/:id", validId, async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.user._id, req.params.id);
+    if (!subscription) return res.status(404).json({ error: "News subscription not found" });
+    res.json(subscription);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch news subscription" });
+  }
+});
+
+//change any field, e.g. { active: false } or { webhook_url }
+router.patch("/:id", validId, async (req, res) => {
+  try {
+    const result = await updateSubscription(req.user._id, req.params.id, req.body);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.subscription);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to update news subscription" });
+  }
+});
+
+router.delete("/:id", validId, async (req, res) => {
+  try {
+    if (!(await deleteSubscription(req.user._id, req.params.id))) return res.status(404).json({ error: "News subscription not found" });
+    res.status(204).end();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to delete news subscription" });
+  }
+});
+
+//replace the webhook signing secret; returns the subscription with the new secret
+router.post("/:id/rotate-secret", validId, async (req, res) => {
+  try {
+    const result = await rotateSubscriptionSecret(req.user._id, req.params.id);
+    if (!result) return res.status(404).json({ error: "News subscription not found" });
+    res.json({ ...result.subscription, webhook_secret: result.secret });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to rotate webhook secret" });
+  }
+});
+
+//send a "news.test" webhook; 202 with the queued delivery
+router.post("/:id/test", validId, async (req, res) => {
+  try {
+    const delivery = await sendTestNews(req.user._id, req.params.id);
+    if (!delivery) return res.status(404).json({ error: "News subscription not found" });
+    res.status(202).json(delivery);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to send test webhook" });
+  }
+});
+
+//send missed deliveries again: those that failed since { since } (a duration like 24h or an ISO date,
+//default 7d), plus delivered ones with { include_delivered: true }; 202 with how many were queued
+router.post("/:id/replay", validId, async (req, res) => {
+  const { since = "7d", include_delivered = false } = req.body || {};
+  const sinceMs = parseDuration(since);
+  const sinceDate = sinceMs !== null ? new Date(Date.now() - sinceMs) : new Date(since);
+  if (Number.isNaN(sinceDate.getTime())) return res.status(400).json({ error: "since must look like 30m, 24h, 7d, 2w or be an ISO date" });
+  if (typeof include_delivered !== "boolean") return res.status(400).json({ error: "include_delivered must be true or false" });
+
+  try {
+    const subscription = await getSubscription(req.user._id, req.params.id);
+    if (!subscription) return res.status(404).json({ error: "News subscription not found" });
+    const replayed = await replayDeliveries(
+      { kind: "news_subscription", id: subscription._id },
+      { since: sinceDate, includeDelivered: include_delivered }
+    );
+    res.status(202).json({ since: sinceDate, replayed });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to replay deliveries" });
+  }
+});
+
+//webhook delivery log of a subscription with every attempt, newest first (?limit=, default 50)
+router.get("/:id/deliveries", validId, async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  if (limit === null) return res.status(400).json({ error: "limit must be a positive integer" });
+
+  try {
+    const subscription = await getSubscription(req.user._id, req.params.id);
+    if (!subscription) return res.status(404).json({ error: "News subscription not found" });
+    res.json(await listDeliveries({ kind: "news_subscription", id: subscription._id }, limit));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to fetch deliveries" });
+  }
+});
+
+export default router;
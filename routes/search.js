@@ -0,0 +1,84 @@
+import express from "express";
+import Event from "../models/event.js";
+import Market from "../models/market.js";
+import News from "../models/news.js";
+import { highlight, queryTerms } from "../utils/highlight.js";
+import { parseLimit } from "../utils/pagination.js";
+
+const router = express.Router();
+
+const SEARCH_TYPES = ["events", "markets", "news"];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+//ranked $text search against one collection
+function textSearch(Model, q, projection, limit) {
+  return Model.find(
+    { $text: { $search: q } },
+    { ...projection, score: { $meta: "textScore" } }
+  )
+    .sort({ score: { $meta: "textScore" } })
+    .limit(limit)
+    .lean();
+}
+
+function withHighlights(doc, fields, terms) {
+  const highlights = {};
+  for (const field of fields) {
+    const value = Array.isArray(doc[field]) ? doc[field].join(" ") : doc[field];
+    const snippet = highlight(value, terms);
+    if (snippet) highlights[field] = snippet;
+  }
+  return { ...doc, highlights };
+}
+
+//search events, markets and news
+//?q= (required), ?types=events,markets,news, ?limit= per type
+router.get("/", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (!q) {
+      return res.status(400).json({ error: "q is required" });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(",").map(t => t.trim()).filter(Boolean)
+      : SEARCH_TYPES;
+    const unknown = types.filter(t => !SEARCH_TYPES.includes(t));
+    if (unknown.length) {
+      return res.status(400).json({ error: `types must be any of ${SEARCH_TYPES.join(", ")}` });
+    }
+
+    //same validation as the list routes, with search's own default and cap
+    const parsed = req.query.limit === undefined || req.query.limit === "" ? DEFAULT_LIMIT : parseLimit(req.query.limit);
+    if (parsed === null) {
+      return res.status(400).json({ error: "limit must be a positive integer" });
+    }
+    const limit = Math.min(parsed, MAX_LIMIT);
+    const terms = queryTerms(q);
+
+    const [events, markets, news] = await Promise.all([
+      types.includes("events")
+        ? textSearch(Event, q, { event_ticker: 1, title: 1, sub_title: 1, category: 1, key_words: 1, expires_at: 1, status: 1 }, limit)
+        : [],
+      types.includes("markets")
+        ? textSearch(Market, q, { market_ticker: 1, event_ticker: 1, name: 1, yes_sub_title: 1, yes_price: 1, no_price: 1, volume: 1, status: 1 }, limit)
+        : [],
+      types.includes("news")
+        ? textSearch(News, q, { id: 1, title: 1, snippet: 1, source: 1, canonical_url: 1, published_at: 1, event_ids: 1 }, limit)
+        : [],
+    ]);
+
+    const result = { query: q };
+    if (types.includes("events")) result.events = events.map(e => withHighlights(e, ["title", "sub_title", "key_words"], terms));
+    if (types.includes("markets")) result.markets = markets.map(m => withHighlights(m, ["name", "yes_sub_title"], terms));
+    if (types.includes("news")) result.news = news.map(n => withHighlights(n, ["title", "snippet"], terms));
+
+    res.json(result);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to search" });
+  }
+});
+
+export default router;
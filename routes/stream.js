@@ -0,0 +1,34 @@
+import express from "express";
+import { buildFilter, subscribe } from "../services/streamService.js";
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25000;
+
+//server-sent events stream of market and news changes made by this server process
+//(its scheduler and admin-triggered jobs, not CLI or workflow runs; see services/streamService.js)
+//filter with ?events=&markets=&categories= (comma separated, any match is delivered)
+router.get("/", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", //disable proxy buffering
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const unsubscribe = subscribe(buildFilter(req.query), (message) => {
+    res.write(`event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+  });
+
+  //comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
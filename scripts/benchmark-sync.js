@@ -0,0 +1,141 @@
+/**
+ * Benchmark: Sequential vs Bulk Event/Market Sync
+ * 
+ * Fetches pages from the Kalshi API once, then applies the same pages to a
+ * scratch database twice per strategy: a cold run (empty collections, all
+ * inserts) and a warm run (everything already stored). Prints timings and
+ * the speedup of the bulkWrite path over the old per-document path.
+ * 
+ * Usage:
+ *   node scripts/benchmark-sync.js
+ * 
+ * Options (via environment variables):
+ *   BENCHMARK_MONGO_URI - Scratch database, dropped between runs (default: mongodb://localhost:27017/kalshi_benchmark)
+ *   BENCHMARK_EVENTS - Number of events to fetch (default: 1000)
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Event from '../models/event.js';
+import Market from '../models/market.js';
+import MarketSnapshot from '../models/marketSnapshot.js';
+import { extractKeywords } from '../services/generic-search-generator.js';
+import {
+  fetchEventsPage,
+  applyEventsPage,
+  toMarketFields,
+  eventExpiry,
+} from '../services/kalshiService.js';
+
+dotenv.config();
+
+const BENCHMARK_MONGO_URI = process.env.BENCHMARK_MONGO_URI || 'mongodb://localhost:27017/kalshi_benchmark';
+const BENCHMARK_EVENTS = parseInt(process.env.BENCHMARK_EVENTS || '1000');
+
+// The pre-bulkWrite implementation: one findOne + one findOneAndUpdate per market
+async function applyEventsPageSequential(events, { capturedAt }) {
+  const snapshots = [];
+
+  for (const event of events) {
+    const existingEvent = await Event.findOne({ event_ticker: event.event_ticker });
+    const marketIds = [];
+
+    for (const m of event.markets || []) {
+      const marketDoc = await Market.findOneAndUpdate(
+        { market_ticker: m.ticker },
+        toMarketFields(m, event),
+        { upsert: true, new: true }
+      );
+      marketIds.push(marketDoc._id);
+      snapshots.push({
+        market_ticker: m.ticker,
+        event_ticker: event.event_ticker,
+        yes_price: m.yes_bid,
+        no_price: m.no_bid,
+        volume: m.volume,
+        captured_at: capturedAt,
+      });
+    }
+
+    const expiresAt = eventExpiry(event);
+    if (!existingEvent) {
+      await Event.create({
+        event_ticker: event.event_ticker,
+        title: event.title,
+        category: event.category,
+        sub_title: event.sub_title,
+        expires_at: expiresAt,
+        status: event.status,
+        key_words: extractKeywords(event.title),
+        markets: marketIds,
+      });
+    } else {
+      const updateData = { expires_at: expiresAt };
+      if (marketIds.length > 0) updateData.markets = marketIds;
+      await Event.findOneAndUpdate({ event_ticker: event.event_ticker }, updateData);
+    }
+  }
+
+  if (snapshots.length) {
+    await MarketSnapshot.insertMany(snapshots, { ordered: false });
+  }
+}
+
+async function resetCollections() {
+  await Promise.all([Event.deleteMany({}), Market.deleteMany({}), MarketSnapshot.deleteMany({})]);
+}
+
+async function timePages(apply, pages) {
+  const start = Date.now();
+  const capturedAt = new Date();
+  let counts = null;
+  for (const events of pages) {
+    counts = await apply(events, { capturedAt });
+  }
+  return { ms: Date.now() - start, counts };
+}
+
+async function main() {
+  console.log('⏱️  Sync Benchmark: sequential vs bulkWrite\n');
+  console.log(`Database: ${BENCHMARK_MONGO_URI.replace(/\/\/[^:]+:[^@]+@/, '//***:***@')}`);
+  console.log(`Events: ${BENCHMARK_EVENTS}\n`);
+
+  // Fetch once so both strategies see identical input
+  const pages = [];
+  let cursor = null;
+  let fetched = 0;
+  do {
+    const page = await fetchEventsPage(cursor);
+    pages.push(page.events);
+    fetched += page.events.length;
+    cursor = page.cursor;
+  } while (cursor && fetched < BENCHMARK_EVENTS);
+
+  const marketCount = pages.flat().reduce((n, e) => n + (e.markets?.length || 0), 0);
+  console.log(`📥 Fetched ${fetched} events / ${marketCount} markets in ${pages.length} pages\n`);
+
+  await mongoose.connect(BENCHMARK_MONGO_URI);
+  await Promise.all([Event.init(), Market.init(), MarketSnapshot.init()]);
+
+  const results = {};
+  for (const [name, apply] of [['sequential', applyEventsPageSequential], ['bulk', applyEventsPage]]) {
+    await resetCollections();
+    const cold = await timePages(apply, pages);
+    const warm = await timePages(apply, pages);
+    results[name] = { cold: cold.ms, warm: warm.ms };
+    console.log(`${name.padEnd(10)} cold: ${String(cold.ms).padStart(7)}ms   warm: ${String(warm.ms).padStart(7)}ms`);
+  }
+
+  console.log('\n' + '='.repeat(80));
+  console.log(`⚡ Speedup (cold): ${(results.sequential.cold / results.bulk.cold).toFixed(1)}x`);
+  console.log(`⚡ Speedup (warm): ${(results.sequential.warm / results.bulk.warm).toFixed(1)}x`);
+  console.log('='.repeat(80));
+
+  await resetCollections();
+  await mongoose.disconnect();
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,278 @@
+/**
+ * Command-line entry point for the data pipelines
+ *
+ * Usage:
+ *   node scripts/cli.js <command> [options]
+ *   npm run cli -- <command> [options]
+ *
+ * Commands:
+ *   sync-events   Fetch events and markets from Kalshi (archives and settles after a full run), firing price alerts
+ *   sync-news     Fetch, score and link news articles for events, delivering news subscription webhooks
+ *   thumbnails    Fill in thumbnails for recently added articles
+ *   status        Last run of each pipeline, sync progress and collection sizes
+ *   migrate       Apply pending data migrations from migrations/ (--dry-run lists them with document counts)
+ *
+ * Options:
+ *   --event <ticker>     Only this event (sync-events, sync-news, thumbnails)
+ *   --category <name>    Only events in this category (sync-events, sync-news)
+ *   --since <duration>   30m, 24h, 7d, 2w. sync-news: articles published within (default NEWS_DAYS);
+ *                        thumbnails: articles added within (default RECENT_DAYS); status: runs within (default 7d)
+ *   --limit <n>          Max articles (thumbnails)
+ *   --concurrency <n>    Events in parallel (sync-news) or browser workers (thumbnails)
+ *   --dry-run            Fetch and compare, write nothing (sync-events, sync-news, thumbnails, migrate)
+ *   --json               Print the result as JSON on stdout; progress logs go to stderr
+ *   -h, --help           Show this help
+ *
+ * Exit codes:
+ *   0  success
+ *   1  the run failed (or status could not reach MongoDB)
+ *   2  invalid command or options
+ *   3  the run finished but some events/items failed (status: the last run of a pipeline failed)
+ *
+ * sync-events, sync-news and thumbnails take the same job lease as the server's
+ * scheduler and fail (exit 1) while another run of the job holds it.
+ */
+
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+import { disconnectDB, requireDB } from '../utils/db.js';
+import { parseDuration } from '../utils/time.js';
+
+dotenv.config({ quiet: true }); // the tip banner would land on stdout ahead of --json output
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, PARTIAL: 3 };
+
+// Flags each command accepts (--json and --help are accepted everywhere)
+const COMMANDS = {
+  'sync-events': ['event', 'category', 'dry-run'],
+  'sync-news': ['event', 'category', 'since', 'concurrency', 'dry-run'],
+  'thumbnails': ['event', 'since', 'limit', 'concurrency', 'dry-run'],
+  'status': ['since'],
+  'migrate': ['dry-run'],
+};
+
+const OPTIONS = {
+  event: { type: 'string' },
+  category: { type: 'string' },
+  since: { type: 'string' },
+  limit: { type: 'string' },
+  concurrency: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+class UsageError extends Error {}
+
+function usage() {
+  return `Usage: node scripts/cli.js <${Object.keys(COMMANDS).join('|')}> [options]
+
+  --event <ticker>     only this event (sync-events, sync-news, thumbnails)
+  --category <name>    only events in this category (sync-events, sync-news)
+  --since <duration>   30m, 24h, 7d, 2w (sync-news, thumbnails, status)
+  --limit <n>          max articles (thumbnails)
+  --concurrency <n>    events in parallel (sync-news) or browser workers (thumbnails)
+  --dry-run            fetch and compare, write nothing (migrate: list pending migrations)
+  --json               machine-readable result on stdout, logs on stderr
+
+Exit codes: 0 ok, 1 failed, 2 usage error, 3 finished with failures`;
+}
+
+function positiveInt(name, value) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new UsageError(`--${name} must be a positive integer`);
+  return n;
+}
+
+function sinceDate(value) {
+  if (value === undefined) return undefined;
+  const ms = parseDuration(value);
+  if (ms === null) throw new UsageError('--since must look like 30m, 24h, 7d or 2w');
+  return new Date(Date.now() - ms);
+}
+
+//parse argv into { command, options, json }; throws UsageError
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command, ...extra] = positionals;
+  if (!command) throw new UsageError('Missing command');
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+  if (extra.length) throw new UsageError(`Unexpected argument "${extra[0]}"`);
+
+  for (const flag of Object.keys(values)) {
+    if (flag !== 'json' && !COMMANDS[command].includes(flag)) {
+      throw new UsageError(`--${flag} is not supported by ${command}`);
+    }
+  }
+
+  return {
+    command,
+    json: Boolean(values.json),
+    options: {
+      event: values.event,
+      category: values.category,
+      since: sinceDate(values.since),
+      limit: positiveInt('limit', values.limit),
+      concurrency: positiveInt('concurrency', values.concurrency),
+      dryRun: Boolean(values['dry-run']),
+    },
+  };
+}
+
+// The pipelines are imported lazily so `--help` and usage errors don't load Puppeteer or hit the network
+// Pipeline runs take the scheduler's lease on the job, so they never overlap a scheduled run of it
+function leased(job, runner) {
+  return async (options) => {
+    await requireDB();
+    const { leaseHolder, withJobLease } = await import('../services/jobLeases.js');
+    const outcome = await withJobLease(job, () => runner(options));
+    return outcome ? outcome.result : { error: `${job} is already running (lease held by ${await leaseHolder(job)})` };
+  };
+}
+
+const RUNNERS = {
+  'sync-events': leased('sync-events', async ({ event, category, dryRun }) => {
+    await requireDB();
+    const { updateEventsAndMarkets } = await import('../services/kalshiService.js');
+    const { flushAlerts, startAlertEvaluation, stopAlertEvaluation } = await import('../services/alerts.js');
+    const { flushWebhooks } = await import('../services/webhooks.js');
+
+    // Price changes written by this run trigger alert rules; webhooks that fail here are retried by the server
+    await startAlertEvaluation();
+    try {
+      const stats = await updateEventsAndMarkets({ event, category, dryRun });
+      await flushAlerts();
+      await flushWebhooks();
+      return { result: stats, error: stats.error };
+    } finally {
+      stopAlertEvaluation();
+    }
+  }),
+
+  'sync-news': leased('sync-news', async ({ event, category, since, concurrency, dryRun }) => {
+    await requireDB();
+    const { populateNewsCollection } = await import('../populate-news-collection.js');
+    const { flushNewsSubscriptions, startNewsSubscriptionDelivery, stopNewsSubscriptionDelivery } = await import('../services/newsSubscriptions.js');
+    const { flushWebhooks } = await import('../services/webhooks.js');
+
+    // Articles linked by this run go out to news subscriptions; webhooks that fail here are retried by the server
+    startNewsSubscriptionDelivery();
+    try {
+      const stats = await populateNewsCollection({ event, category, since, concurrency, dryRun });
+      await flushNewsSubscriptions();
+      await flushWebhooks();
+      if (event && stats.events === 0) {
+        return { result: stats, error: `Event ${event} not found or has no key_words` };
+      }
+      return { result: stats };
+    } finally {
+      stopNewsSubscriptionDelivery();
+    }
+  }),
+
+  'thumbnails': leased('thumbnails', async ({ event, since, limit, concurrency, dryRun }) => {
+    await requireDB();
+    const { updateNewsThumbnails } = await import('../update-news-thumbnails.js');
+    return { result: await updateNewsThumbnails({ event, since, limit, concurrency, dryRun }) };
+  }),
+
+  'status': async ({ since }) => {
+    await requireDB();
+    const { pipelineStatus } = await import('../services/pipelineTelemetry.js');
+    const status = await pipelineStatus({ since: since || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) });
+    return { result: status, partial: status.pipelines.some(p => p.last_run?.status === 'failed') };
+  },
+
+  'migrate': async ({ dryRun }) => {
+    await requireDB();
+    const { runMigrations } = await import('../services/migrations.js');
+    const result = await runMigrations({ dryRun });
+    return { result, error: result.error };
+  },
+};
+
+function formatStatus(status) {
+  const lines = [`Pipeline runs since ${status.since.toISOString()}:`];
+  for (const p of status.pipelines) {
+    const last = p.last_run;
+    lines.push(`  ${p.pipeline.padEnd(12)} ${p.runs} runs, ${p.failed} failed` + (last
+      ? ` | last ${last.status} at ${last.started_at.toISOString()} in ${last.duration_ms}ms${last.error ? ` (${last.error})` : ''}`
+      : ' | never run'));
+  }
+  const sync = status.event_sync;
+  lines.push(`Event sync: ${sync?.cursor ? `interrupted after ${sync.events_seen} events (${sync.last_error})` : 'idle'}`);
+  if (status.leases.length) {
+    lines.push(`Running jobs: ${status.leases.map(l => `${l.job} on ${l.owner}`).join(', ')}`);
+  }
+  const c = status.collections;
+  lines.push(`Collections: ${c.events} events (${c.archived_events} archived), ${c.markets} markets, ${c.news} news (${c.news_without_thumbnail} without thumbnail)`);
+  if (status.pending_migrations.length) {
+    lines.push(`⚠️  Pending migrations: ${status.pending_migrations.join(', ')} (run: node scripts/cli.js migrate)`);
+  }
+  return lines.join('\n');
+}
+
+function formatMigrations({ migrations }) {
+  if (!migrations.length) return '✅ No pending migrations';
+  return migrations.map(m => `  ${m.id}  ${m.description}\n    ${JSON.stringify(m.pending)}`)
+    .join('\n');
+}
+
+async function main(argv) {
+  let command;
+  try {
+    command = parseCommandLine(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`${err.message}\n\n${usage()}`);
+    return EXIT.USAGE;
+  }
+  if (command.help) {
+    console.log(usage());
+    return EXIT.OK;
+  }
+
+  // Keep stdout clean for the JSON result; the pipelines log progress with console.log
+  const print = console.log;
+  if (command.json) console.log = console.error;
+
+  let outcome;
+  try {
+    outcome = await RUNNERS[command.command](command.options);
+  } catch (err) {
+    console.error(`❌ ${command.command} failed:`, err.message);
+    outcome = { error: err.message };
+  }
+
+  const failures = outcome.result?.failures || 0;
+  const code = outcome.error ? EXIT.FAILED
+    : outcome.partial || failures > 0 ? EXIT.PARTIAL
+    : EXIT.OK;
+
+  if (command.json) {
+    print(JSON.stringify({ command: command.command, ok: code === EXIT.OK, exit_code: code, error: outcome.error, result: outcome.result }, null, 2));
+  } else if (command.command === 'status' && outcome.result) {
+    print(formatStatus(outcome.result));
+  } else if (command.command === 'migrate' && command.options.dryRun && outcome.result) {
+    print(formatMigrations(outcome.result));
+  } else if (outcome.error) {
+    console.error(`❌ ${command.command} failed: ${outcome.error}`);
+  } else {
+    print(`${code === EXIT.OK ? '✅' : '⚠️ '} ${command.command} finished${failures ? ` with ${failures} failures` : ''}`);
+  }
+
+  return code;
+}
+
+const code = await main(process.argv.slice(2));
+await disconnectDB();
+process.exit(code);
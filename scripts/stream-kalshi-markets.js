@@ -0,0 +1,67 @@
+/**
+ * Standalone Script: Stream Kalshi Market Data
+ * 
+ * Subscribes to Kalshi's ticker and trade WebSocket channels for every
+ * active market in MongoDB and writes updates into the markets collection
+ * as they arrive, evaluating alert rules on each price or volume change.
+ * Runs until interrupted; webhooks that fail here are retried by the server.
+ * 
+ * Usage:
+ *   node scripts/stream-kalshi-markets.js
+ * 
+ * Options (via environment variables):
+ *   KALSHI_WS_URL - WebSocket endpoint (default: Kalshi production; point at a mock server to replay frames)
+ *   KALSHI_API_KEY_ID - API key id used to sign the connection
+ *   KALSHI_PRIVATE_KEY_PATH - Path to the PEM private key for that API key
+ *   WS_HEARTBEAT_TIMEOUT_MS - Reconnect when no frames arrive for this long (default: 30000)
+ */
+
+import dotenv from 'dotenv';
+import { connectDB } from '../utils/db.js';
+import Market from '../models/market.js';
+import { createKalshiWsClient } from '../services/kalshiWsClient.js';
+import { flushAlerts, startAlertEvaluation, stopAlertEvaluation } from '../services/alerts.js';
+import { flushWebhooks } from '../services/webhooks.js';
+
+dotenv.config();
+
+async function main() {
+  console.log('🚀 Starting Kalshi market data stream\n');
+
+  await connectDB();
+
+  const marketTickers = await Market.distinct('market_ticker', { status: 'active' });
+  console.log(`📋 Subscribing to ${marketTickers.length} active markets\n`);
+
+  // Price changes are published in this process, so alert rules have to be evaluated here too
+  await startAlertEvaluation();
+
+  const client = createKalshiWsClient({
+    marketTickers,
+    heartbeatTimeoutMs: parseInt(process.env.WS_HEARTBEAT_TIMEOUT_MS || '30000'),
+  });
+  client.start();
+
+  // Periodic stats so a stalled stream is visible in logs
+  const statsTimer = setInterval(() => {
+    console.log('📊 Stream stats:', JSON.stringify(client.stats));
+  }, 60000);
+
+  const shutdown = async () => {
+    console.log('\n👋 Stopping stream');
+    clearInterval(statsTimer);
+    client.stop();
+    await client.flush();
+    await flushAlerts();
+    stopAlertEvaluation();
+    await flushWebhooks();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+/**
+ * Local webhook receiver for trying out alert rules
+ *
+ * Prints every delivery and checks its X-Webhook-Signature against the secret.
+ * The server only sends to local addresses with WEBHOOK_ALLOW_PRIVATE_URLS=true.
+ *
+ * Usage:
+ *   node scripts/webhook-receiver.js --secret whsec_... [--port 4100] [--fail 2]
+ *
+ * Then create a rule with "webhook_url": "http://localhost:4100/" and
+ * POST /api/alerts/:id/test.
+ *
+ * Options:
+ *   --secret <secret>  Webhook secret returned when the rule was created (or WEBHOOK_SECRET)
+ *   --port <n>         Port to listen on (default 4100)
+ *   --fail <n>         Answer the first n deliveries with 500 to watch the retries
+ */
+
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+import { verifySignature } from '../services/webhooks.js';
+
+const { values } = parseArgs({
+  options: {
+    secret: { type: 'string' },
+    port: { type: 'string', default: '4100' },
+    fail: { type: 'string', default: '0' },
+  },
+});
+
+const secret = values.secret || process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(values.fail);
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signature = req.headers['x-webhook-signature'];
+    const verified = secret ? verifySignature(secret, signature, body) : null;
+
+    console.log(`\n📨 ${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`   id: ${req.headers['x-webhook-id']}  event: ${req.headers['x-webhook-event']}`);
+    console.log(`   signature: ${verified === null ? 'not checked (no --secret)' : verified ? '✅ valid' : '❌ INVALID'}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`   ↩️  answering 500 (${failuresLeft} more failures to go)`);
+      res.writeHead(500).end();
+      return;
+    }
+    res.writeHead(verified === false ? 401 : 204).end();
+  });
+});
+
+server.listen(parseInt(values.port), () => {
+  console.log(`👂 Listening for webhooks on http://localhost:${values.port}/`);
+});
@@ -0,0 +1,348 @@
+import AlertRule from "../models/alertRule.js";
+import Market from "../models/market.js";
+import MarketSnapshot from "../models/marketSnapshot.js";
+import { buildFilter, subscribe } from "./streamService.js";
+import { enqueueWebhook, generateWebhookSecret, webhookUrlError } from "./webhooks.js";
+import { createSerialQueue } from "../utils/serialQueue.js";
+import { parseDuration } from "../utils/time.js";
+
+export const ALERT_TYPES = ["price_cross", "price_move", "volume_spike"];
+export const MAX_RULES_PER_USER = 100;
+
+//how long the set of markets with active rules is trusted before reloading it
+//(rules created on another instance are picked up within this)
+const WATCHED_REFRESH_MS = 60 * 1000;
+
+//condition fields per type; other condition fields are cleared when a rule changes type
+const TYPE_FIELDS = {
+  price_cross: ["threshold", "direction"],
+  price_move: ["points", "window", "direction"],
+  volume_spike: ["multiplier", "window", "baseline", "min_volume"],
+};
+const CONDITION_FIELDS = ["threshold", "direction", "points", "window", "multiplier", "baseline", "min_volume"];
+
+const durationOk = (value) => parseDuration(value) !== null;
+
+/**
+ * Validate a rule as a whole (the create body, or an existing rule merged
+ * with an update). Returns { error } or the fields to store, with defaults
+ * filled in and fields the type doesn't use set to undefined.
+ */
+export function validateRule(input) {
+  const type = input.type;
+  if (!ALERT_TYPES.includes(type)) return { error: `type must be one of ${ALERT_TYPES.join(", ")}` };
+
+  const rule = { type };
+  if (type === "price_cross") {
+    const threshold = Number(input.threshold);
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > 99) return { error: "threshold must be a price in cents from 1 to 99" };
+    if (!["above", "below"].includes(input.direction)) return { error: "direction must be above or below" };
+    Object.assign(rule, { threshold, direction: input.direction });
+  } else if (type === "price_move") {
+    const points = Number(input.points);
+    if (!(points > 0 && points < 100)) return { error: "points must be a number of cents between 0 and 100" };
+    const window = input.window || "1h";
+    if (!durationOk(window)) return { error: "window must look like 30m, 24h, 7d or 2w" };
+    const direction = input.direction || "either";
+    if (!["up", "down", "either"].includes(direction)) return { error: "direction must be up, down or either" };
+    Object.assign(rule, { points, window, direction });
+  } else {
+    const multiplier = Number(input.multiplier ?? 3);
+    if (!(multiplier > 1)) return { error: "multiplier must be a number greater than 1" };
+    const window = input.window || "1h";
+    const baseline = input.baseline || "24h";
+    if (!durationOk(window) || !durationOk(baseline)) return { error: "window and baseline must look like 30m, 24h, 7d or 2w" };
+    if (parseDuration(baseline) <= parseDuration(window)) return { error: "baseline must be longer than window" };
+    const minVolume = Number(input.min_volume ?? 0);
+    if (!Number.isInteger(minVolume) || minVolume < 0) return { error: "min_volume must be a non-negative integer" };
+    Object.assign(rule, { multiplier, window, baseline, min_volume: minVolume });
+  }
+  for (const field of CONDITION_FIELDS) {
+    if (!TYPE_FIELDS[type].includes(field)) rule[field] = undefined;
+  }
+
+  rule.cooldown = input.cooldown || "1h";
+  if (!durationOk(rule.cooldown)) return { error: "cooldown must look like 30m, 24h, 7d or 2w" };
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== "boolean") return { error: "active must be true or false" };
+    rule.active = input.active;
+  }
+
+  const urlError = webhookUrlError(input.webhook_url);
+  if (urlError) return { error: urlError };
+  rule.webhook_url = input.webhook_url;
+
+  return rule;
+}
+
+//rule as returned by the API: the webhook secret only comes back on create and rotate
+function publicRule(rule) {
+  const { webhook, user, __v, ...rest } = rule;
+  return { ...rest, webhook_url: webhook?.url };
+}
+
+export async function listRules(userId) {
+  const rules = await AlertRule.find({ user: userId }).sort({ createdAt: -1 }).lean();
+  return rules.map(publicRule);
+}
+
+export async function getRule(userId, id) {
+  const rule = await AlertRule.findOne({ _id: id, user: userId }).lean();
+  return rule && publicRule(rule);
+}
+
+let watched = new Set(); //market tickers with at least one active rule
+let watchedLoadedAt = 0;
+let refreshing = null;
+
+function refreshWatched() {
+  if (!refreshing) {
+    refreshing = AlertRule.distinct("market_ticker", { active: true })
+      .then(tickers => {
+        watched = new Set(tickers);
+        watchedLoadedAt = Date.now();
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+//{ rule, secret } or { error, status }
+export async function createRule(userId, body = {}) {
+  if (typeof body.market_ticker !== "string" || !body.market_ticker) return { error: "market_ticker is required", status: 400 };
+  const fields = validateRule(body);
+  if (fields.error) return { error: fields.error, status: 400 };
+
+  const market = await Market.findOne({ market_ticker: body.market_ticker }, { event_ticker: 1 }).lean();
+  if (!market) return { error: `No market with ticker ${body.market_ticker}`, status: 404 };
+  if (await AlertRule.countDocuments({ user: userId }) >= MAX_RULES_PER_USER) {
+    return { error: `Alert rules are limited to ${MAX_RULES_PER_USER} per user`, status: 409 };
+  }
+
+  const { webhook_url, ...conditions } = fields;
+  const secret = generateWebhookSecret();
+  const rule = await AlertRule.create({
+    ...conditions,
+    user: userId,
+    market_ticker: body.market_ticker,
+    event_ticker: market.event_ticker,
+    webhook: { url: webhook_url, secret },
+  });
+  if (rule.active) watched.add(rule.market_ticker);
+  return { rule: publicRule(rule.toObject()), secret };
+}
+
+//{ rule } or { error, status }; market_ticker can't change, create a new rule instead
+export async function updateRule(userId, id, body = {}) {
+  if (body.market_ticker !== undefined) return { error: "market_ticker can't be changed", status: 400 };
+
+  const rule = await AlertRule.findOne({ _id: id, user: userId });
+  if (!rule) return { error: "Alert rule not found", status: 404 };
+
+  const current = rule.toObject();
+  //switching type starts the condition over instead of inheriting e.g. direction "above" into a price_move
+  if (body.type && body.type !== current.type) {
+    for (const field of CONDITION_FIELDS) delete current[field];
+  }
+  const fields = validateRule({ ...current, webhook_url: current.webhook?.url, ...body });
+  if (fields.error) return { error: fields.error, status: 400 };
+
+  const { webhook_url, ...conditions } = fields;
+  rule.set(conditions);
+  rule.set("webhook.url", webhook_url);
+  await rule.save();
+  if (rule.active) watched.add(rule.market_ticker);
+  return { rule: publicRule(rule.toObject()) };
+}
+
+export async function deleteRule(userId, id) {
+  const result = await AlertRule.deleteOne({ _id: id, user: userId });
+  return result.deletedCount > 0;
+}
+
+//new signing secret; deliveries already queued keep the old one
+export async function rotateSecret(userId, id) {
+  const secret = generateWebhookSecret();
+  const rule = await AlertRule.findOneAndUpdate(
+    { _id: id, user: userId },
+    { $set: { "webhook.secret": secret } },
+    { new: true }
+  ).lean();
+  return rule && { rule: publicRule(rule), secret };
+}
+
+function ruleConditions(rule) {
+  return Object.fromEntries(
+    ["type", ...TYPE_FIELDS[rule.type], "cooldown"].map(field => [field, rule[field]])
+  );
+}
+
+function alertPayload(event, rule, market, extra) {
+  return {
+    event,
+    alert: { id: rule._id.toString(), market_ticker: rule.market_ticker, event_ticker: rule.event_ticker, ...ruleConditions(rule) },
+    market,
+    ...extra,
+  };
+}
+
+//last snapshot at or before a time
+function snapshotAt(marketTicker, at) {
+  return MarketSnapshot.findOne({ market_ticker: marketTicker, captured_at: { $lte: at } })
+    .sort({ captured_at: -1 })
+    .lean();
+}
+
+//details for the payload when the change triggers the rule, else null
+export async function checkRule(rule, { market_ticker, previous, current }, now) {
+  if (rule.type === "price_cross") {
+    const before = previous?.yes_price;
+    const price = current?.yes_price;
+    if (before == null || price == null) return null;
+    const crossed = rule.direction === "above"
+      ? before < rule.threshold && price >= rule.threshold
+      : before > rule.threshold && price <= rule.threshold;
+    return crossed ? { previous_price: before, price } : null;
+  }
+
+  if (rule.type === "price_move") {
+    const price = current?.yes_price;
+    if (price == null) return null;
+    const base = await snapshotAt(market_ticker, new Date(now - parseDuration(rule.window)));
+    if (base?.yes_price == null) return null;
+    const change = price - base.yes_price;
+    const moved = Math.abs(change) >= rule.points &&
+      (rule.direction === "either" || (rule.direction === "up" ? change > 0 : change < 0));
+    return moved ? { baseline_price: base.yes_price, baseline_at: base.captured_at, price, change } : null;
+  }
+
+  //volume_spike: Kalshi volume is cumulative, so traded volume is a difference between snapshots
+  const volume = current?.volume;
+  if (volume == null) return null;
+  const windowMs = parseDuration(rule.window);
+  const baselineMs = parseDuration(rule.baseline);
+  const [windowStart, baselineStart] = await Promise.all([
+    snapshotAt(market_ticker, new Date(now - windowMs)),
+    snapshotAt(market_ticker, new Date(now - baselineMs)),
+  ]);
+  if (windowStart?.volume == null || baselineStart?.volume == null) return null;
+
+  const recent = volume - windowStart.volume;
+  const usual = (windowStart.volume - baselineStart.volume) * windowMs / (baselineMs - windowMs);
+  if (recent <= 0 || recent < (rule.min_volume || 0) || recent < rule.multiplier * usual) return null;
+  return {
+    volume_in_window: recent,
+    usual_volume: Math.round(usual),
+    ratio: usual > 0 ? Number((recent / usual).toFixed(2)) : null,
+  };
+}
+
+async function trigger(rule, message, details, now) {
+  //claim the trigger so another instance seeing the same change (or a quick second change) can't fire it too
+  const cooldownMs = parseDuration(rule.cooldown) ?? 0;
+  const claimed = await AlertRule.updateOne(
+    {
+      _id: rule._id,
+      active: true,
+      $or: [{ last_triggered_at: null }, { last_triggered_at: { $lte: new Date(now - cooldownMs) } }],
+    },
+    { $set: { last_triggered_at: now }, $inc: { trigger_count: 1 } }
+  );
+  if (!claimed.modifiedCount) return;
+
+  const market = { market_ticker: message.market_ticker, event_ticker: message.event_ticker, ...message.current };
+  try {
+    await enqueueWebhook({
+      user: rule.user,
+      source: { kind: "alert", id: rule._id },
+      event: "alert.triggered",
+      url: rule.webhook.url,
+      secret: rule.webhook.secret,
+      payload: alertPayload("alert.triggered", rule, market, {
+        previous: message.previous,
+        details,
+        triggered_at: now.toISOString(),
+      }),
+    });
+  } catch (err) {
+    //give the claim back, or the rule would sit out its cooldown without having sent anything
+    await AlertRule.updateOne(
+      { _id: rule._id, last_triggered_at: now },
+      { $set: { last_triggered_at: rule.last_triggered_at ?? null }, $inc: { trigger_count: -1 } }
+    );
+    throw err;
+  }
+}
+
+//evaluate every active rule on a market against one published price/volume change
+export async function evaluateMarketChange(message) {
+  const rules = await AlertRule.find({ market_ticker: message.market_ticker, active: true })
+    .select("+webhook.secret")
+    .lean();
+  const now = new Date();
+
+  for (const rule of rules) {
+    if (rule.last_triggered_at && now - rule.last_triggered_at < (parseDuration(rule.cooldown) ?? 0)) continue;
+    //one failing rule doesn't keep the market's other rules from being checked
+    try {
+      const details = await checkRule(rule, message, now);
+      if (details) await trigger(rule, message, details, now);
+    } catch (err) {
+      console.error(`alerts: failed to evaluate rule ${rule._id} on ${message.market_ticker}:`, err.message);
+    }
+  }
+}
+
+//queue a sample delivery for a rule using the market's current prices; returns the delivery or null
+export async function sendTestAlert(userId, id) {
+  const rule = await AlertRule.findOne({ _id: id, user: userId }).select("+webhook.secret").lean();
+  if (!rule) return null;
+  const market = await Market.findOne(
+    { market_ticker: rule.market_ticker },
+    { _id: 0, market_ticker: 1, event_ticker: 1, yes_price: 1, no_price: 1, volume: 1 }
+  ).lean();
+
+  return enqueueWebhook({
+    user: rule.user,
+    source: { kind: "alert", id: rule._id },
+    event: "alert.test",
+    url: rule.webhook.url,
+    secret: rule.webhook.secret,
+    payload: alertPayload("alert.test", rule, market, { sent_at: new Date().toISOString() }),
+  });
+}
+
+//changes are evaluated one at a time so a sync publishing thousands of them doesn't flood Mongo
+const queue = createSerialQueue(evaluateMarketChange, (err, message) =>
+  console.error(`alerts: failed to evaluate ${message.market_ticker}:`, err.message)
+);
+let unsubscribe = null;
+
+/**
+ * Evaluate alert rules on every market change published by the event sync
+ * and the WebSocket price feed (services/streamService.js). Only markets
+ * with an active rule are queued.
+ */
+export async function startAlertEvaluation() {
+  if (unsubscribe) return;
+  await refreshWatched();
+  unsubscribe = subscribe(buildFilter(), (message) => {
+    if (message.type !== "market") return;
+    if (Date.now() - watchedLoadedAt > WATCHED_REFRESH_MS) {
+      refreshWatched().catch(err => console.error("alerts: failed to load watched markets:", err.message));
+    }
+    if (!watched.has(message.market_ticker)) return;
+    queue.push(message);
+  });
+}
+
+export function stopAlertEvaluation() {
+  unsubscribe?.();
+  unsubscribe = null;
+}
+
+//wait until queued changes are evaluated (the CLI calls this before exiting)
+export function flushAlerts() {
+  return queue.flush();
+}
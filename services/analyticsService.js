@@ -0,0 +1,135 @@
+import Market from "../models/market.js";
+
+//keeps log loss finite for prices of 0 or 100
+const EPSILON = 0.01;
+
+//implied YES probability from a snapshot: bid/ask midpoint when both sides are quoted
+export function impliedProbability({ yes_price, no_price }) {
+  const hasYes = typeof yes_price === "number";
+  const hasNo = typeof no_price === "number";
+  if (!hasYes && !hasNo) return null;
+
+  const cents = hasYes && hasNo
+    ? (yes_price + (100 - no_price)) / 2 //no bid = 100 - yes ask
+    : hasYes ? yes_price : 100 - no_price;
+  return Math.min(1 - EPSILON, Math.max(EPSILON, cents / 100));
+}
+
+function emptyBuckets(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    lower: i / count,
+    upper: (i + 1) / count,
+    count: 0,
+    predicted: 0,
+    realized: 0,
+  }));
+}
+
+//calibration curve, Brier score and log loss for a list of { p, outcome }
+export function scoreForecasts(forecasts, bucketCount = 10) {
+  const buckets = emptyBuckets(bucketCount);
+  let brier = 0;
+  let logLoss = 0;
+
+  for (const { p, outcome } of forecasts) {
+    brier += (p - outcome) ** 2;
+    logLoss -= outcome * Math.log(p) + (1 - outcome) * Math.log(1 - p);
+
+    const bucket = buckets[Math.min(bucketCount - 1, Math.floor(p * bucketCount))];
+    bucket.count++;
+    bucket.predicted += p;
+    bucket.realized += outcome;
+  }
+
+  const n = forecasts.length;
+  return {
+    markets: n,
+    brier_score: n ? brier / n : null,
+    log_loss: n ? logLoss / n : null,
+    curve: buckets.map(b => ({
+      lower: b.lower,
+      upper: b.upper,
+      count: b.count,
+      mean_predicted: b.count ? b.predicted / b.count : null,
+      realized_frequency: b.count ? b.realized / b.count : null,
+    })),
+  };
+}
+
+/**
+ * Calibration of settled markets, using the last snapshot taken at least
+ * `horizonMs` before each market closed as the forecast.
+ *
+ * Returns overall scores plus one entry per event category.
+ */
+export async function computeCalibration({ category, horizonMs, buckets = 10 }) {
+  const rows = await Market.aggregate([
+    { $match: { result: { $in: ["yes", "no"] } } },
+    {
+      $lookup: {
+        from: "events",
+        localField: "event_ticker",
+        foreignField: "event_ticker",
+        pipeline: [{ $project: { category: 1 } }],
+        as: "event"
+      }
+    },
+    { $set: { category: { $first: "$event.category" } } },
+    ...(category ? [{ $match: { category } }] : []),
+    {
+      $set: {
+        cutoff: {
+          $dateSubtract: {
+            startDate: { $ifNull: ["$close_time", "$expires_at"] },
+            unit: "millisecond",
+            amount: horizonMs
+          }
+        }
+      }
+    },
+
+    // last price captured before the horizon
+    {
+      $lookup: {
+        from: "marketsnapshots",
+        let: { ticker: "$market_ticker", cutoff: "$cutoff" },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ["$market_ticker", "$$ticker"] }, { $lte: ["$captured_at", "$$cutoff"] }] } } },
+          { $sort: { captured_at: -1 } },
+          { $limit: 1 }
+        ],
+        as: "snapshot"
+      }
+    },
+    { $unwind: "$snapshot" },
+    {
+      $project: {
+        _id: 0,
+        category: 1,
+        result: 1,
+        yes_price: "$snapshot.yes_price",
+        no_price: "$snapshot.no_price"
+      }
+    }
+  ]);
+
+  const byCategory = new Map();
+  const all = [];
+  for (const row of rows) {
+    const p = impliedProbability(row);
+    if (p === null) continue;
+
+    const forecast = { p, outcome: row.result === "yes" ? 1 : 0 };
+    all.push(forecast);
+    const key = row.category || "Uncategorized";
+    if (!byCategory.has(key)) byCategory.set(key, []);
+    byCategory.get(key).push(forecast);
+  }
+
+  return {
+    overall: scoreForecasts(all, buckets),
+    categories: [...byCategory.entries()]
+      .map(([name, forecasts]) => ({ category: name, ...scoreForecasts(forecasts, buckets) }))
+      .sort((a, b) => b.markets - a.markets),
+  };
+}
@@ -0,0 +1,75 @@
+import Event from "../models/event.js";
+import Market from "../models/market.js";
+import { getKalshiClient } from "./kalshiClient.js";
+
+//how long after archiving we keep asking Kalshi for a missing settlement
+const SETTLEMENT_LOOKBACK_DAYS = 14;
+
+//mark everything past expires_at as archived; returns counts
+export async function archiveExpired(now = new Date()) {
+  const expired = { expires_at: { $lt: now }, archived: { $ne: true } };
+  const archive = { $set: { archived: true, archived_at: now } };
+
+  const [events, markets] = await Promise.all([
+    Event.updateMany(expired, archive),
+    Market.updateMany(expired, archive),
+  ]);
+  return { events: events.modifiedCount, markets: markets.modifiedCount };
+}
+
+/**
+ * Fill in result, settlement value and close time for archived markets
+ * that do not have a result yet, one Kalshi event request per event.
+ * Markets still awaiting determination are retried on later runs.
+ * Events whose request failed are listed in failures.
+ */
+export async function settleArchivedMarkets(now = new Date()) {
+  const since = new Date(now.getTime() - SETTLEMENT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const eventTickers = await Market.distinct("event_ticker", {
+    archived: true,
+    archived_at: { $gte: since },
+    result: { $in: [null, ""] },
+  });
+
+  let settled = 0;
+  let failed = 0;
+  const failures = [];
+  for (const eventTicker of eventTickers) {
+    try {
+      const data = await getKalshiClient().get(`/events/${encodeURIComponent(eventTicker)}`, { with_nested_markets: true });
+      const markets = data.markets || data.event?.markets || [];
+
+      const ops = markets.map(m => ({
+        updateOne: {
+          filter: { market_ticker: m.ticker },
+          update: {
+            $set: {
+              status: m.status,
+              result: m.result || "",
+              settlement_value: m.settlement_value,
+              close_time: m.close_time ? new Date(m.close_time) : undefined,
+            }
+          }
+        }
+      }));
+      if (ops.length) {
+        await Market.bulkWrite(ops, { ordered: false });
+        settled += markets.filter(m => m.result).length;
+      }
+
+      const closeTimes = markets.filter(m => m.close_time).map(m => new Date(m.close_time).getTime());
+      if (closeTimes.length) {
+        await Event.updateOne(
+          { event_ticker: eventTicker },
+          { $set: { close_time: new Date(Math.max(...closeTimes)), status: data.event?.status } }
+        );
+      }
+    } catch (err) {
+      failed++;
+      failures.push({ event_ticker: eventTicker, message: `${err.name}: ${err.message}` });
+      console.error(`Failed to fetch settlement for ${eventTicker} (${err.name}):`, err.message);
+    }
+  }
+
+  return { events: eventTickers.length, settled, failed, failures };
+}
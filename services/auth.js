@@ -0,0 +1,125 @@
+import { createHash, randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import User from "../models/user.js";
+import ApiKey from "../models/apiKey.js";
+import { signJwt, verifyJwt } from "../utils/jwt.js";
+import { parseDuration } from "../utils/time.js";
+
+const scryptAsync = promisify(scrypt);
+
+//API keys are told apart from JWTs by this prefix
+const API_KEY_PREFIX = "ksk_";
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+//don't write last_used_at on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+//accounts (register, login, JWTs) need JWT_SECRET; API keys keep working without it
+export function accountsEnabled() {
+  return Boolean(process.env.JWT_SECRET);
+}
+
+function tokenTtlMs() {
+  return parseDuration(process.env.JWT_TTL || "7d") ?? parseDuration("7d");
+}
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+async function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+//fields safe to return to the client
+export function publicUser(user) {
+  return { _id: user._id, email: user.email, name: user.name, createdAt: user.createdAt };
+}
+
+//validate a register/login body; returns { error } or { email, password, name }
+export function parseCredentials(body = {}) {
+  const email = typeof body.email === "string" ? body.email.trim().toLowerCase() : "";
+  const password = typeof body.password === "string" ? body.password : "";
+  if (!EMAIL.test(email)) return { error: "email must be a valid email address" };
+  if (password.length < MIN_PASSWORD_LENGTH) return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  const name = typeof body.name === "string" ? body.name.trim().slice(0, 100) : undefined;
+  return { email, password, name };
+}
+
+//rejects with code 11000 when the email is taken
+export async function registerUser({ email, password, name }) {
+  return User.create({ email, name, password_hash: await hashPassword(password) });
+}
+
+//the user for a correct email/password pair, else null
+export async function loginUser({ email, password }) {
+  const user = await User.findOne({ email }).select("+password_hash");
+  if (!user) {
+    await hashPassword(password); //same work as a wrong password, so timing doesn't reveal which emails exist
+    return null;
+  }
+  return (await verifyPassword(password, user.password_hash)) ? user : null;
+}
+
+export function issueToken(user) {
+  const ttl = tokenTtlMs();
+  return {
+    token: signJwt({ sub: user._id.toString() }, process.env.JWT_SECRET, ttl),
+    expires_at: new Date(Date.now() + ttl),
+  };
+}
+
+//returns the plain key, shown once, and the stored record
+export async function createApiKey(userId, name) {
+  const key = `${API_KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const apiKey = await ApiKey.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    key_hash: sha256(key),
+  });
+  return { key, apiKey };
+}
+
+export function listApiKeys(userId) {
+  return ApiKey.find({ user: userId }, { key_hash: 0 }).sort({ createdAt: -1 }).lean();
+}
+
+//true when the key existed and belonged to the user
+export async function revokeApiKey(userId, keyId) {
+  const result = await ApiKey.deleteOne({ _id: keyId, user: userId });
+  return result.deletedCount > 0;
+}
+
+async function userForApiKey(key) {
+  const apiKey = await ApiKey.findOne({ key_hash: sha256(key) }, { user: 1, last_used_at: 1 }).lean();
+  if (!apiKey) return null;
+
+  const now = new Date();
+  if (!apiKey.last_used_at || now - apiKey.last_used_at > LAST_USED_RESOLUTION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { last_used_at: now } });
+  }
+  return User.findById(apiKey.user).lean();
+}
+
+//the user behind a bearer token (API key or JWT); null when it is invalid, expired or revoked
+export async function userForBearer(token) {
+  if (token.startsWith(API_KEY_PREFIX)) return userForApiKey(token);
+  if (!accountsEnabled()) return null;
+
+  const payload = verifyJwt(token, process.env.JWT_SECRET);
+  if (!payload?.sub || !/^[0-9a-f]{24}$/.test(payload.sub)) return null;
+  return User.findById(payload.sub).lean();
+}
@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import Event from "../models/event.js";
+import { relatedNewsLookup } from "./newsRanking.js";
+import { parseDateParam } from "../utils/time.js";
+import {
+  parseLimit,
+  parseBoolean,
+  withTieBreaker,
+  decodeCursor,
+  keysetMatch,
+  sortStage,
+  toPage,
+} from "../utils/pagination.js";
+
+//far-future date so events without an expiry sort last
+const NO_EXPIRY = new Date(8640000000000000);
+
+//sort keys accepted by ?sort=
+export const EVENT_SORTS = {
+  expiry: [["_sortExpiry", 1], ["newsCount", -1]],
+  volume: [["totalVolume", -1]],
+  news: [["newsCount", -1]],
+  updated: [["_sortUpdated", -1]],
+  closed: [["_sortClosed", -1]],
+};
+
+//validate list query params; returns { error } or the parsed options
+export function parseEventListOptions(query) {
+  const sortKey = query.sort || "expiry";
+  if (!EVENT_SORTS[sortKey]) {
+    return { error: `sort must be one of ${Object.keys(EVENT_SORTS).join(", ")}` };
+  }
+
+  const limit = parseLimit(query.limit);
+  if (limit === null) return { error: "limit must be a positive integer" };
+
+  const expiresBefore = parseDateParam(query.expires_before);
+  const expiresAfter = parseDateParam(query.expires_after);
+  if (expiresBefore === undefined || expiresAfter === undefined) {
+    return { error: "expires_before/expires_after must be ISO dates or epoch milliseconds" };
+  }
+
+  const hasNews = parseBoolean(query.has_news);
+  if (hasNews === null) return { error: "has_news must be true or false" };
+
+  let minVolume = null;
+  if (query.min_volume !== undefined && query.min_volume !== "") {
+    minVolume = Number(query.min_volume);
+    if (!Number.isFinite(minVolume)) return { error: "min_volume must be a number" };
+  }
+
+  return {
+    sortKey,
+    limit,
+    cursor: query.cursor || null,
+    filters: {
+      status: query.status,
+      category: query.category,
+      expiresBefore,
+      expiresAfter,
+      hasNews,
+      minVolume,
+    },
+  };
+}
+
+function buildMatch({ status, category, expiresBefore, expiresAfter, hasNews }) {
+  const match = {};
+  if (status) match.status = status;
+  if (category) match.category = category;
+  if (expiresBefore || expiresAfter) {
+    match.expires_at = {};
+    if (expiresBefore) match.expires_at.$lt = expiresBefore;
+    if (expiresAfter) match.expires_at.$gt = expiresAfter;
+  }
+  if (hasNews === true) match["related_news.0"] = { $exists: true };
+  if (hasNews === false) match["related_news.0"] = { $exists: false };
+  return match;
+}
+
+/**
+ * One page of events with markets and the five most relevant related articles.
+ *
+ * `baseMatch` is the route's own scope (e.g. a category); `leadingSort`
+ * is prepended to the chosen sort key. Archived markets are left out
+ * unless `archived` is set. Returns { items, nextCursor }, or { error }
+ * when the cursor does not belong to this sort.
+ */
+export async function listEvents(baseMatch, options, { leadingSort = [], archived = false } = {}) {
+  const sort = withTieBreaker([...leadingSort, ...EVENT_SORTS[options.sortKey]]);
+
+  let cursorValues = null;
+  if (options.cursor) {
+    cursorValues = decodeCursor(options.cursor, sort, mongoose.Types.ObjectId);
+    if (!cursorValues) return { error: "Invalid cursor" };
+  }
+
+  const pipeline = [
+    { $match: { ...baseMatch, ...buildMatch(options.filters) } },
+
+    // populate markets
+    {
+      $lookup: {
+        from: "markets",
+        localField: "markets",
+        foreignField: "_id",
+        pipeline: archived ? [] : [{ $match: { archived: { $ne: true } } }],
+        as: "markets"
+      }
+    },
+    {
+      $addFields: {
+        totalVolume: { $sum: "$markets.volume" },
+        newsCount: { $size: { $ifNull: ["$related_news", []] } },
+        hasMarkets: { $gt: [{ $size: "$markets" }, 0] },
+        _sortExpiry: { $ifNull: ["$expires_at", NO_EXPIRY] },
+        _sortUpdated: { $ifNull: ["$updatedAt", new Date(0)] },
+        _sortClosed: { $ifNull: ["$close_time", { $ifNull: ["$expires_at", new Date(0)] }] },
+      }
+    },
+  ];
+
+  if (options.filters.minVolume !== null) {
+    pipeline.push({ $match: { totalVolume: { $gte: options.filters.minVolume } } });
+  }
+  if (cursorValues) {
+    pipeline.push(keysetMatch(sort, cursorValues));
+  }
+
+  pipeline.push(
+    sortStage(sort),
+    { $limit: options.limit + 1 },
+
+    // populate the most relevant related_news
+    relatedNewsLookup(5)
+  );
+
+  const docs = await Event.aggregate(pipeline);
+  const page = toPage(docs, options.limit, sort);
+  for (const doc of page.items) {
+    delete doc._sortExpiry;
+    delete doc._sortUpdated;
+    delete doc._sortClosed;
+    delete doc.news_links;
+  }
+  return page;
+}
@@ -0,0 +1,139 @@
+import Market from "../models/market.js";
+import MarketSnapshot from "../models/marketSnapshot.js";
+import News from "../models/news.js";
+import { collapseStories } from "./storyClustering.js";
+
+const RESOLUTION_MS = {
+  "1m": 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_TIMELINE_RANGE_MS = 366 * DAY_MS;
+export const MAX_HORIZON_MS = 7 * DAY_MS;
+//price points a timeline may return; raw snapshots (every sync, ~15 minutes) only up to RAW_RANGE_MS
+export const MAX_PRICE_POINTS = 2000;
+const RAW_RANGE_MS = 7 * DAY_MS;
+
+const TIMELINE_NEWS_FIELDS = { id: 1, title: 1, canonical_url: 1, source: 1, published_at: 1, thumbnail: 1, story_id: 1 };
+
+/**
+ * Check a timeline's range and pick its resolution: the requested one if it
+ * keeps the range within MAX_PRICE_POINTS buckets, else, when none was
+ * requested and the range is too long for raw snapshots, the finest one that
+ * does. Returns { resolution } (null for raw) or { error }.
+ */
+export function timelineResolution(from, to, requested) {
+  const rangeMs = to.getTime() - from.getTime();
+  if (rangeMs > MAX_TIMELINE_RANGE_MS) return { error: "from/to may span at most 366 days" };
+
+  const fits = (resolution) => rangeMs / RESOLUTION_MS[resolution] <= MAX_PRICE_POINTS;
+  if (requested) {
+    if (!fits(requested)) return { error: `resolution ${requested} gives too many points for this range, use a coarser one` };
+    return { resolution: requested };
+  }
+  if (rangeMs <= RAW_RANGE_MS) return { resolution: null };
+  return { resolution: Object.keys(RESOLUTION_MS).find(fits) };
+}
+
+//the market a timeline follows: the requested one, else the event's most traded
+export async function timelineMarket(event, marketTicker) {
+  const fields = { _id: 0, market_ticker: 1, name: 1, yes_sub_title: 1, yes_price: 1, volume: 1 };
+  if (marketTicker) return Market.findOne({ market_ticker: marketTicker, event_ticker: event.event_ticker }, fields).lean();
+  return Market.findOne({ event_ticker: event.event_ticker }, fields).sort({ volume: -1, market_ticker: 1 }).lean();
+}
+
+//index of the last snapshot at or before `at` in snapshots sorted by captured_at, -1 if none
+function lastIndexAtOrBefore(snapshots, at) {
+  let lo = 0;
+  let hi = snapshots.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (snapshots[mid].captured_at <= at) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+function priceAt(snapshots, at) {
+  const i = lastIndexAtOrBefore(snapshots, at);
+  return i === -1 ? null : snapshots[i].yes_price ?? null;
+}
+
+//last snapshot of each resolution bucket (UTC, like $dateTrunc)
+function downsample(snapshots, resolution) {
+  if (!resolution) return snapshots;
+  const size = RESOLUTION_MS[resolution];
+  const buckets = new Map();
+  for (const snapshot of snapshots) {
+    const bucket = Math.floor(snapshot.captured_at.getTime() / size) * size;
+    buckets.set(bucket, { ...snapshot, captured_at: new Date(bucket) });
+  }
+  return [...buckets.values()];
+}
+
+/**
+ * One event's news and one market's price history merged into a single
+ * stream, oldest first. Price items are the sync snapshots in [from, to]
+ * (the last one per bucket with a resolution); news items are the event's
+ * linked articles published in [from, to], near-duplicates collapsed into
+ * the earliest copy. Each article carries the yes_price when it was
+ * published and `horizonMs` later, and the change between them; the later
+ * price is null until that time has passed.
+ */
+export async function buildTimeline(event, market, { from, to, horizonMs, resolution }) {
+  const links = new Map((event.news_links || []).map(l => [l.news.toString(), l]));
+  const newsIds = [...new Set([...(event.related_news || []).map(String), ...links.keys()])];
+
+  //snapshots up to the last article's horizon, plus the last one before `from` to price early articles
+  const [articles, before] = await Promise.all([
+    newsIds.length
+      ? News.find({ _id: { $in: newsIds }, published_at: { $gte: from, $lte: to } }, TIMELINE_NEWS_FIELDS)
+        .sort({ published_at: 1, _id: 1 })
+        .lean()
+      : [],
+    MarketSnapshot.findOne({ market_ticker: market.market_ticker, captured_at: { $lt: from } })
+      .sort({ captured_at: -1 })
+      .select("yes_price no_price volume captured_at -_id")
+      .lean(),
+  ]);
+  const lastPublished = articles.length ? articles[articles.length - 1].published_at : to;
+  const until = new Date(Math.max(to.getTime(), lastPublished.getTime() + horizonMs));
+  const snapshots = await MarketSnapshot.find({ market_ticker: market.market_ticker, captured_at: { $gte: from, $lte: until } })
+    .select("yes_price no_price volume captured_at -_id")
+    .sort({ captured_at: 1 })
+    .lean();
+  const priced = before ? [before, ...snapshots] : snapshots;
+
+  const now = new Date();
+  const news = collapseStories(articles).map(({ _id, ...article }) => {
+    const link = links.get(_id.toString());
+    const later = new Date(article.published_at.getTime() + horizonMs);
+    const priceAtPublish = priceAt(priced, article.published_at);
+    const priceAfter = later <= now ? priceAt(priced, later) : null;
+    return {
+      type: "news",
+      at: article.published_at,
+      _id,
+      ...article,
+      relevance: link?.score ?? null,
+      linked_at: link?.linked_at ?? null,
+      price_at_publish: priceAtPublish,
+      price_after: priceAfter,
+      price_change: priceAtPublish != null && priceAfter != null ? priceAfter - priceAtPublish : null,
+    };
+  });
+
+  const prices = downsample(snapshots.filter(s => s.captured_at <= to), resolution)
+    .map(({ captured_at, ...point }) => ({ type: "price", at: captured_at, ...point }));
+
+  //a price point and an article at the same instant: the price comes first, it's what the article saw
+  const items = [...prices, ...news].sort((a, b) => a.at - b.at || (a.type === "price" ? -1 : 1) - (b.type === "price" ? -1 : 1));
+  return { items, news_count: news.length, price_points: prices.length };
+}
@@ -6,8 +6,10 @@
  * 
  * Usage:
  *   import { generateSearchQueries } from './generic-search-generator.js';
- *   const queries = generateSearchQueries(event);
- *   console.log(queries.searchQueries); // ['cleaned title', 'key words', 'category enhanced']
+ *   const queries = generateSearchQueries(event, markets);
+ *   console.log(queries.strategies); // [{ name: 'phrase', query: '"Kansas City Chiefs" ...' }, ...]
+ *
+ * Worked examples for each strategy live in test/searchQueries.test.js.
  */
   
   /**
@@ -27,83 +29,206 @@
       .trim();
   }
   
+  // Lowercase words allowed inside a proper-noun phrase ("Bank of England")
+  const PHRASE_CONNECTORS = ['of', 'the', 'and', '&', 'de', 'la', 'du', 'van', 'von'];
+  
+  // Capitalized words that open a question rather than a name
+  const QUESTION_STARTERS = ['will', 'who', 'what', 'when', 'where', 'why', 'how', 'which', 'does', 'is', 'are', 'can'];
+  
+  // Terms that attract off-topic coverage, excluded per category
+  const CATEGORY_EXCLUSIONS = {
+    'Sports': ['fantasy', 'betting'],
+    'Crypto': ['casino'],
+    'Financials': ['horoscope'],
+    'Economics': ['horoscope'],
+    'Entertainment': ['fanfiction'],
+  };
+  
+  const MONTH = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+  const DATE_PATTERNS = [
+    new RegExp(`\\b${MONTH}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`, 'gi'), // Dec 31, 2025 / March 5
+    new RegExp(`\\b${MONTH}\\.?,?\\s+\\d{4}\\b`, 'gi'), // December 2025
+    /\bQ[1-4]\s+\d{4}\b/gi, // Q3 2025
+    /\b\d{4}-\d{2}-\d{2}\b/g, // 2025-12-31
+  ];
+  
+  // $100,000 / $1.5T / 4.5% / 25bps / 70° / 3 million
+  const NUMERIC_PATTERN = /\$\s?\d[\d,]*(?:\.\d+)?\s?(?:[kmbt]\b|bn\b|thousand|million|billion|trillion)?|\b\d[\d,]*(?:\.\d+)?\s?(?:%|bps\b|°\s?[FC]?|thousand\b|million\b|billion\b|trillion\b)/gi;
+  
+  const CONJUNCTIONS = ['and', 'or', 'but', 'for', 'nor', 'yet', 'so'];
+  const COMMON_WORDS = ['the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been', 'being'];
+  const MODAL_VERBS = ['will', 'would', 'should', 'could', 'might', 'may'];
+  const DEMONSTRATIVES = ['this', 'that', 'these', 'those', 'here', 'there'];
+  
+  function isKeyword(word) {
+    return word.length >= 3 && // At least 3 characters
+      !CONJUNCTIONS.includes(word) && // Remove conjunctions
+      !COMMON_WORDS.includes(word) && // Remove common words
+      !MODAL_VERBS.includes(word) && // Remove modal verbs
+      !DEMONSTRATIVES.includes(word) && // Remove demonstratives
+      !/^\d+$/.test(word); // Remove pure numbers
+  }
+  
+  function isCapitalized(word) {
+    return /^[A-Z][\p{L}\p{N}.'’-]*$/u.test(word) || /^[A-Z0-9]{2,}$/.test(word);
+  }
+  
+  /**
+   * Extract multi-word proper-noun phrases ("Kansas City Chiefs", "Bank of England")
+   */
+  export function extractPhrases(title) {
+    const words = String(title || '').replace(/[?!,;:()"]/g, ' ').split(/\s+/).filter(Boolean);
+    const phrases = [];
+    let current = [];
+    
+    const flush = () => {
+      // Drop trailing connectors ("Bank of")
+      while (current.length && PHRASE_CONNECTORS.includes(current[current.length - 1].toLowerCase())) current.pop();
+      if (current.length >= 2) phrases.push(current.join(' '));
+      current = [];
+    };
+    
+    words.forEach((word, i) => {
+      const bare = word.replace(/['’]s$/, '').replace(/\.$/, '');
+      if (i === 0 && QUESTION_STARTERS.includes(bare.toLowerCase())) return;
+      
+      if (isCapitalized(bare) && !/^\d+$/.test(bare)) {
+        current.push(bare);
+        if (bare !== word.replace(/\.$/, '')) flush(); // possessive ends the phrase
+      } else if (current.length && PHRASE_CONNECTORS.includes(word.toLowerCase())) {
+        current.push(word.toLowerCase());
+      } else {
+        flush();
+      }
+    });
+    flush();
+    
+    return [...new Set(phrases)];
+  }
+  
+  /**
+   * Extract numeric thresholds ("$100,000", "4.5%", "70°") from text such as market sub-titles
+   */
+  export function extractNumericTerms(text) {
+    const matches = String(text || '').match(NUMERIC_PATTERN) || [];
+    return [...new Set(matches.map(m => m.replace(/\s+/g, '').trim()))];
+  }
+  
+  /**
+   * Extract dates ("Dec 31, 2025", "December 2025", "Q3 2025") from text
+   */
+  export function extractDates(text) {
+    const found = [];
+    for (const pattern of DATE_PATTERNS) {
+      for (const match of String(text || '').matchAll(pattern)) {
+        // Skip a shorter match already covered by a longer one ("December 2025" inside "December 31, 2025")
+        if (!found.some(f => f.includes(match[0]))) found.push(match[0]);
+      }
+    }
+    return found;
+  }
+  
   /**
    * Extract key terms from event title
+   * 
+   * Multi-word proper nouns stay together as one lowercase term
+   * ("kansas city chiefs"), other words are split and filtered.
    */
   export function extractKeywords(title) {
+    const phrases = extractPhrases(title).map(p => p.toLowerCase());
+    const phraseWords = new Set(phrases.flatMap(p => p.split(' ')));
     const cleaned = cleanEventTitle(title);
     
     const words = cleaned
       .split(' ')
-      .map(word => word.toLowerCase().replace(/[?!.,]/g, '')) // Remove punctuation
-      .filter(word => 
-        word.length >= 3 && // At least 3 characters
-        !['and', 'or', 'but', 'for', 'nor', 'yet', 'so'].includes(word) && // Remove conjunctions
-        !['the', 'a', 'an', 'is', 'are', 'was', 'were', 'be', 'been', 'being'].includes(word) && // Remove common words
-        !['will', 'would', 'should', 'could', 'might', 'may'].includes(word) && // Remove modal verbs
-        !['this', 'that', 'these', 'those', 'here', 'there'].includes(word) && // Remove demonstratives
-        !/^\d+$/.test(word) // Remove pure numbers
-      );
-  
-    return [...new Set(words)]; // Remove duplicates
+      .map(word => word.toLowerCase().replace(/[?!.,]/g, '').replace(/['’]s$/, '')) // Remove punctuation
+      .filter(word => isKeyword(word) && !phraseWords.has(word));
+  
+    return [...new Set([...phrases, ...words])]; // Remove duplicates
+  }
+  
+  // Quote multi-word terms so Google News matches them as phrases
+  function quote(term) {
+    return term.includes(' ') ? `"${term}"` : term;
   }
   
   /**
    * Generate targeted search queries for Google News
    * 
-   * Creates 3 search strategies:
-   * 1. Cleaned title (most relevant)
-   * 2. Key terms only (3-4 most important words)
-   * 3. Category-enhanced query (optional)
+   * `markets` (optional) are the event's markets; their sub-titles supply
+   * numeric thresholds and dates.
+   * 
+   * Strategies, most specific first:
+   * 1. phrase: quoted proper-noun phrases plus top key terms
+   * 2. cleaned title
+   * 3. key terms only (3-4 most important terms, phrases quoted)
+   * 4. threshold: top terms plus numbers and dates from the title and market sub-titles
+   * 5. category-enhanced query
+   * 
+   * Every query carries the category's exclusion terms ("-fantasy").
    */
-  export function generateSearchQueries(event){
+  export function generateSearchQueries(event, markets = []){
     const original = event.title;
     const cleaned = cleanEventTitle(original);
     const keywords = extractKeywords(original);
+    const phrases = extractPhrases(original);
     
-    const searchQueries= [];
+    const subTitles = markets.flatMap(m => [m.yes_sub_title, m.sub_title, m.name]).filter(Boolean);
+    const numericTerms = [...new Set([original, ...subTitles].flatMap(extractNumericTerms))];
+    const dates = [...new Set([original, event.sub_title, ...subTitles].flatMap(extractDates))];
     
-    // Strategy 1: Cleaned title (most relevant)
+    const exclusions = [...new Set([
+      ...(CATEGORY_EXCLUSIONS[event.category] || []),
+      ...(event.exclude_terms || []),
+    ])];
+    const suffix = exclusions.length ? ' ' + exclusions.map(t => `-${quote(t)}`).join(' ') : '';
+    
+    const strategies = [];
+    const add = (name, query) => {
+      const trimmed = query.replace(/\s+/g, ' ').trim();
+      if (trimmed && !strategies.some(s => s.query === trimmed + suffix)) {
+        strategies.push({ name, query: trimmed + suffix });
+      }
+    };
+    
+    const topTerms = keywords.slice(0, 4).map(quote);
+    
+    // Strategy 1: Proper-noun phrases (most precise)
+    if (phrases.length > 0) {
+      const phraseWords = new Set(phrases.flatMap(p => p.toLowerCase().split(' ')));
+      const extras = keywords.filter(k => !k.includes(' ') && !phraseWords.has(k)).slice(0, 2);
+      add('phrase', [...phrases.map(quote), ...extras].join(' '));
+    }
+    
+    // Strategy 2: Cleaned title
     if (cleaned.length > 0) {
-      searchQueries.push(cleaned);
+      add('cleaned', cleaned);
     }
     
-    // Strategy 2: Key terms only (3-4 most important words)
-    if (keywords.length > 0) {
-      const topKeywords = keywords.slice(0, 4);
-      searchQueries.push(topKeywords.join(' '));
+    // Strategy 3: Key terms only
+    if (topTerms.length > 0) {
+      add('keywords', topTerms.join(' '));
     }
     
-    // Strategy 3: Category-enhanced query (optional)
+    // Strategy 4: Thresholds and dates from market sub-titles
+    if (topTerms.length > 0 && (numericTerms.length || dates.length)) {
+      add('threshold', [...topTerms.slice(0, 2), ...numericTerms.slice(0, 2).map(quote), ...dates.slice(0, 1).map(quote)].join(' '));
+    }
+    
+    // Strategy 5: Category-enhanced query
     if (event.category && keywords.length >= 2) {
-      const categoryEnhanced = `${keywords.slice(0, 2).join(' ')} ${event.category.toLowerCase()}`;
-      searchQueries.push(categoryEnhanced);
+      add('category', `${topTerms.slice(0, 2).join(' ')} ${event.category.toLowerCase()}`);
     }
     
     return {
       original,
       cleaned,
       keywords,
-      searchQueries: [...new Set(searchQueries)] // Remove duplicates
+      phrases,
+      numericTerms,
+      dates,
+      exclusions,
+      strategies,
+      searchQueries: strategies.map(s => s.query),
     };
   }
-  
-  // Example usage:
-  /*
-  const event = {
-    id: 'test1',
-    event_ticker: 'KXSUPERBOWL-25',
-    title: 'Will the Kansas City Chiefs win Super Bowl 2025?',
-    category: 'Sports',
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
-  };
-  
-  const result = generateSearchQueries(event);
-  console.log(result.searchQueries);
-  // Output: [
-  //   "the Kansas City Chiefs win Super Bowl 2025?",
-  //   "kansas city chiefs win", 
-  //   "kansas city sports"
-  // ]
-  */
\ No newline at end of file
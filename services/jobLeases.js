@@ -0,0 +1,72 @@
+import os from "node:os";
+import { randomBytes } from "node:crypto";
+import JobLease from "../models/jobLease.js";
+
+/**
+ * One lease per job in the joblease collection, so a job never runs twice at
+ * once: across server instances (services/scheduler.js) and between the
+ * server and scripts/cli.js runs, which take the same lease.
+ */
+
+//identifies this process as a lease owner
+export const OWNER = `${os.hostname()}:${process.pid}:${randomBytes(3).toString("hex")}`;
+
+export function leaseTtlMs() {
+  return parseInt(process.env.JOB_LEASE_TTL_MS || "300000");
+}
+
+//take the lease if it is free, expired or already ours; false if another process holds it
+export async function acquireLease(name) {
+  const now = new Date();
+  try {
+    const lease = await JobLease.findOneAndUpdate(
+      { job: name, $or: [{ expires_at: { $lte: now } }, { owner: OWNER }] },
+      { $set: { owner: OWNER, expires_at: new Date(now.getTime() + leaseTtlMs()) } },
+      { upsert: true, new: true }
+    );
+    return Boolean(lease);
+  } catch (err) {
+    //no matching lease and the insert hit the unique index: someone else holds it
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+async function renewLease(name) {
+  await JobLease.updateOne(
+    { job: name, owner: OWNER },
+    { $set: { expires_at: new Date(Date.now() + leaseTtlMs()) } }
+  );
+}
+
+//renew the lease every third of its TTL until the returned timer is cleared
+export function keepLease(name) {
+  return setInterval(() => {
+    renewLease(name).catch(err => console.error(`job lease: failed to renew lease for ${name}:`, err.message));
+  }, Math.max(1000, Math.floor(leaseTtlMs() / 3)));
+}
+
+export async function releaseLease(name) {
+  await JobLease.deleteOne({ job: name, owner: OWNER });
+}
+
+//owner of the job's unexpired lease, or null
+export async function leaseHolder(name) {
+  const lease = await JobLease.findOne({ job: name, expires_at: { $gt: new Date() } }).lean();
+  return lease?.owner ?? null;
+}
+
+/**
+ * Run fn while holding the job's lease. Resolves with { result } once fn
+ * has finished, or null without running it when the lease is held elsewhere.
+ */
+export async function withJobLease(name, fn) {
+  if (!(await acquireLease(name))) return null;
+  const renewal = keepLease(name);
+  try {
+    return { result: await fn() };
+  } finally {
+    clearInterval(renewal);
+    await releaseLease(name).catch(err => console.error(`job lease: failed to release lease for ${name}:`, err.message));
+  }
+}
@@ -0,0 +1,148 @@
+import axios from "axios";
+
+const KALSHI_BASE_URL = "https://api.elections.kalshi.com/trade-api/v2";
+
+//base class for every failure surfaced by the client
+export class KalshiError extends Error {
+  constructor(message, { status, code, retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = "KalshiError";
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+//4xx other than 429; retrying will not help
+export class KalshiApiError extends KalshiError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = "KalshiApiError";
+  }
+}
+
+//429; retryAfterMs is taken from the Retry-After header when present
+export class KalshiRateLimitError extends KalshiError {
+  constructor(message, { retryAfterMs, ...opts } = {}) {
+    super(message, { ...opts, retryable: true });
+    this.name = "KalshiRateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+//5xx
+export class KalshiServerError extends KalshiError {
+  constructor(message, opts) {
+    super(message, { ...opts, retryable: true });
+    this.name = "KalshiServerError";
+  }
+}
+
+export class KalshiTimeoutError extends KalshiError {
+  constructor(message, opts) {
+    super(message, { ...opts, retryable: true });
+    this.name = "KalshiTimeoutError";
+  }
+}
+
+//connection refused/reset, DNS failures
+export class KalshiNetworkError extends KalshiError {
+  constructor(message, opts) {
+    super(message, { ...opts, retryable: true });
+    this.name = "KalshiNetworkError";
+  }
+}
+
+//Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (value == null || value === "") return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+//map an axios failure onto the typed errors above
+export function toKalshiError(err, path) {
+  if (err instanceof KalshiError) return err;
+
+  const status = err.response?.status;
+  const detail = err.response?.data?.error?.message || err.response?.data?.message || err.message;
+  const message = `GET ${path} failed${status ? ` (${status})` : ""}: ${detail}`;
+
+  if (status === 429) {
+    return new KalshiRateLimitError(message, {
+      status,
+      retryAfterMs: parseRetryAfter(err.response.headers?.["retry-after"]),
+      cause: err,
+    });
+  }
+  if (status >= 500) return new KalshiServerError(message, { status, cause: err });
+  if (status) return new KalshiApiError(message, { status, cause: err });
+  if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") {
+    return new KalshiTimeoutError(message, { code: err.code, cause: err });
+  }
+  return new KalshiNetworkError(message, { code: err.code, cause: err });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Kalshi REST client with a per-second request budget, per-request
+ * timeouts and retries with exponential backoff and full jitter.
+ *
+ * 429s wait at least as long as Retry-After asks. Non-retryable errors
+ * and exhausted retries throw one of the Kalshi*Error classes.
+ */
+export function createKalshiClient({
+  baseUrl = process.env.KALSHI_BASE_URL || KALSHI_BASE_URL,
+  requestsPerSecond = parseFloat(process.env.KALSHI_REQUESTS_PER_SECOND || "10"),
+  timeoutMs = parseInt(process.env.KALSHI_TIMEOUT_MS || "15000"),
+  maxRetries = parseInt(process.env.KALSHI_MAX_RETRIES || "5"),
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  logger = console,
+} = {}) {
+  const http = axios.create({ baseURL: baseUrl, timeout: timeoutMs });
+  const minIntervalMs = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  //reserve the next request slot so concurrent callers share the budget
+  async function acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + minIntervalMs;
+    if (slot > now) await sleep(slot - now);
+  }
+
+  function backoff(attempt, err) {
+    const jittered = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return err.retryAfterMs != null ? Math.max(err.retryAfterMs, jittered) : jittered;
+  }
+
+  async function get(path, params) {
+    for (let attempt = 0; ; attempt++) {
+      await acquire();
+      try {
+        const { data } = await http.get(path, { params });
+        return data;
+      } catch (raw) {
+        const err = toKalshiError(raw, path);
+        if (!err.retryable || attempt >= maxRetries) throw err;
+
+        const delay = backoff(attempt, err);
+        logger.warn(`${err.name}: ${err.message}; retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return { get, baseUrl };
+}
+
+//shared instance, created on first use so .env is loaded by then
+let sharedClient = null;
+export function getKalshiClient() {
+  if (!sharedClient) sharedClient = createKalshiClient();
+  return sharedClient;
+}
@@ -1,98 +1,362 @@
-import axios from "axios";
+import { Types } from "mongoose";
 import Event from "../models/event.js";
 import Market from "../models/market.js";
+import MarketSnapshot from "../models/marketSnapshot.js";
+import SyncState from "../models/syncState.js";
 import { extractKeywords } from './generic-search-generator.js';
-const KALSHI_BASE_URL = "https://api.elections.kalshi.com/trade-api/v2"
+import { publishMarketUpdate } from "./streamService.js";
+import { getKalshiClient } from "./kalshiClient.js";
+import { archiveExpired, settleArchivedMarkets } from "./archiveService.js";
+import { createRunRecorder, saveRun } from "./pipelineTelemetry.js";
 
-//fetch and store new events, update markets, and remove expired events
-export async function updateEventsAndMarkets() {
-  try {
-    let cursor = null;
-    const limit = 200;
-    let collectionSize = 0;
+const PAGE_LIMIT = 200;
+const MAX_EVENTS = 3000;
+
+//market fields compared to decide whether an existing document needs a write
+const MARKET_FIELDS = ["event_ticker", "name", "yes_sub_title", "no_sub_title", "status", "yes_price", "no_price", "volume", "expires_at", "close_time"];
+
+//fetch one page of events with nested markets
+export async function fetchEventsPage(cursor) {
+  const data = await getKalshiClient().get("/events", {
+    with_nested_markets: true, cursor, limit: PAGE_LIMIT,
+  });
+  return { events: data.events || [], cursor: data.cursor };
+}
+
+//Kalshi market -> Market document fields
+export function toMarketFields(m, event) {
+  return {
+    market_ticker: m.ticker,
+    event_ticker: event.event_ticker,
+    name: m.title,
+    yes_sub_title: m.yes_sub_title,
+    no_sub_title: m.no_sub_title,
+    status: m.status,
+    yes_price: m.yes_bid,
+    no_price: m.no_bid,
+    volume: m.volume,
+    expires_at: new Date(m.latest_expiration_time),
+    close_time: m.close_time ? new Date(m.close_time) : undefined,
+  };
+}
+
+//strike date if set, otherwise the latest market expiration
+export function eventExpiry(event) {
+  return event.strike_date
+    ? new Date(event.strike_date)
+    : event.markets?.length
+      ? new Date(Math.max(...event.markets.map(m => new Date(m.latest_expiration_time).getTime())))
+      : null;
+}
+
+function sameValue(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+function sameIds(a = [], b = []) {
+  return a.length === b.length && a.every((id, i) => id.toString() === b[i].toString());
+}
+
+function emptyCounts() {
+  return { inserted: 0, updated: 0, unchanged: 0 };
+}
+
+/**
+ * Upsert one Kalshi page of events and their markets with two bulkWrites.
+ *
+ * Existing documents are loaded in bulk up front so unchanged ones are
+ * skipped and new market _ids come back from the bulkWrite result.
+ * Returns inserted/updated/unchanged counts for events and markets; with
+ * dryRun nothing is written or published and the counts are what would be.
+ */
+export async function applyEventsPage(events, { capturedAt = new Date(), dryRun = false } = {}) {
+  const counts = { events: emptyCounts(), markets: emptyCounts(), snapshots: 0 };
+  if (!events.length) return counts;
+
+  const marketTickers = events.flatMap(e => (e.markets || []).map(m => m.ticker));
+  const [existingMarkets, existingEvents] = await Promise.all([
+    Market.find({ market_ticker: { $in: marketTickers } }).lean(),
+    Event.find({ event_ticker: { $in: events.map(e => e.event_ticker) } }).lean(),
+  ]);
+  const marketsByTicker = new Map(existingMarkets.map(m => [m.market_ticker, m]));
+  const eventsByTicker = new Map(existingEvents.map(e => [e.event_ticker, e]));
 
-    do {
-      const { data } = await axios.get(`${KALSHI_BASE_URL}/events`, {
-        params: { with_nested_markets: true, cursor, limit },
+  //create or update markets
+  const marketOps = [];
+  const insertedTickers = []; //ticker for each marketOps index that is an insert
+  const marketIdByTicker = new Map();
+  const snapshots = [];
+
+  for (const event of events) {
+    for (const m of event.markets || []) {
+      const fields = toMarketFields(m, event);
+      const previous = marketsByTicker.get(m.ticker);
+
+      snapshots.push({
+        market_ticker: m.ticker,
+        event_ticker: event.event_ticker,
+        yes_price: m.yes_bid,
+        no_price: m.no_bid,
+        volume: m.volume,
+        captured_at: capturedAt,
       });
 
-      const events = data.events || [];
-
-      for (const event of events) {
-        const existingEvent = await Event.findOne({ event_ticker: event.event_ticker });
-        let marketIds = [];
-
-        //create or update markets if they exist
-        if (event.markets?.length) {
-          for (const m of event.markets) {
-            const marketDoc = await Market.findOneAndUpdate(
-              { market_ticker: m.ticker },
-              {
-                market_ticker: m.ticker,
-                event_ticker: event.event_ticker,
-                name: m.title,
-                yes_sub_title: m.yes_sub_title,
-                no_sub_title: m.no_sub_title,
-                status: m.status,
-                yes_price: m.yes_bid,
-                no_price: m.no_bid,
-                volume: m.volume,
-                expires_at: new Date(m.latest_expiration_time),
-              },
-              { upsert: true, new: true }
-            );
-            marketIds.push(marketDoc._id);
-          }
-        }
+      if (!previous) {
+        insertedTickers[marketOps.length] = m.ticker;
+        marketOps.push({
+          updateOne: { filter: { market_ticker: m.ticker }, update: { $set: fields }, upsert: true }
+        });
+        continue;
+      }
 
-        //determine event expiration
-        let expiresAt = event.strike_date
-          ? new Date(event.strike_date)
-          : event.markets?.length
-            ? new Date(Math.max(...event.markets.map(m => new Date(m.latest_expiration_time).getTime())))
-            : null;
+      marketIdByTicker.set(m.ticker, previous._id);
+      if (MARKET_FIELDS.every(f => sameValue(previous[f], fields[f]))) {
+        counts.markets.unchanged++;
+        continue;
+      }
 
-        const keyWords = extractKeywords(event.title);
+      marketOps.push({
+        updateOne: { filter: { _id: previous._id }, update: { $set: fields } }
+      });
 
-        if (!existingEvent) {
-          //create new event with markets (even if empty)
-          await Event.create({
+      if (!dryRun && (previous.yes_price !== m.yes_bid || previous.no_price !== m.no_bid || previous.volume !== m.volume)) {
+        publishMarketUpdate({
+          event_ticker: event.event_ticker,
+          market_ticker: m.ticker,
+          category: event.category,
+          previous: { yes_price: previous.yes_price, no_price: previous.no_price, volume: previous.volume },
+          current: { yes_price: m.yes_bid, no_price: m.no_bid, volume: m.volume },
+        });
+      }
+    }
+  }
+
+  if (marketOps.length && dryRun) {
+    //placeholder ids so events gaining new markets count as updated below
+    const inserts = insertedTickers.filter(Boolean);
+    for (const ticker of inserts) marketIdByTicker.set(ticker, new Types.ObjectId());
+    counts.markets.inserted += inserts.length;
+    counts.markets.updated += marketOps.length - inserts.length;
+  } else if (marketOps.length) {
+    const result = await Market.bulkWrite(marketOps, { ordered: false });
+    for (const [index, id] of Object.entries(result.upsertedIds || {})) {
+      marketIdByTicker.set(insertedTickers[index], id);
+    }
+    counts.markets.inserted += result.upsertedCount;
+    counts.markets.updated += result.modifiedCount;
+    counts.markets.unchanged += result.matchedCount - result.modifiedCount;
+  }
+
+  //create new events, update existing ones; only overwrite markets if we have new ones
+  const eventOps = [];
+  for (const event of events) {
+    const marketIds = (event.markets || []).map(m => marketIdByTicker.get(m.ticker)).filter(Boolean);
+    const expiresAt = eventExpiry(event);
+    const existing = eventsByTicker.get(event.event_ticker);
+
+    if (!existing) {
+      eventOps.push({
+        insertOne: {
+          document: {
             event_ticker: event.event_ticker,
             title: event.title,
             category: event.category,
             sub_title: event.sub_title,
             expires_at: expiresAt,
             status: event.status,
-            key_words: keyWords,
+            key_words: extractKeywords(event.title),
             markets: marketIds,
-          });
-        } else {
-          //update event; only overwrite markets if we have new ones
-          const updateData = { expires_at: expiresAt };
-          if (marketIds.length > 0) updateData.markets = marketIds;
-
-          await Event.findOneAndUpdate(
-            { event_ticker: event.event_ticker },
-            updateData
-          );
+          }
         }
+      });
+      continue;
+    }
+
+    const updateData = { expires_at: expiresAt };
+    if (marketIds.length > 0) updateData.markets = marketIds;
+
+    const unchanged = sameValue(existing.expires_at, expiresAt) &&
+      (!updateData.markets || sameIds(existing.markets, marketIds));
+    if (unchanged) {
+      counts.events.unchanged++;
+      continue;
+    }
 
-        collectionSize++;
+    eventOps.push({
+      updateOne: { filter: { _id: existing._id }, update: { $set: updateData } }
+    });
+  }
+
+  if (eventOps.length && dryRun) {
+    counts.events.inserted += eventOps.filter(op => op.insertOne).length;
+    counts.events.updated += eventOps.filter(op => op.updateOne).length;
+  } else if (eventOps.length) {
+    const result = await Event.bulkWrite(eventOps, { ordered: false });
+    counts.events.inserted += result.insertedCount;
+    counts.events.updated += result.modifiedCount;
+    counts.events.unchanged += result.matchedCount - result.modifiedCount;
+  }
+
+  //append price history for this page
+  if (snapshots.length) {
+    if (!dryRun) await MarketSnapshot.insertMany(snapshots, { ordered: false });
+    counts.snapshots = snapshots.length;
+  }
+
+  return counts;
+}
+
+function addCounts(total, page) {
+  for (const kind of ["events", "markets"]) {
+    for (const key of Object.keys(total[kind])) total[kind][key] += page[kind][key];
+  }
+  total.snapshots += page.snapshots;
+}
+
+const SYNC_KEY = "events";
+
+function recordCounts(run, stats) {
+  for (const kind of ["events", "markets"]) {
+    for (const [key, n] of Object.entries(stats[kind])) run.count(`${kind}_${key}`, n);
+  }
+  run.count("snapshots", stats.snapshots);
+  run.count("pages", stats.pages);
+  run.count("archived_events", stats.archived.events);
+  run.count("archived_markets", stats.archived.markets);
+  run.count("settled_markets", stats.settlements.settled);
+  run.count("settlement_failures", stats.settlements.failed);
+  for (const failure of stats.settlements.failures || []) run.fail({ stage: "settle", ...failure });
+}
+
+//fetch one event with its nested markets, shaped like an entry of fetchEventsPage
+export async function fetchEvent(eventTicker) {
+  const data = await getKalshiClient().get(`/events/${encodeURIComponent(eventTicker)}`, {
+    with_nested_markets: true,
+  });
+  const event = data.event || {};
+  return { ...event, markets: event.markets || data.markets || [] };
+}
+
+//where the full sync keeps its cursor between runs
+const syncStateStore = {
+  load: () => SyncState.findOne({ key: SYNC_KEY }).lean(),
+  save: (fields) => SyncState.updateOne({ key: SYNC_KEY }, { $set: fields }, { upsert: true }),
+};
+
+/**
+ * Walk the /events pages; only the full sync (resume = true) reads and writes
+ * the saved cursor. fetchPage, applyPage and store default to the Kalshi API,
+ * applyEventsPage and the SyncState collection (tests pass their own).
+ */
+export async function syncPages(run, stats, { category, dryRun, capturedAt, resume }, {
+  fetchPage = fetchEventsPage,
+  applyPage = applyEventsPage,
+  store = syncStateStore,
+} = {}) {
+  let cursor = null;
+  let collectionSize = 0;
+
+  if (resume) {
+    const state = await store.load();
+    if (state?.cursor) {
+      cursor = state.cursor;
+      collectionSize = state.events_seen;
+      stats.resumed = true;
+      console.log(`resuming previous sync after ${collectionSize} events (last error: ${state.last_error})`);
+    } else {
+      await store.save({ started_at: new Date(), events_seen: 0, cursor: null, last_error: null });
+    }
+  }
+
+  do {
+    let page;
+    try {
+      page = await run.stage("fetch", () => fetchPage(cursor));
+    } catch (err) {
+      run.fail({ stage: "fetch", message: `${err.name}: ${err.message}` });
+      //remember where we stopped; the pages before this one are already stored
+      if (resume) {
+        await store.save({ cursor, events_seen: collectionSize, last_error: `${err.name}: ${err.message}` });
       }
+      throw err;
+    }
+
+    const events = category ? page.events.filter(e => e.category === category) : page.events;
+    addCounts(stats, await run.stage("apply", () => applyPage(events, { capturedAt, dryRun })));
+    stats.pages++;
+
+    collectionSize += page.events.length;
+    cursor = page.cursor;
+  } while (cursor && collectionSize < MAX_EVENTS);
+
+  if (resume) {
+    await store.save({ cursor: null, events_seen: collectionSize, last_error: null });
+  }
+}
+
+/**
+ * Fetch and store new events, update markets, and archive expired events.
+ *
+ * A full run that fails mid-way records its cursor and the next full run
+ * resumes from that page. Options narrow the run without touching that cursor:
+ * event (one event ticker), category (only events in it) and dryRun (fetch and
+ * compare, write nothing). Archiving and settlement only follow a full run.
+ * Every run except dry runs is recorded as a "sync-events" PipelineRun.
+ */
+export async function updateEventsAndMarkets({ event: eventTicker, category, dryRun = false } = {}) {
+  const run = createRunRecorder("sync-events");
+  const stats = {
+    events: emptyCounts(),
+    markets: emptyCounts(),
+    snapshots: 0,
+    pages: 0,
+    resumed: false,
+    completed: false,
+    archived: { events: 0, markets: 0 },
+    settlements: { events: 0, settled: 0, failed: 0 },
+  };
+  if (dryRun) stats.dry_run = true;
+  const fullSync = !eventTicker && !category && !dryRun;
+
+  try {
+    const capturedAt = new Date(); //one timestamp per sync so snapshots line up across markets
 
-      cursor = data.cursor;
-    } while (cursor && collectionSize < 3000);
+    if (eventTicker) {
+      const event = await run.stage("fetch", () => fetchEvent(eventTicker));
+      addCounts(stats, await run.stage("apply", () => applyEventsPage([event], { capturedAt, dryRun })));
+      stats.pages++;
+    } else {
+      await syncPages(run, stats, { category, dryRun, capturedAt, resume: fullSync });
+    }
+    stats.completed = true;
 
-    // remove expired events and markets
-    const expiredEvents = await Event.deleteMany({ expires_at: { $lt: new Date() } });
-    console.log("expired events:", expiredEvents.deletedCount);
+    const verb = dryRun ? "would be " : "";
+    console.log(`events: ${stats.events.inserted} ${verb}inserted, ${stats.events.updated} ${verb}updated, ${stats.events.unchanged} unchanged`);
+    console.log(`markets: ${stats.markets.inserted} ${verb}inserted, ${stats.markets.updated} ${verb}updated, ${stats.markets.unchanged} unchanged`);
 
-    const expiredMarkets = await Market.deleteMany({ expires_at: { $lt: new Date() } });
-    console.log("expired markets:", expiredMarkets.deletedCount);
+    if (fullSync) {
+      // archive expired events and markets, then pull settlement results for them
+      stats.archived = await run.stage("archive", () => archiveExpired());
+      console.log("archived events:", stats.archived.events);
+      console.log("archived markets:", stats.archived.markets);
 
-    console.log("Events and markets updated successfully!");
+      stats.settlements = await run.stage("settle", () => settleArchivedMarkets());
+      console.log(`settlements: ${stats.settlements.settled} markets settled across ${stats.settlements.events} events (${stats.settlements.failed} failed)`);
+    }
+
+    console.log(dryRun ? "Dry run finished, nothing written." : "Events and markets updated successfully!");
   } catch (err) {
-    console.error("Error updating events and markets:", err.message);
+    stats.error = err.message;
+    console.error(`Error updating events and markets (${err.name}${err.status ? ` ${err.status}` : ""}):`, err.message);
   }
-}
 
+  recordCounts(run, stats);
+  if (stats.resumed) run.count("resumed");
+  stats.failures = run.failureCount;
+  if (!dryRun) await saveRun(run.finish(stats.error && new Error(stats.error)));
+
+  return stats;
+}
@@ -0,0 +1,241 @@
+import { readFileSync } from "node:fs";
+import { createSign, constants } from "node:crypto";
+import WebSocket from "ws";
+import Market from "../models/market.js";
+import { publishMarketUpdate } from "./streamService.js";
+import { createSerialQueue } from "../utils/serialQueue.js";
+
+const KALSHI_WS_URL = "wss://api.elections.kalshi.com/trade-api/ws/v2";
+const KALSHI_WS_PATH = "/trade-api/ws/v2";
+
+//Kalshi signs requests with RSA-PSS over timestamp + method + path
+function buildAuthHeaders(apiKeyId, privateKey) {
+  const timestamp = Date.now().toString();
+  const signature = createSign("RSA-SHA256")
+    .update(timestamp + "GET" + KALSHI_WS_PATH)
+    .sign({
+      key: privateKey,
+      padding: constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: constants.RSA_PSS_SALTLEN_DIGEST,
+    }, "base64");
+
+  return {
+    "KALSHI-ACCESS-KEY": apiKeyId,
+    "KALSHI-ACCESS-SIGNATURE": signature,
+    "KALSHI-ACCESS-TIMESTAMP": timestamp,
+  };
+}
+
+//default handler: write ticker/trade updates into the Market collection
+async function writeMarketUpdate(update) {
+  const { market_ticker } = update;
+
+  if (update.type === "ticker") {
+    const current = {
+      yes_price: update.yes_bid,
+      no_price: update.yes_ask != null ? 100 - update.yes_ask : undefined,
+      volume: update.volume,
+    };
+    const previous = await Market.findOneAndUpdate(
+      { market_ticker },
+      { $set: current },
+      { new: false }
+    ).lean();
+
+    if (previous && (previous.yes_price !== current.yes_price ||
+      previous.no_price !== current.no_price ||
+      previous.volume !== current.volume)) {
+      publishMarketUpdate({
+        event_ticker: previous.event_ticker,
+        market_ticker,
+        previous: { yes_price: previous.yes_price, no_price: previous.no_price, volume: previous.volume },
+        current,
+      });
+    }
+  } else if (update.type === "trade") {
+    await Market.updateOne(
+      { market_ticker },
+      { $set: { last_price: update.yes_price, last_trade_at: update.ts ? new Date(update.ts * 1000) : new Date() } }
+    );
+  }
+}
+
+/**
+ * Long-running client for Kalshi's ticker and trade WebSocket channels.
+ *
+ * Reconnects with exponential backoff and resubscribes on every connect,
+ * reconnects when a channel's `seq` skips ahead or when no frame or ping
+ * arrives within `heartbeatTimeoutMs`. Updates are applied one at a time in
+ * arrival order. Point `url` at a local server to replay recorded frames
+ * (test/support/mockKalshiWsServer.js does this for the tests).
+ */
+export function createKalshiWsClient({
+  url = process.env.KALSHI_WS_URL || KALSHI_WS_URL,
+  marketTickers = [],
+  channels = ["ticker", "trade"],
+  apiKeyId = process.env.KALSHI_API_KEY_ID,
+  privateKey = process.env.KALSHI_PRIVATE_KEY_PATH ? readFileSync(process.env.KALSHI_PRIVATE_KEY_PATH, "utf8") : undefined,
+  heartbeatTimeoutMs = 30000,
+  reconnectBaseMs = 1000,
+  reconnectMaxMs = 30000,
+  onUpdate = writeMarketUpdate,
+  logger = console,
+} = {}) {
+  let socket = null;
+  let stopped = true;
+  let attempt = 0;
+  let commandId = 0;
+  let heartbeatTimer = null;
+  let reconnectTimer = null;
+  let lastFrameAt = 0;
+  const lastSeqBySid = new Map();
+  const stats = { connects: 0, messages: 0, updates: 0, gaps: 0, heartbeatTimeouts: 0, errors: 0 };
+
+  function send(cmd, params) {
+    socket.send(JSON.stringify({ id: ++commandId, cmd, params }));
+  }
+
+  function subscribe() {
+    const params = { channels };
+    if (marketTickers.length) params.market_tickers = marketTickers;
+    send("subscribe", params);
+  }
+
+  function scheduleReconnect(reason) {
+    clearInterval(heartbeatTimer);
+    if (stopped || reconnectTimer) return;
+
+    //full jitter keeps a fleet of clients from reconnecting in lockstep
+    const delay = Math.random() * Math.min(reconnectMaxMs, reconnectBaseMs * 2 ** attempt++);
+    logger.warn(`Kalshi WS disconnected (${reason}), reconnecting in ${Math.round(delay)}ms`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function restart(reason) {
+    if (socket) {
+      socket.removeAllListeners();
+      socket.on("error", () => {});
+      socket.terminate();
+      socket = null;
+    }
+    scheduleReconnect(reason);
+  }
+
+  //updates are applied one at a time in arrival order, so two ticks for a market can't be written out of order
+  const updates = createSerialQueue(async (update) => {
+    await onUpdate(update);
+    stats.updates++;
+  }, (err, update) => {
+    stats.errors++;
+    logger.error(`Failed to apply ${update.type} update for ${update.market_ticker}:`, err.message);
+  });
+
+  //parse a frame and check its sequence; returns the update to apply, or null
+  function readFrame(raw) {
+    let frame;
+    try {
+      frame = JSON.parse(raw.toString());
+    } catch {
+      stats.errors++;
+      return null;
+    }
+    if (!frame || typeof frame !== "object") {
+      stats.errors++;
+      return null;
+    }
+    stats.messages++;
+
+    switch (frame.type) {
+      case "subscribed":
+        lastSeqBySid.delete(frame.msg?.sid);
+        return null;
+      case "error":
+        stats.errors++;
+        logger.error("Kalshi WS error:", frame.msg);
+        return null;
+      case "ticker":
+      case "trade":
+        break;
+      default:
+        return null;
+    }
+
+    //seq is per subscription; a skipped number means we lost frames
+    if (frame.seq != null) {
+      const last = lastSeqBySid.get(frame.sid);
+      lastSeqBySid.set(frame.sid, frame.seq);
+      if (last != null && frame.seq !== last + 1) {
+        stats.gaps++;
+        restart(`sequence gap on sid ${frame.sid}: expected ${last + 1}, got ${frame.seq}`);
+        return null;
+      }
+    }
+
+    return { type: frame.type, ...frame.msg };
+  }
+
+  function connect() {
+    lastSeqBySid.clear();
+    const headers = apiKeyId && privateKey ? buildAuthHeaders(apiKeyId, privateKey) : {};
+    socket = new WebSocket(url, { headers });
+
+    socket.on("open", () => {
+      attempt = 0;
+      stats.connects++;
+      lastFrameAt = Date.now();
+      logger.log(`Kalshi WS connected, subscribing to ${channels.join(", ")} for ${marketTickers.length || "all"} markets`);
+      subscribe();
+
+      heartbeatTimer = setInterval(() => {
+        if (Date.now() - lastFrameAt > heartbeatTimeoutMs) {
+          stats.heartbeatTimeouts++;
+          restart(`no frames for ${heartbeatTimeoutMs}ms`);
+        }
+      }, Math.min(heartbeatTimeoutMs, 5000));
+    });
+
+    //Kalshi pings every few seconds; ws answers the pong automatically
+    socket.on("ping", () => { lastFrameAt = Date.now(); });
+    socket.on("message", (raw) => {
+      lastFrameAt = Date.now();
+      const update = readFrame(raw);
+      if (update) updates.push(update);
+    });
+    socket.on("error", (err) => {
+      stats.errors++;
+      logger.error("Kalshi WS socket error:", err.message);
+    });
+    socket.on("close", (code) => {
+      socket = null;
+      scheduleReconnect(`close ${code}`);
+    });
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      connect();
+    },
+    stop() {
+      stopped = true;
+      clearInterval(heartbeatTimer);
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (socket) {
+        socket.removeAllListeners();
+        socket.on("error", () => {});
+        socket.close();
+        socket = null;
+      }
+    },
+    //resolves once every update received so far has been applied
+    flush() {
+      return updates.flush();
+    },
+    stats,
+  };
+}
@@ -0,0 +1,132 @@
+import Event from "../models/event.js";
+import Market from "../models/market.js";
+import MarketSnapshot from "../models/marketSnapshot.js";
+import News from "../models/news.js";
+import { parseDuration } from "../utils/time.js";
+
+export const MOVER_WINDOWS = ["1h", "24h", "7d"];
+export const MOVER_DIRECTIONS = ["up", "down"];
+
+//a baseline is the last snapshot in the slice just before now - window; events sync every 15 minutes
+const MAX_BASELINE_SLACK_MS = 60 * 60 * 1000;
+//the ranking only changes when a sync writes snapshots, so repeat requests share one computation
+const CACHE_MS = 60 * 1000;
+
+const MOVER_MARKET_FIELDS = { _id: 0, market_ticker: 1, event_ticker: 1, name: 1, yes_sub_title: 1, status: 1, yes_price: 1, no_price: 1, volume: 1, close_time: 1 };
+const MOVER_EVENT_FIELDS = { _id: 0, event_ticker: 1, title: 1, sub_title: 1, category: 1, status: 1, expires_at: 1, news_links: 1 };
+
+//yes_price and volume of each market at `at`: its last snapshot in the slack before it
+async function baselines(at, slackMs, eventTickers) {
+  const match = { captured_at: { $gt: new Date(at.getTime() - slackMs), $lte: at } };
+  if (eventTickers) match.event_ticker = { $in: eventTickers };
+
+  const rows = await MarketSnapshot.aggregate([
+    { $match: match },
+    { $sort: { captured_at: 1 } },
+    {
+      $group: {
+        _id: "$market_ticker",
+        yes_price: { $last: "$yes_price" },
+        volume: { $last: "$volume" },
+        captured_at: { $last: "$captured_at" },
+      }
+    },
+  ]);
+  return new Map(rows.map(r => [r._id, r]));
+}
+
+//every open market with a baseline, ranked by the size of its move (or only moves in `direction`)
+export async function rankMovers({ window, category, direction }) {
+  const windowMs = parseDuration(window);
+  const since = new Date(Date.now() - windowMs);
+  const eventTickers = category
+    ? (await Event.find({ category, archived: { $ne: true } }, { event_ticker: 1 }).lean()).map(e => e.event_ticker)
+    : null;
+
+  const before = await baselines(since, Math.min(windowMs / 2, MAX_BASELINE_SLACK_MS), eventTickers);
+  if (!before.size) return [];
+  const markets = await Market.find(
+    { market_ticker: { $in: [...before.keys()] }, archived: { $ne: true } },
+    MOVER_MARKET_FIELDS
+  ).lean();
+
+  const movers = [];
+  for (const market of markets) {
+    const baseline = before.get(market.market_ticker);
+    if (market.yes_price == null || baseline.yes_price == null) continue;
+
+    const priceChange = market.yes_price - baseline.yes_price;
+    if (direction === "up" ? priceChange <= 0 : direction === "down" ? priceChange >= 0 : priceChange === 0) continue;
+
+    movers.push({
+      ...market,
+      previous_yes_price: baseline.yes_price,
+      price_change: priceChange,
+      volume_change: market.volume != null && baseline.volume != null ? market.volume - baseline.volume : null,
+      baseline_at: baseline.captured_at,
+    });
+  }
+
+  return movers.sort((a, b) =>
+    Math.abs(b.price_change) - Math.abs(a.price_change) ||
+    (b.volume_change ?? 0) - (a.volume_change ?? 0) ||
+    a.market_ticker.localeCompare(b.market_ticker)
+  );
+}
+
+const cache = new Map(); //"window|category|direction" -> { at, ranking }
+
+function cachedRanking(options) {
+  const key = [options.window, options.category || "", options.direction || ""].join("|");
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.at < CACHE_MS) return entry.ranking;
+
+  for (const [k, e] of cache) if (Date.now() - e.at >= CACHE_MS) cache.delete(k);
+  const ranking = rankMovers(options);
+  cache.set(key, { at: Date.now(), ranking });
+  ranking.catch(() => cache.delete(key)); //don't cache failures
+  return ranking;
+}
+
+//the most recently linked article of each event
+async function latestHeadlines(events) {
+  const latest = new Map(); //event_ticker -> news _id
+  for (const event of events) {
+    const link = (event.news_links || [])
+      .filter(l => l.linked_at)
+      .reduce((best, l) => (!best || l.linked_at > best.linked_at ? l : best), null);
+    if (link) latest.set(event.event_ticker, link.news.toString());
+  }
+  if (!latest.size) return new Map();
+
+  const articles = await News.find(
+    { _id: { $in: [...new Set(latest.values())] } },
+    { title: 1, canonical_url: 1, source: 1, published_at: 1, thumbnail: 1 }
+  ).lean();
+  const byId = new Map(articles.map(a => [a._id.toString(), a]));
+  return new Map([...latest].map(([ticker, id]) => [ticker, byId.get(id) || null]));
+}
+
+/**
+ * Markets with the biggest yes_price change over `window` (1h, 24h or 7d):
+ * the current price against the last sync snapshot taken before the window
+ * started. Each comes with its price and volume change, its parent event and
+ * that event's most recently linked headline. direction "up"/"down" keeps
+ * only rises/falls; markets first seen inside the window are left out.
+ */
+export async function findMovers({ window, category, direction, limit }) {
+  const movers = (await cachedRanking({ window, category, direction })).slice(0, limit);
+
+  const events = await Event.find(
+    { event_ticker: { $in: [...new Set(movers.map(m => m.event_ticker))] } },
+    MOVER_EVENT_FIELDS
+  ).lean();
+  const headlines = await latestHeadlines(events);
+  const eventsByTicker = new Map(events.map(({ news_links, ...event }) => [event.event_ticker, event]));
+
+  return movers.map(mover => ({
+    ...mover,
+    event: eventsByTicker.get(mover.event_ticker) || null,
+    headline: headlines.get(mover.event_ticker) || null,
+  }));
+}
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import Migration from "../models/migration.js";
+import { MIGRATIONS } from "../migrations/index.js";
+
+//every migration with applied_at (null while pending)
+export async function migrationStatus() {
+  const applied = await Migration.find({}, { _id: 0, id: 1, applied_at: 1 }).lean();
+  const appliedAt = new Map(applied.map(m => [m.id, m.applied_at]));
+  return MIGRATIONS.map(({ id, description }) => ({ id, description, applied_at: appliedAt.get(id) ?? null }));
+}
+
+/**
+ * Apply pending migrations in order, recording each one in the migrations
+ * collection; stops at the first failure. With dryRun, reports how many
+ * documents each pending migration would touch instead.
+ * Migrations only touch documents still in the old shape, so re-running one
+ * (after a crash, or from two processes at once) is harmless.
+ */
+export async function runMigrations({ dryRun = false } = {}) {
+  const db = mongoose.connection.db;
+  const status = await migrationStatus();
+  const pending = MIGRATIONS.filter(m => !status.find(s => s.id === m.id).applied_at);
+  const results = [];
+
+  for (const migration of pending) {
+    if (dryRun) {
+      results.push({ id: migration.id, description: migration.description, pending: await migration.pending(db) });
+      continue;
+    }
+
+    console.log(`🔧 Applying ${migration.id}: ${migration.description}`);
+    const start = Date.now();
+    let result;
+    try {
+      result = await migration.up(db);
+    } catch (err) {
+      console.error(`❌ ${migration.id} failed:`, err.message);
+      results.push({ id: migration.id, description: migration.description, error: err.message });
+      return { applied: results.filter(r => !r.error).length, migrations: results, error: `${migration.id}: ${err.message}` };
+    }
+    const duration = Date.now() - start;
+
+    await Migration.updateOne(
+      { id: migration.id },
+      { $set: { description: migration.description, applied_at: new Date(), duration_ms: duration, result } },
+      { upsert: true }
+    );
+    console.log(`✅ ${migration.id} done in ${duration}ms:`, JSON.stringify(result));
+    results.push({ id: migration.id, description: migration.description, duration_ms: duration, result });
+  }
+
+  return { applied: dryRun ? 0 : results.length, migrations: results };
+}
@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import News from "../models/news.js";
+import { parseDateParam } from "../utils/time.js";
+import { collapseStoryStages, storyAlternatesLookup } from "./storyClustering.js";
+import {
+  parseBoolean,
+  parseLimit,
+  withTieBreaker,
+  decodeCursor,
+  keysetMatch,
+  sortStage,
+  toPage,
+} from "../utils/pagination.js";
+
+//sort keys accepted by ?sort=
+export const NEWS_SORTS = {
+  published: [["published_at", -1]],
+  updated: [["updatedAt", -1]],
+};
+
+//validate list query params; returns { error } or the parsed options
+export function parseNewsListOptions(query) {
+  const sortKey = query.sort || "published";
+  if (!NEWS_SORTS[sortKey]) {
+    return { error: `sort must be one of ${Object.keys(NEWS_SORTS).join(", ")}` };
+  }
+
+  const limit = parseLimit(query.limit);
+  if (limit === null) return { error: "limit must be a positive integer" };
+
+  const collapse = parseBoolean(query.collapse);
+  if (collapse === null) return { error: "collapse must be true or false" };
+
+  const publishedBefore = parseDateParam(query.published_before);
+  const publishedAfter = parseDateParam(query.published_after);
+  if (publishedBefore === undefined || publishedAfter === undefined) {
+    return { error: "published_before/published_after must be ISO dates or epoch milliseconds" };
+  }
+
+  let eventId = null;
+  if (query.event_id) {
+    if (!mongoose.isValidObjectId(query.event_id)) return { error: "event_id must be an ObjectId" };
+    eventId = new mongoose.Types.ObjectId(query.event_id);
+  }
+
+  return {
+    sortKey,
+    limit,
+    collapse: collapse !== false,
+    cursor: query.cursor || null,
+    filters: { source: query.source, eventId, publishedBefore, publishedAfter },
+  };
+}
+
+function buildMatch({ source, eventId, publishedBefore, publishedAfter }) {
+  const match = {};
+  if (source) match.source = source;
+  if (eventId) match.event_ids = eventId;
+  if (publishedBefore || publishedAfter) {
+    match.published_at = {};
+    if (publishedBefore) match.published_at.$lt = publishedBefore;
+    if (publishedAfter) match.published_at.$gt = publishedAfter;
+  }
+  return match;
+}
+
+/**
+ * One page of news (one item per story unless collapse is off) with linked
+ * events populated. Returns { items, nextCursor } or { error }.
+ *
+ * Collapsing shows each story's lead, the newest copy flagged when it was
+ * stored, so the page is an indexed match; articles stored before leads were
+ * flagged (migration 006 not run yet) have no flag and are listed as leads. Filtering by source or event can
+ * exclude the lead, so those (narrower) lists group the matching copies instead.
+ */
+export async function listNews(options) {
+  const sort = withTieBreaker(NEWS_SORTS[options.sortKey]);
+  const { source, eventId } = options.filters;
+  const leadsOnly = options.collapse && !source && !eventId;
+
+  const pipeline = [{ $match: { ...buildMatch(options.filters), ...(leadsOnly && { story_lead: { $ne: false } }) } }];
+  if (options.collapse && !leadsOnly) {
+    //newest matching copy of each story represents it
+    pipeline.push(sortStage(sort), ...collapseStoryStages(Object.fromEntries(sort)));
+  }
+  if (options.cursor) {
+    const cursorValues = decodeCursor(options.cursor, sort, mongoose.Types.ObjectId);
+    if (!cursorValues) return { error: "Invalid cursor" };
+    pipeline.push(keysetMatch(sort, cursorValues));
+  }
+
+  pipeline.push(
+    sortStage(sort),
+    { $limit: options.limit + 1 },
+    { $unset: ["minhash", "minhash_bands"] },
+    ...(leadsOnly ? [storyAlternatesLookup()] : []),
+    {
+      $lookup: {
+        from: "events",
+        localField: "event_ids",
+        foreignField: "_id",
+        as: "event_ids"
+      }
+    }
+  );
+
+  const docs = await News.aggregate(pipeline);
+  return toPage(docs, options.limit, sort);
+}
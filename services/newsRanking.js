@@ -0,0 +1,61 @@
+import News from "../models/news.js";
+import { collapseStories, collapseStoryStages } from "./storyClustering.js";
+
+//related news order: highest relevance first, unscored (older) links last, then newest
+
+//aggregation $lookup that fills related_news with the top `limit` stories
+//and sets `relevance` on each from the event's news_links
+//near-duplicate copies collapse into one article with outlet_count and alternates
+export function relatedNewsLookup(limit = 5) {
+  return {
+    $lookup: {
+      from: "news",
+      //localField/foreignField match on the _id index; an $expr $in in the pipeline would scan the collection per event
+      localField: "related_news",
+      foreignField: "_id",
+      let: { links: { $ifNull: ["$news_links", []] } },
+      pipeline: [
+        {
+          $set: {
+            relevance: {
+              $first: {
+                $map: {
+                  input: { $filter: { input: "$$links", cond: { $eq: ["$$this.news", "$_id"] } } },
+                  in: "$$this.score"
+                }
+              }
+            }
+          }
+        },
+        { $sort: { relevance: -1, published_at: -1 } },
+        ...collapseStoryStages({ relevance: -1, published_at: -1, _id: 1 }),
+        ...(limit ? [{ $limit: limit }] : []),
+        { $unset: ["minhash", "minhash_bands"] }
+      ],
+      as: "related_news"
+    }
+  };
+}
+
+//relevance by news id string from an event's news_links
+export function relevanceMap(event) {
+  return new Map((event?.news_links || []).map(link => [link.news.toString(), link.score]));
+}
+
+//sort plain news objects in place by relevance to the event, then recency
+export function sortByRelevance(news, scores) {
+  for (const article of news) {
+    article.relevance = scores.get(article._id.toString()) ?? null;
+  }
+  return news.sort((a, b) =>
+    (b.relevance ?? -1) - (a.relevance ?? -1) ||
+    new Date(b.published_at || 0) - new Date(a.published_at || 0)
+  );
+}
+
+//top related stories of one event document
+export async function topRelatedNews(event, limit = 5) {
+  if (!event.related_news?.length) return [];
+  const news = await News.find({ _id: { $in: event.related_news } }).lean();
+  return collapseStories(sortByRelevance(news, relevanceMap(event))).slice(0, limit);
+}
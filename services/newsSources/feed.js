@@ -0,0 +1,24 @@
+import { readFile } from 'node:fs/promises';
+import Parser from 'rss-parser';
+
+// Google News names the outlet in a per-item <source> element
+const parser = new Parser({ customFields: { item: ['source'] } });
+
+// Parse an RSS/Atom feed from http(s) or, for fixtures, a file:// URL
+export async function parseFeed(url) {
+  if (url.startsWith('file:')) {
+    return parser.parseString(await readFile(new URL(url), 'utf8'));
+  }
+  return parser.parseURL(url);
+}
+
+// rss-parser item -> the shape every adapter returns
+export function fromFeedItem(item) {
+  return {
+    title: item.title || '',
+    link: item.link || '',
+    source: item.source || item.creator || item.author,
+    snippet: item.contentSnippet || item.summary, // Atom <summary> isn't mapped to contentSnippet
+    published_at: item.isoDate,
+  };
+}
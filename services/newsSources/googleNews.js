@@ -0,0 +1,29 @@
+import { parseFeed, fromFeedItem } from './feed.js';
+
+const GOOGLE_NEWS_URL = 'https://news.google.com/rss/search';
+
+/**
+ * Google News RSS search. `baseUrl` can point at a local fixture server
+ * or a file:// feed for tests.
+ */
+export function createGoogleNewsSource({
+  name = 'google-news',
+  baseUrl = process.env.GOOGLE_NEWS_URL || GOOGLE_NEWS_URL,
+  lang = process.env.NEWS_LANG || 'en-US',
+  region = process.env.NEWS_REGION || 'US',
+  ceid = process.env.NEWS_CEID || 'US:en',
+  categories,
+} = {}) {
+  return {
+    name,
+    type: 'google-news',
+    categories,
+    async fetch(query) {
+      const url = baseUrl.startsWith('file:')
+        ? baseUrl
+        : `${baseUrl}?q=${encodeURIComponent(query)}&hl=${lang}&gl=${region}&ceid=${ceid}`;
+      const feed = await parseFeed(url);
+      return (feed.items || []).map(fromFeedItem);
+    },
+  };
+}
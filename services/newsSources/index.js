@@ -0,0 +1,43 @@
+/**
+ * News source registry
+ * 
+ * Every source is an adapter with the same shape:
+ *   { name, type, categories?, fetch(query) -> [{ title, link, source, snippet, published_at }] }
+ * 
+ * Sources are configured in config/news-sources.json (or the file named by
+ * NEWS_SOURCES_CONFIG). A source with `categories` only runs for events in
+ * those categories; `"enabled": false` skips it.
+ */
+
+import { readFileSync } from 'node:fs';
+import { createGoogleNewsSource } from './googleNews.js';
+import { createRssFeedSource } from './rssFeed.js';
+import { createJsonApiSource } from './jsonApi.js';
+
+const DEFAULT_CONFIG_PATH = new URL('../../config/news-sources.json', import.meta.url);
+
+const FACTORIES = {
+  'google-news': createGoogleNewsSource,
+  rss: createRssFeedSource,
+  'json-api': createJsonApiSource,
+};
+
+export function createNewsSources(definitions) {
+  return definitions
+    .filter(def => def.enabled !== false)
+    .map(def => {
+      const factory = FACTORIES[def.type];
+      if (!factory) throw new Error(`Unknown news source type "${def.type}" for "${def.name}"`);
+      return factory(def);
+    });
+}
+
+export function loadNewsSources(path = process.env.NEWS_SOURCES_CONFIG || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(readFileSync(path, 'utf8'));
+  return createNewsSources(config.sources || []);
+}
+
+// Sources that apply to an event's category
+export function sourcesForEvent(sources, event) {
+  return sources.filter(source => !source.categories?.length || source.categories.includes(event.category));
+}
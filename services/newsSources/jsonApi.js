@@ -0,0 +1,61 @@
+import axios from 'axios';
+
+// Read "a.b.0.c" out of a nested object
+function getPath(obj, path) {
+  if (!path) return obj;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Generic JSON news API. `url` may contain {query}; `itemsPath` points at
+ * the article array and `fields` maps our article fields to paths in each item.
+ */
+export function createJsonApiSource({
+  name,
+  url,
+  itemsPath,
+  fields = {},
+  headers = {},
+  timeoutMs = 10000,
+  categories,
+}) {
+  if (!url) throw new Error(`JSON API source "${name}" needs a url`);
+
+  const mapping = {
+    title: 'title',
+    link: 'url',
+    source: 'source',
+    snippet: 'description',
+    published_at: 'published_at',
+    ...fields,
+  };
+
+  return {
+    name,
+    type: 'json-api',
+    categories,
+    async fetch(query) {
+      const { data } = await axios.get(url.replace('{query}', encodeURIComponent(query)), {
+        headers,
+        timeout: timeoutMs,
+      });
+
+      const items = getPath(data, itemsPath);
+      if (!Array.isArray(items)) {
+        throw new Error(`JSON API source "${name}": no array at "${itemsPath || '(root)'}"`);
+      }
+
+      return items.map(item => {
+        const publishedAt = getPath(item, mapping.published_at);
+        const date = publishedAt ? new Date(publishedAt) : null;
+        return {
+          title: getPath(item, mapping.title) || '',
+          link: getPath(item, mapping.link) || '',
+          source: getPath(item, mapping.source),
+          snippet: getPath(item, mapping.snippet),
+          published_at: date && !isNaN(date) ? date.toISOString() : undefined,
+        };
+      });
+    },
+  };
+}
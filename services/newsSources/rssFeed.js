@@ -0,0 +1,57 @@
+import { parseFeed, fromFeedItem } from './feed.js';
+
+// Outlet feeds are not searchable, so one download serves every event in a run
+const FEED_CACHE_MS = 10 * 60 * 1000;
+
+// "quoted phrases", bare words and -exclusions of a search query, lowercased
+function parseQuery(query) {
+  const lower = query.toLowerCase();
+  const phrases = [...lower.matchAll(/"([^"]+)"/g)].map(m => m[1].trim()).filter(Boolean);
+  const words = lower.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+  return {
+    phrases,
+    keywords: words.filter(w => !w.startsWith('-')).map(w => w.replace(/[()?]/g, '')).filter(w => w.length >= 3),
+    exclusions: words.filter(w => w.startsWith('-')).map(w => w.slice(1)).filter(Boolean),
+  };
+}
+
+// every phrase, at least half of the keywords and none of the exclusions, so one
+// generic word of a longer query ("win", "price") doesn't tie an item to the event
+function matches(text, { phrases, keywords, exclusions }) {
+  if (!phrases.length && !keywords.length) return false;
+  if (exclusions.some(term => text.includes(term))) return false;
+  if (!phrases.every(phrase => text.includes(phrase))) return false;
+  const hits = keywords.filter(term => text.includes(term)).length;
+  return hits >= Math.ceil(keywords.length / 2);
+}
+
+/**
+ * A fixed RSS/Atom feed (e.g. one outlet's crypto or sports feed).
+ * Returns the feed items that match the query (see matches).
+ */
+export function createRssFeedSource({ name, url, categories }) {
+  if (!url) throw new Error(`RSS source "${name}" needs a url`);
+
+  let cached = null;
+  let cachedAt = 0;
+
+  async function items() {
+    if (!cached || Date.now() - cachedAt > FEED_CACHE_MS) {
+      cachedAt = Date.now();
+      cached = parseFeed(url).then(feed => (feed.items || []).map(fromFeedItem));
+      cached.catch(() => { cached = null; }); // don't cache failures
+    }
+    return cached;
+  }
+
+  return {
+    name,
+    type: 'rss',
+    categories,
+    async fetch(query) {
+      const parsed = parseQuery(query);
+      return (await items()).filter(item =>
+        matches(`${item.title} ${item.snippet || ''}`.toLowerCase(), parsed));
+    },
+  };
+}
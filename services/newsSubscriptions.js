@@ -0,0 +1,248 @@
+import NewsSubscription from "../models/newsSubscription.js";
+import DeliveredArticle from "../models/deliveredArticle.js";
+import Event from "../models/event.js";
+import { buildFilter, subscribe } from "./streamService.js";
+import { enqueueWebhook, generateWebhookSecret, webhookUrlError } from "./webhooks.js";
+import { createSerialQueue } from "../utils/serialQueue.js";
+
+export const SUBSCRIPTION_TYPES = ["event", "category", "keyword"];
+export const MAX_SUBSCRIPTIONS_PER_USER = 50;
+
+//validate a create body, or an existing subscription merged with an update; returns { error } or the fields to store
+export function validateSubscription(input) {
+  if (!SUBSCRIPTION_TYPES.includes(input.type)) return { error: `type must be one of ${SUBSCRIPTION_TYPES.join(", ")}` };
+  const value = typeof input.value === "string" ? input.value.trim() : "";
+  if (!value) return { error: "value must be an event ticker, category or keyword" };
+  if (input.type === "keyword" && value.length < 3) return { error: "keywords must be at least 3 characters" };
+
+  const fields = { type: input.type, value };
+  if (input.name !== undefined) fields.name = String(input.name).trim().slice(0, 100);
+  if (input.active !== undefined) {
+    if (typeof input.active !== "boolean") return { error: "active must be true or false" };
+    fields.active = input.active;
+  }
+
+  const urlError = webhookUrlError(input.webhook_url);
+  if (urlError) return { error: urlError };
+  fields.webhook_url = input.webhook_url;
+  return fields;
+}
+
+//subscription as returned by the API: the webhook secret only comes back on create and rotate
+function publicSubscription(subscription) {
+  const { webhook, user, __v, ...rest } = subscription;
+  return { ...rest, webhook_url: webhook?.url };
+}
+
+export async function listSubscriptions(userId) {
+  const subscriptions = await NewsSubscription.find({ user: userId }).sort({ createdAt: -1 }).lean();
+  return subscriptions.map(publicSubscription);
+}
+
+export async function getSubscription(userId, id) {
+  const subscription = await NewsSubscription.findOne({ _id: id, user: userId }).lean();
+  return subscription && publicSubscription(subscription);
+}
+
+//{ subscription, secret } or { error, status }
+export async function createSubscription(userId, body = {}) {
+  const fields = validateSubscription(body);
+  if (fields.error) return { error: fields.error, status: 400 };
+
+  if (fields.type === "event" && !(await Event.exists({ event_ticker: fields.value }))) {
+    return { error: `No event with ticker ${fields.value}`, status: 404 };
+  }
+  if (await NewsSubscription.countDocuments({ user: userId }) >= MAX_SUBSCRIPTIONS_PER_USER) {
+    return { error: `News subscriptions are limited to ${MAX_SUBSCRIPTIONS_PER_USER} per user`, status: 409 };
+  }
+
+  const { webhook_url, ...rest } = fields;
+  const secret = generateWebhookSecret();
+  const subscription = await NewsSubscription.create({ ...rest, user: userId, webhook: { url: webhook_url, secret } });
+  return { subscription: publicSubscription(subscription.toObject()), secret };
+}
+
+//{ subscription } or { error, status }
+export async function updateSubscription(userId, id, body = {}) {
+  const subscription = await NewsSubscription.findOne({ _id: id, user: userId });
+  if (!subscription) return { error: "News subscription not found", status: 404 };
+
+  const current = subscription.toObject();
+  const fields = validateSubscription({ ...current, webhook_url: current.webhook?.url, ...body });
+  if (fields.error) return { error: fields.error, status: 400 };
+  if (fields.type === "event" && fields.value !== current.value && !(await Event.exists({ event_ticker: fields.value }))) {
+    return { error: `No event with ticker ${fields.value}`, status: 404 };
+  }
+
+  const { webhook_url, ...rest } = fields;
+  subscription.set(rest);
+  subscription.set("webhook.url", webhook_url);
+  await subscription.save();
+  return { subscription: publicSubscription(subscription.toObject()) };
+}
+
+//delivered-article records go too, so re-subscribing starts fresh
+export async function deleteSubscription(userId, id) {
+  const result = await NewsSubscription.deleteOne({ _id: id, user: userId });
+  if (!result.deletedCount) return false;
+  await DeliveredArticle.deleteMany({ subscription: id });
+  return true;
+}
+
+//new signing secret; deliveries already queued keep the old one
+export async function rotateSubscriptionSecret(userId, id) {
+  const secret = generateWebhookSecret();
+  const subscription = await NewsSubscription.findOneAndUpdate(
+    { _id: id, user: userId },
+    { $set: { "webhook.secret": secret } },
+    { new: true }
+  ).lean();
+  return subscription && { subscription: publicSubscription(subscription), secret };
+}
+
+function keywordPattern(keyword) {
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|[^\\p{L}\\p{N}])`, "iu");
+}
+
+/**
+ * Record the articles as delivered to a subscription and return the ids that
+ * weren't already; the unique index settles races between processes.
+ */
+async function claimArticles(subscriptionId, articleIds) {
+  const ops = articleIds.map(article_id => ({
+    updateOne: {
+      filter: { subscription: subscriptionId, article_id },
+      update: { $setOnInsert: { delivered_at: new Date() } },
+      upsert: true,
+    }
+  }));
+
+  let result;
+  try {
+    result = await DeliveredArticle.bulkWrite(ops, { ordered: false });
+  } catch (err) {
+    //concurrent upserts of the same article: the loser gets a duplicate key error, the rest still count
+    if (!err.result || err.writeErrors?.some(e => e.code !== 11000)) throw err;
+    result = err.result;
+  }
+  return new Set(Object.keys(result.upsertedIds || {}).map(index => articleIds[index]));
+}
+
+//send the batch's matching, not yet delivered articles to one subscription
+async function deliverToSubscription(subscription, message) {
+  let articles = message.articles;
+  if (subscription.type === "keyword") {
+    const pattern = keywordPattern(subscription.value);
+    articles = articles.filter(a => pattern.test(`${a.title || ""} ${a.snippet || ""}`));
+  }
+  if (!articles.length) return;
+
+  const fresh = await claimArticles(subscription._id, articles.map(a => a.id));
+  articles = articles.filter(a => fresh.has(a.id));
+  if (!articles.length) return;
+
+  const now = new Date();
+  let delivery;
+  try {
+    delivery = await enqueueWebhook({
+      user: subscription.user,
+      source: { kind: "news_subscription", id: subscription._id },
+      event: "news.linked",
+      url: subscription.webhook.url,
+      secret: subscription.webhook.secret,
+      payload: {
+        event: "news.linked",
+        subscription: { id: subscription._id.toString(), type: subscription.type, value: subscription.value },
+        event_ticker: message.event_ticker,
+        event_title: message.event_title,
+        category: message.category,
+        articles,
+        linked_at: message.at,
+      },
+    });
+  } catch (err) {
+    //release the claims, or these articles would never be sent to this subscription
+    await DeliveredArticle.deleteMany({ subscription: subscription._id, article_id: { $in: articles.map(a => a.id) } });
+    throw err;
+  }
+
+  await Promise.all([
+    DeliveredArticle.updateMany(
+      { subscription: subscription._id, article_id: { $in: articles.map(a => a.id) } },
+      { $set: { delivery: delivery._id } }
+    ),
+    NewsSubscription.updateOne(
+      { _id: subscription._id },
+      { $set: { last_delivered_at: now }, $inc: { delivered_articles: articles.length } }
+    ),
+  ]);
+}
+
+/**
+ * Push one batch of newly linked articles (a "news" message from the news
+ * pipeline) to every matching active subscription. Keyword subscriptions
+ * only get the articles whose title or snippet contains the keyword; articles
+ * a subscription already received are left out.
+ */
+export async function deliverLinkedNews(message) {
+  const subscriptions = await NewsSubscription.find({
+    active: true,
+    $or: [
+      { type: "event", value: message.event_ticker },
+      { type: "category", value: message.category },
+      { type: "keyword" },
+    ]
+  }).select("+webhook.secret").lean();
+
+  for (const subscription of subscriptions) {
+    //a failing subscription doesn't keep the batch from the others
+    try {
+      await deliverToSubscription(subscription, message);
+    } catch (err) {
+      console.error(`news subscriptions: failed to deliver news for ${message.event_ticker} to ${subscription._id}:`, err.message);
+    }
+  }
+}
+
+//send a "news.test" webhook with no articles to check the receiver and its signature check
+export async function sendTestNews(userId, id) {
+  const subscription = await NewsSubscription.findOne({ _id: id, user: userId }).select("+webhook.secret").lean();
+  if (!subscription) return null;
+
+  return enqueueWebhook({
+    user: subscription.user,
+    source: { kind: "news_subscription", id: subscription._id },
+    event: "news.test",
+    url: subscription.webhook.url,
+    secret: subscription.webhook.secret,
+    payload: {
+      event: "news.test",
+      subscription: { id: subscription._id.toString(), type: subscription.type, value: subscription.value },
+      articles: [],
+      sent_at: new Date().toISOString(),
+    },
+  });
+}
+
+const queue = createSerialQueue(deliverLinkedNews, (err, message) =>
+  console.error(`news subscriptions: failed to deliver news for ${message.event_ticker}:`, err.message)
+);
+let unsubscribe = null;
+
+//deliver every batch of newly linked news published by the news pipeline in this process
+export function startNewsSubscriptionDelivery() {
+  if (unsubscribe) return;
+  unsubscribe = subscribe(buildFilter(), (message) => {
+    if (message.type === "news") queue.push(message);
+  });
+}
+
+export function stopNewsSubscriptionDelivery() {
+  unsubscribe?.();
+  unsubscribe = null;
+}
+
+//wait until queued batches are handed to the webhook queue (the CLI calls this before exiting)
+export function flushNewsSubscriptions() {
+  return queue.flush();
+}
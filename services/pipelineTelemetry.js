@@ -0,0 +1,265 @@
+import mongoose from "mongoose";
+import PipelineRun from "../models/pipelineRun.js";
+import SyncState from "../models/syncState.js";
+import JobLease from "../models/jobLease.js";
+import Event from "../models/event.js";
+import Market from "../models/market.js";
+import News from "../models/news.js";
+import { migrationStatus } from "./migrations.js";
+import { RESOLUTION_UNITS } from "../utils/time.js";
+import { decodeCursor, keysetMatch, sortStage, toPage, withTieBreaker } from "../utils/pagination.js";
+
+export const PIPELINES = ["sync-events", "sync-news", "thumbnails"];
+
+//keeps a run with thousands of failing events from producing an oversized document
+const MAX_FAILURES = 200;
+
+/**
+ * Collects timings, counters, per-event failures and news source query stats
+ * for one pipeline run. finish() returns the PipelineRun document; persist it
+ * with saveRun().
+ */
+export function createRunRecorder(pipeline) {
+  const startedAt = new Date();
+  const stages = [];
+  const counters = {};
+  const sources = new Map(); //"source|strategy" -> stats
+  const failures = [];
+  let failuresTruncated = 0;
+
+  function addStage(name, ms) {
+    const stage = stages.find(s => s.name === name);
+    if (stage) stage.duration_ms += ms;
+    else stages.push({ name, duration_ms: ms });
+  }
+
+  return {
+    pipeline,
+
+    get failureCount() {
+      return failures.length + failuresTruncated;
+    },
+
+    //time an async stage; repeated stages with the same name add up
+    async stage(name, fn) {
+      const start = Date.now();
+      try {
+        return await fn();
+      } finally {
+        addStage(name, Date.now() - start);
+      }
+    },
+
+    count(name, n = 1) {
+      counters[name] = (counters[name] || 0) + n;
+    },
+
+    //overwrite a counter with a running total kept by the caller
+    set(name, value) {
+      counters[name] = value;
+    },
+
+    fail({ event_ticker, stage, message }) {
+      if (failures.length >= MAX_FAILURES) {
+        failuresTruncated++;
+        return;
+      }
+      failures.push({ event_ticker, stage, message });
+    },
+
+    //one query against one news source; results is null when the query threw
+    query({ source, strategy, results, duration_ms }) {
+      const key = `${source}|${strategy || ""}`;
+      if (!sources.has(key)) {
+        sources.set(key, { source, strategy, queries: 0, results: 0, zero_results: 0, failed: 0, duration_ms: 0 });
+      }
+      const stats = sources.get(key);
+      stats.queries++;
+      stats.duration_ms += duration_ms;
+      if (results === null) stats.failed++;
+      else {
+        stats.results += results;
+        if (results === 0) stats.zero_results++;
+      }
+    },
+
+    finish(error) {
+      const finishedAt = new Date();
+      return {
+        pipeline,
+        status: error ? "failed" : "succeeded",
+        started_at: startedAt,
+        finished_at: finishedAt,
+        duration_ms: finishedAt - startedAt,
+        stages,
+        counters,
+        sources: [...sources.values()],
+        failures,
+        failures_truncated: failuresTruncated,
+        error: error ? error.message : undefined,
+      };
+    },
+  };
+}
+
+//store a finished run; telemetry never fails the pipeline itself
+export async function saveRun(doc) {
+  try {
+    await PipelineRun.create(doc);
+  } catch (err) {
+    console.error(`Failed to record ${doc.pipeline} run:`, err.message);
+  }
+}
+
+const RUN_SORT = withTieBreaker([["started_at", -1]]);
+
+//one page of runs, newest first; returns { items, nextCursor } or { error }
+export async function listRuns({ pipeline, status, limit, cursor }) {
+  const match = {};
+  if (pipeline) match.pipeline = pipeline;
+  if (status) match.status = status;
+
+  const stages = [{ $match: match }];
+  if (cursor) {
+    const values = decodeCursor(cursor, RUN_SORT, mongoose.Types.ObjectId);
+    if (!values) return { error: "Invalid cursor" };
+    stages.push(keysetMatch(RUN_SORT, values));
+  }
+  stages.push(sortStage(RUN_SORT), { $limit: limit + 1 });
+
+  const docs = await PipelineRun.aggregate(stages);
+  return toPage(docs, limit, RUN_SORT);
+}
+
+/**
+ * Runs bucketed by time: run/failure counts, durations, summed counters and
+ * per-source query stats, so a source that starts returning nothing shows up
+ * as a rising zero_result_rate.
+ */
+export async function runTrends({ pipeline, since, resolution }) {
+  const match = { started_at: { $gte: since } };
+  if (pipeline) match.pipeline = pipeline;
+  const bucket = { $dateTrunc: { date: "$started_at", unit: RESOLUTION_UNITS[resolution] } };
+
+  const [facets] = await PipelineRun.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        runs: [
+          {
+            $group: {
+              _id: { pipeline: "$pipeline", bucket },
+              runs: { $sum: 1 },
+              failed: { $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] } },
+              avg_duration_ms: { $avg: "$duration_ms" },
+              max_duration_ms: { $max: "$duration_ms" },
+              failures: { $sum: { $add: [{ $size: { $ifNull: ["$failures", []] } }, { $ifNull: ["$failures_truncated", 0] }] } },
+            }
+          },
+        ],
+        counters: [
+          { $project: { pipeline: 1, bucket, counters: { $objectToArray: { $ifNull: ["$counters", {}] } } } },
+          { $unwind: "$counters" },
+          { $group: { _id: { pipeline: "$pipeline", bucket: "$bucket", name: "$counters.k" }, total: { $sum: "$counters.v" } } },
+        ],
+        sources: [
+          { $project: { pipeline: 1, bucket, sources: 1 } },
+          { $unwind: "$sources" },
+          {
+            $group: {
+              _id: { pipeline: "$pipeline", bucket: "$bucket", source: "$sources.source" },
+              queries: { $sum: "$sources.queries" },
+              results: { $sum: "$sources.results" },
+              zero_results: { $sum: "$sources.zero_results" },
+              failed: { $sum: "$sources.failed" },
+            }
+          },
+        ],
+      }
+    },
+  ]);
+
+  const keyOf = ({ pipeline, bucket }) => `${pipeline}|${bucket.toISOString()}`;
+  const buckets = new Map();
+  for (const r of facets.runs) {
+    buckets.set(keyOf(r._id), {
+      pipeline: r._id.pipeline,
+      bucket: r._id.bucket,
+      runs: r.runs,
+      failed: r.failed,
+      failures: r.failures,
+      avg_duration_ms: Math.round(r.avg_duration_ms ?? 0),
+      max_duration_ms: r.max_duration_ms ?? 0,
+      counters: {},
+      sources: [],
+    });
+  }
+  for (const c of facets.counters) {
+    buckets.get(keyOf(c._id)).counters[c._id.name] = c.total;
+  }
+  for (const s of facets.sources) {
+    buckets.get(keyOf(s._id)).sources.push({
+      source: s._id.source,
+      queries: s.queries,
+      results: s.results,
+      zero_results: s.zero_results,
+      failed: s.failed,
+      zero_result_rate: s.queries ? s.zero_results / s.queries : null,
+      avg_results: s.queries - s.failed > 0 ? s.results / (s.queries - s.failed) : null,
+    });
+  }
+
+  return [...buckets.values()].sort((a, b) =>
+    a.pipeline.localeCompare(b.pipeline) || a.bucket - b.bucket
+  );
+}
+
+//run counts and last run per pipeline since a date, plus event sync progress, held job leases, collection sizes and pending migrations
+export async function pipelineStatus({ since }) {
+  const [runStats, lastRuns, eventSync, leases, events, archivedEvents, markets, news, newsWithoutThumbnail, migrations] = await Promise.all([
+    PipelineRun.aggregate([
+      { $match: { pipeline: { $in: PIPELINES }, started_at: { $gte: since } } },
+      {
+        $group: {
+          _id: "$pipeline",
+          runs: { $sum: 1 },
+          failed: { $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] } },
+        }
+      },
+    ]),
+    //the last run of each pipeline, whenever it was; one indexed lookup each
+    Promise.all(PIPELINES.map(pipeline => PipelineRun.findOne(
+      { pipeline },
+      { _id: 0, status: 1, started_at: 1, duration_ms: 1, error: 1, counters: 1 }
+    ).sort({ started_at: -1 }).lean())),
+    SyncState.findOne({ key: "events" }, { _id: 0, cursor: 1, events_seen: 1, started_at: 1, last_error: 1 }).lean(),
+    JobLease.find({ expires_at: { $gt: new Date() } }, { _id: 0, job: 1, owner: 1, expires_at: 1 }).lean(),
+    Event.estimatedDocumentCount(),
+    Event.countDocuments({ archived: true }),
+    Market.estimatedDocumentCount(),
+    News.estimatedDocumentCount(),
+    News.countDocuments({ thumbnail: null, thumbnail_not_found: { $ne: true } }),
+    migrationStatus(),
+  ]);
+  const statsByPipeline = new Map(runStats.map(r => [r._id, r]));
+
+  return {
+    since,
+    pipelines: PIPELINES.map((pipeline, i) => ({
+      pipeline,
+      runs: statsByPipeline.get(pipeline)?.runs ?? 0,
+      failed: statsByPipeline.get(pipeline)?.failed ?? 0,
+      last_run: lastRuns[i],
+    })),
+    event_sync: eventSync,
+    leases,
+    collections: {
+      events,
+      archived_events: archivedEvents,
+      markets,
+      news,
+      news_without_thumbnail: newsWithoutThumbnail,
+    },
+    pending_migrations: migrations.filter(m => !m.applied_at).map(m => m.id),
+  };
+}
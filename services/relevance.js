@@ -0,0 +1,65 @@
+/**
+ * Relevance of a news article to an event, from term overlap between the
+ * article's title/snippet and the event's title, sub_title and market names.
+ */
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'over', 'under', 'than', 'that', 'this', 'these', 'those',
+  'will', 'would', 'should', 'could', 'might', 'may', 'can', 'are', 'was', 'were', 'been', 'being', 'has',
+  'have', 'had', 'who', 'what', 'when', 'where', 'why', 'how', 'which', 'not', 'yes', 'any', 'all', 'more',
+  'less', 'above', 'below', 'before', 'after', 'during', 'between', 'about', 'its', 'his', 'her', 'their',
+  'win', 'wins', 'happen', 'next', 'new',
+]);
+
+// Where an event term appears, and how much it counts
+const EVENT_FIELD_WEIGHTS = { title: 3, sub_title: 2, markets: 1 };
+
+// Crude plural folding so "rates" matches "rate"
+function stem(token) {
+  return token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token;
+}
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length >= 3 && !STOP_WORDS.has(t))
+    .map(stem);
+}
+
+// Weighted term map for an event; a term keeps its highest field weight
+export function buildEventTerms(event, marketNames = []) {
+  const terms = new Map();
+  const add = (text, weight) => {
+    for (const term of tokenize(text)) {
+      terms.set(term, Math.max(terms.get(term) || 0, weight));
+    }
+  };
+
+  add(event.title, EVENT_FIELD_WEIGHTS.title);
+  add(event.sub_title, EVENT_FIELD_WEIGHTS.sub_title);
+  marketNames.forEach(name => add(name, EVENT_FIELD_WEIGHTS.markets));
+  return terms;
+}
+
+/**
+ * Score in [0, 1]: the weighted share of event terms found in the article.
+ * A term in the article title counts fully, one only in the snippet counts half.
+ */
+export function scoreRelevance(article, eventTerms) {
+  if (!eventTerms.size) return 0;
+
+  const titleTokens = new Set(tokenize(article.title));
+  const snippetTokens = new Set(tokenize(article.snippet));
+
+  let matched = 0;
+  let total = 0;
+  for (const [term, weight] of eventTerms) {
+    total += weight;
+    if (titleTokens.has(term)) matched += weight;
+    else if (snippetTokens.has(term)) matched += weight / 2;
+  }
+
+  return Math.round((matched / total) * 1000) / 1000;
+}
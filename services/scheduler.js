@@ -0,0 +1,198 @@
+import { CronExpressionParser } from "cron-parser";
+import JobLease from "../models/jobLease.js";
+import JobRun from "../models/jobRun.js";
+import { updateEventsAndMarkets } from "./kalshiService.js";
+import { populateNewsCollection } from "../populate-news-collection.js";
+import { updateNewsThumbnails } from "../update-news-thumbnails.js";
+import { OWNER, acquireLease, keepLease, releaseLease } from "./jobLeases.js";
+
+//setTimeout overflows past ~24.8 days; longer waits are re-armed when they fire
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Scheduled jobs. Each schedule is a cron expression read from its env var
+ * when the scheduler starts ("off" disables the job); run() resolves with a
+ * summary stored on the JobRun and rejects when the job failed.
+ */
+const JOBS = {
+  "sync-events": {
+    env: "SCHEDULE_SYNC_EVENTS",
+    schedule: "*/15 * * * *",
+    run: async () => {
+      //updateEventsAndMarkets logs and swallows its own errors; surface them as a failed run
+      const stats = await updateEventsAndMarkets();
+      if (stats.error) throw Object.assign(new Error(stats.error), { result: stats });
+      return stats;
+    },
+  },
+  "sync-news": {
+    env: "SCHEDULE_SYNC_NEWS",
+    schedule: "5 * * * *",
+    run: populateNewsCollection,
+  },
+  "thumbnails": {
+    env: "SCHEDULE_THUMBNAILS",
+    schedule: "35 * * * *",
+    run: updateNewsThumbnails,
+  },
+};
+
+export const JOB_NAMES = Object.keys(JOBS);
+
+const timers = new Map(); //job -> { timer, next }
+const running = new Set(); //jobs running in this process
+
+function jobSchedule(name) {
+  const schedule = process.env[JOBS[name].env]?.trim() || JOBS[name].schedule;
+  return schedule === "off" ? null : schedule;
+}
+
+function nextRunAt(schedule, from = new Date()) {
+  return CronExpressionParser.parse(schedule, { currentDate: from, tz: process.env.SCHEDULER_TZ || "UTC" })
+    .next()
+    .toDate();
+}
+
+async function execute(name, run) {
+  const renewal = keepLease(name);
+
+  const update = {};
+  try {
+    update.result = await JOBS[name].run();
+    update.status = "succeeded";
+  } catch (err) {
+    update.status = "failed";
+    update.error = err.message;
+    update.result = err.result;
+  } finally {
+    clearInterval(renewal);
+    running.delete(name);
+    await releaseLease(name).catch(err => console.error(`scheduler: failed to release lease for ${name}:`, err.message));
+  }
+
+  update.finished_at = new Date();
+  update.duration_ms = update.finished_at - run.started_at;
+  await JobRun.updateOne({ _id: run._id }, { $set: update })
+    .catch(err => console.error(`scheduler: failed to record run of ${name}:`, err.message));
+
+  console.log(`scheduler: ${name} ${update.status} in ${update.duration_ms}ms${update.error ? ` (${update.error})` : ""}`);
+  return { ...run.toObject(), ...update };
+}
+
+//acquire the lease and start the job; null when it is already running here or on another instance
+async function startRun(name, trigger) {
+  if (running.has(name)) return null;
+  running.add(name);
+
+  try {
+    if (!(await acquireLease(name))) {
+      running.delete(name);
+      return null;
+    }
+
+    //we hold the lease, so runs still marked running elsewhere were abandoned by a dead instance
+    const startedAt = new Date();
+    await JobRun.updateMany(
+      { job: name, status: "running", owner: { $ne: OWNER } },
+      { $set: { status: "failed", error: "abandoned: lease expired", finished_at: startedAt } }
+    );
+
+    const run = await JobRun.create({ job: name, owner: OWNER, trigger, started_at: startedAt });
+    return { run, finished: execute(name, run) };
+  } catch (err) {
+    running.delete(name);
+    await releaseLease(name).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Run a job to completion. Resolves with the finished run, or null when the
+ * lease is held elsewhere. Unknown names throw.
+ */
+export async function runJob(name, { trigger = "manual" } = {}) {
+  if (!JOBS[name]) throw new Error(`Unknown job: ${name}`);
+  const started = await startRun(name, trigger);
+  return started ? started.finished : null;
+}
+
+//start a job in the background and return its run document (null if it is already running)
+export async function triggerJob(name) {
+  if (!JOBS[name]) throw new Error(`Unknown job: ${name}`);
+  const started = await startRun(name, "manual");
+  if (!started) return null;
+  started.finished.catch(err => console.error(`scheduler: ${name} crashed:`, err));
+  return started.run.toObject();
+}
+
+function scheduleNext(name, schedule) {
+  const next = nextRunAt(schedule);
+  const timer = setTimeout(async () => {
+    if (!timers.has(name)) return;
+    if (Date.now() < next.getTime()) return scheduleNext(name, schedule); //clamped wait, not due yet
+
+    try {
+      const started = await startRun(name, "schedule");
+      if (started) await started.finished;
+      else console.log(`scheduler: skipping ${name}, already running`);
+    } catch (err) {
+      console.error(`scheduler: ${name} could not start:`, err.message);
+    }
+
+    if (timers.has(name)) scheduleNext(name, schedule);
+  }, Math.min(next - Date.now(), MAX_TIMEOUT_MS));
+  timer.unref();
+  timers.set(name, { timer, next });
+}
+
+//arm a timer for every enabled job; off unless SCHEDULER_ENABLED=true
+export function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED !== "true") {
+    console.log("scheduler: disabled (set SCHEDULER_ENABLED=true to run jobs in this process)");
+    return;
+  }
+
+  for (const name of JOB_NAMES) {
+    if (timers.has(name)) continue;
+    const schedule = jobSchedule(name);
+    if (!schedule) continue;
+    try {
+      scheduleNext(name, schedule);
+      console.log(`scheduler: ${name} "${schedule}", next run ${timers.get(name).next.toISOString()}`);
+    } catch (err) {
+      console.error(`scheduler: invalid schedule for ${name} (${JOBS[name].env}="${schedule}"):`, err.message);
+    }
+  }
+}
+
+//clear pending timers; jobs already running finish on their own
+export function stopScheduler() {
+  for (const { timer } of timers.values()) clearTimeout(timer);
+  timers.clear();
+}
+
+//job definitions with their schedule, current lease and most recent run
+export async function listJobs() {
+  const [leases, lastRuns] = await Promise.all([
+    JobLease.find({ job: { $in: JOB_NAMES }, expires_at: { $gt: new Date() } }).lean(),
+    JobRun.aggregate([
+      { $match: { job: { $in: JOB_NAMES } } },
+      { $sort: { started_at: -1 } },
+      { $group: { _id: "$job", run: { $first: "$$ROOT" } } },
+    ]),
+  ]);
+  const leaseByJob = new Map(leases.map(l => [l.job, l]));
+  const lastRunByJob = new Map(lastRuns.map(r => [r._id, r.run]));
+
+  return JOB_NAMES.map(name => {
+    const lease = leaseByJob.get(name);
+    return {
+      name,
+      schedule: jobSchedule(name),
+      next_run_at: timers.get(name)?.next ?? null,
+      running: Boolean(lease),
+      lease: lease ? { owner: lease.owner, expires_at: lease.expires_at } : null,
+      last_run: lastRunByJob.get(name) ?? null,
+    };
+  });
+}
@@ -0,0 +1,188 @@
+/**
+ * Near-duplicate detection for news articles
+ * 
+ * Title + snippet are reduced to word-bigram shingles and a MinHash
+ * signature. Signatures are split into LSH bands stored on each article,
+ * so candidates are found with one indexed `$in` query; a candidate whose
+ * estimated Jaccard similarity clears the threshold shares its story_id.
+ */
+
+import { findStoryCandidates } from '../repositories/newsRepository.js';
+
+const NUM_HASHES = 60;
+const ROWS_PER_BAND = 3; // 20 bands: ~93% recall at 0.5 similarity, few candidates below 0.2
+const SIMILARITY_THRESHOLD = parseFloat(process.env.STORY_SIMILARITY_THRESHOLD || '0.5');
+const MAX_CANDIDATES = 50;
+
+// Fields copied into `alternates` when a story is collapsed
+const ALTERNATE_FIELDS = ['_id', 'title', 'source', 'canonical_url', 'published_at'];
+
+// FNV-1a, seeded so each signature row is an independent hash
+function hash32(str, seed) {
+  let h = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// Google News titles end in " - Outlet Name"; the outlet would make every copy differ
+function stripOutlet(title) {
+  return String(title || '').replace(/\s+[-–|]\s+[^-–|]{2,60}$/, '');
+}
+
+export function shingles(article) {
+  const words = `${stripOutlet(article.title)} ${article.snippet || ''}`
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  if (words.length < 2) return new Set(words);
+  const result = new Set();
+  for (let i = 0; i < words.length - 1; i++) {
+    result.add(`${words[i]} ${words[i + 1]}`);
+  }
+  return result;
+}
+
+export function minhash(shingleSet) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingleSet) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = hash32(shingle, i);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+export function lshBands(signature) {
+  const bands = [];
+  for (let b = 0; b * ROWS_PER_BAND < signature.length; b++) {
+    const rows = signature.slice(b * ROWS_PER_BAND, (b + 1) * ROWS_PER_BAND);
+    bands.push(`${b}:${hash32(rows.join(','), b).toString(36)}`);
+  }
+  return bands;
+}
+
+// Share of matching signature rows ~ Jaccard similarity of the shingle sets
+export function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / NUM_HASHES;
+}
+
+export function storyFingerprint(article) {
+  const signature = minhash(shingles(article));
+  return { minhash: signature, minhash_bands: lshBands(signature) };
+}
+
+/**
+ * Story id for a new article: the story_id of its closest near-duplicate
+ * already stored, or its own id when it starts a new story.
+ * Returns the fields to store on the article.
+ */
+export async function assignStory(article) {
+  const fingerprint = storyFingerprint(article);
+
+  const candidates = await findStoryCandidates(fingerprint.minhash_bands, article.id, MAX_CANDIDATES);
+
+  let best = null;
+  let bestSimilarity = SIMILARITY_THRESHOLD;
+  for (const candidate of candidates) {
+    if (!candidate.minhash) continue;
+    const similarity = estimateSimilarity(fingerprint.minhash, candidate.minhash);
+    if (similarity >= bestSimilarity) {
+      best = candidate;
+      bestSimilarity = similarity;
+    }
+  }
+
+  return {
+    story_id: best ? (best.story_id || best.id) : article.id,
+    ...fingerprint,
+  };
+}
+
+function storyKey(article) {
+  return article.story_id || article.id || article._id.toString();
+}
+
+function toAlternate(article) {
+  return Object.fromEntries(ALTERNATE_FIELDS.map(f => [f, article[f]]));
+}
+
+// Collapse an ordered list of articles: the first of each story represents it
+export function collapseStories(articles) {
+  const stories = new Map();
+  for (const article of articles) {
+    const key = storyKey(article);
+    const story = stories.get(key);
+    if (!story) {
+      stories.set(key, { ...article, outlet_count: 1, alternates: [] });
+    } else {
+      story.outlet_count++;
+      story.alternates.push(toAlternate(article));
+    }
+  }
+  return [...stories.values()];
+}
+
+/**
+ * Aggregation stages doing the same as collapseStories, for pipelines
+ * already sorted so the representative comes first. Re-applies `sort`
+ * afterwards since $group does not keep order.
+ */
+export function collapseStoryStages(sort) {
+  return [
+    // $$ROOT would carry the fingerprints through the $group; select: false doesn't apply to aggregations
+    { $unset: ['minhash', 'minhash_bands'] },
+    {
+      $group: {
+        _id: { $ifNull: ['$story_id', { $ifNull: ['$id', { $toString: '$_id' }] }] },
+        doc: { $first: '$$ROOT' },
+        all: { $push: Object.fromEntries(ALTERNATE_FIELDS.map(f => [f, `$${f}`])) },
+        outlet_count: { $sum: 1 },
+      }
+    },
+    {
+      $replaceRoot: {
+        newRoot: {
+          $mergeObjects: [
+            '$doc',
+            {
+              outlet_count: '$outlet_count',
+              alternates: { $filter: { input: '$all', cond: { $ne: ['$$this._id', '$doc._id'] } } },
+            },
+          ]
+        }
+      }
+    },
+    { $sort: sort },
+  ];
+}
+
+/**
+ * $lookup filling `alternates` of a story lead (see refreshStoryLead in
+ * repositories/newsRepository.js) with the story's other copies, newest
+ * first; the lead already carries outlet_count.
+ */
+export function storyAlternatesLookup() {
+  return {
+    $lookup: {
+      from: 'news',
+      localField: 'story_id',
+      foreignField: 'story_id',
+      let: { lead: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $ne: ['$_id', '$$lead'] } } },
+        { $sort: { published_at: -1, _id: 1 } },
+        { $project: Object.fromEntries(ALTERNATE_FIELDS.map(f => [f, 1])) },
+      ],
+      as: 'alternates',
+    }
+  };
+}
@@ -0,0 +1,72 @@
+import { EventEmitter } from "node:events";
+
+/**
+ * In-process bus for market and news changes; SSE and WebSocket clients listen on it.
+ * Only changes written by this process reach them: on the API server, that means
+ * runs of its own scheduler (SCHEDULER_ENABLED=true) and admin-triggered jobs.
+ * Runs of scripts/cli.js (and the GitHub workflow), populate-news-collection.js and
+ * scripts/stream-kalshi-markets.js publish to their own process only.
+ */
+const bus = new EventEmitter();
+bus.setMaxListeners(0); //one listener per connected client
+
+const CHANNEL = "change";
+
+//build a subscription filter from comma-separated strings or arrays
+//an empty filter matches everything
+export function buildFilter({ events, markets, categories } = {}) {
+  const toSet = (value) => new Set(
+    (Array.isArray(value) ? value : String(value || "").split(","))
+      .map(v => String(v).trim())
+      .filter(Boolean)
+  );
+
+  return {
+    events: toSet(events),
+    markets: toSet(markets),
+    categories: toSet(categories),
+  };
+}
+
+function matches(filter, message) {
+  const { events, markets, categories } = filter;
+  if (!events.size && !markets.size && !categories.size) return true;
+
+  return (message.event_ticker && events.has(message.event_ticker)) ||
+    (message.market_ticker && markets.has(message.market_ticker)) ||
+    (message.category && categories.has(message.category));
+}
+
+//register a listener for messages matching filter; returns an unsubscribe function
+export function subscribe(filter, listener) {
+  const handler = (message) => {
+    if (matches(filter, message)) listener(message);
+  };
+  bus.on(CHANNEL, handler);
+  return () => bus.off(CHANNEL, handler);
+}
+
+//a market's price or volume changed during an upsert
+export function publishMarketUpdate({ event_ticker, market_ticker, category, previous, current }) {
+  bus.emit(CHANNEL, {
+    type: "market",
+    event_ticker,
+    market_ticker,
+    category,
+    previous,
+    current,
+    at: new Date().toISOString(),
+  });
+}
+
+//the news pipeline linked new articles to an event
+export function publishNewsLinked({ event_ticker, event_title, category, articles }) {
+  bus.emit(CHANNEL, {
+    type: "news",
+    event_ticker,
+    event_title,
+    category,
+    articles,
+    at: new Date().toISOString(),
+  });
+}
@@ -0,0 +1,79 @@
+import { WebSocketServer } from "ws";
+import { buildFilter, subscribe } from "./streamService.js";
+
+const STREAM_PATH = "/api/stream/ws";
+const HEARTBEAT_MS = 30000;
+const FILTER_FIELDS = ["events", "markets", "categories"];
+
+//filter fields must be missing, a comma-separated string or an array of strings; returns an error or null
+function filterError(msg) {
+  for (const field of FILTER_FIELDS) {
+    const value = msg[field];
+    if (value === undefined || typeof value === "string") continue;
+    if (Array.isArray(value) && value.every(v => typeof v === "string")) continue;
+    return `${field} must be a string or an array of strings`;
+  }
+  return null;
+}
+
+//WebSocket equivalent of GET /api/stream
+//clients may pass ?events=&markets=&categories= on connect, or send
+//{ "action": "subscribe", "events": [...], "markets": [...], "categories": [...] } to replace the filter
+export function attachStreamSocket(server) {
+  const wss = new WebSocketServer({ server, path: STREAM_PATH });
+
+  wss.on("connection", (socket, req) => {
+    const { searchParams } = new URL(req.url, "http://localhost");
+    let unsubscribe = listen(socket, buildFilter(Object.fromEntries(searchParams)));
+    socket.isAlive = true;
+
+    socket.on("pong", () => { socket.isAlive = true; });
+
+    socket.on("message", (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch {
+        return socket.send(JSON.stringify({ type: "error", error: "Invalid JSON" }));
+      }
+      if (!msg || typeof msg !== "object" || Array.isArray(msg)) {
+        return socket.send(JSON.stringify({ type: "error", error: "Invalid message" }));
+      }
+
+      if (msg.action === "subscribe") {
+        const error = filterError(msg);
+        if (error) return socket.send(JSON.stringify({ type: "error", error }));
+        unsubscribe();
+        unsubscribe = listen(socket, buildFilter(msg));
+        socket.send(JSON.stringify({ type: "subscribed" }));
+      } else {
+        socket.send(JSON.stringify({ type: "error", error: `Unknown action: ${msg.action}` }));
+      }
+    });
+
+    socket.on("close", () => unsubscribe());
+  });
+
+  //drop clients that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_MS);
+
+  wss.on("close", () => clearInterval(heartbeat));
+  return wss;
+}
+
+function listen(socket, filter) {
+  return subscribe(filter, (message) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  });
+}
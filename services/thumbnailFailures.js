@@ -0,0 +1,77 @@
+// Classifies why a thumbnail lookup failed and decides when to try again.
+// Transient failures (timeouts, network errors, 5xx, bot walls) are retried
+// with exponential backoff up to THUMBNAIL_MAX_ATTEMPTS; permanent ones
+// (404, no image on the page, unusable image) mark the article thumbnail_not_found.
+
+export const FAILURE_KINDS = ["timeout", "network", "http", "blocked", "unresolved", "no_image", "invalid_image"];
+
+const RETRYABLE_KINDS = new Set(["timeout", "network", "blocked", "unresolved"]);
+
+const BLOCKED_STATUSES = new Set([401, 402, 403, 429, 451]);
+
+//bot walls and consent interstitials served with a 200
+const BLOCKED_PAGE = /captcha|cf-challenge|challenge-platform|just a moment\.\.\.|access denied|enable javascript and cookies|are you a robot/i;
+
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+
+export function maxAttempts() {
+  return parseInt(process.env.THUMBNAIL_MAX_ATTEMPTS || "5");
+}
+
+function retryBaseMs() {
+  return parseInt(process.env.THUMBNAIL_RETRY_BASE_MS || String(30 * 60 * 1000));
+}
+
+export class ThumbnailFailure extends Error {
+  constructor(kind, message, { status, cause } = {}) {
+    super(message, { cause });
+    this.name = "ThumbnailFailure";
+    this.kind = kind;
+    this.status = status;
+  }
+
+  get retryable() {
+    if (this.kind === "http") return this.status === 408 || this.status >= 500;
+    return RETRYABLE_KINDS.has(this.kind);
+  }
+}
+
+export function statusFailure(status) {
+  if (BLOCKED_STATUSES.has(status)) return new ThumbnailFailure("blocked", `HTTP ${status}`, { status });
+  return new ThumbnailFailure("http", `HTTP ${status}`, { status });
+}
+
+//axios and Puppeteer errors; anything already classified passes through
+export function classifyError(err) {
+  if (err instanceof ThumbnailFailure) return err;
+  if (err.response?.status) return statusFailure(err.response.status);
+  if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT" || err.name === "TimeoutError" || /timeout/i.test(err.message)) {
+    return new ThumbnailFailure("timeout", err.message, { cause: err });
+  }
+  return new ThumbnailFailure("network", err.message, { cause: err });
+}
+
+export function isBlockedPage(html) {
+  return BLOCKED_PAGE.test(String(html).slice(0, 20000));
+}
+
+/**
+ * When to try an article again after its nth failed attempt: base * 2^(n-1),
+ * capped at a day, with up to 10% jitter so a publisher outage doesn't
+ * produce a synchronized retry wave. null when the failure is permanent or
+ * attempts are used up.
+ */
+export function nextRetryAt(failure, attempts, now = Date.now()) {
+  if (!failure.retryable || attempts >= maxAttempts()) return null;
+  const delay = Math.min(retryBaseMs() * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return new Date(now + delay * (1 + Math.random() * 0.1));
+}
+
+//publisher host an article's thumbnail was looked up on, without "www."
+export function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,176 @@
+import { mkdir, readFile, writeFile, rename } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import path from "node:path";
+import axios from "axios";
+import sharp from "sharp";
+import { saveThumbnailFailure } from "../repositories/newsRepository.js";
+import { ThumbnailFailure } from "./thumbnailFailures.js";
+import { PrivateAddressError, isPublicHttpUrl, publicOnlyAgents } from "../utils/urls.js";
+
+const CACHE_DIR = process.env.THUMBNAIL_CACHE_DIR || path.resolve("cache/thumbnails");
+
+//variant widths we render; requests round up to the next one so the cache stays small
+export const THUMBNAIL_WIDTHS = [160, 320, 480, 640, 960];
+export const DEFAULT_THUMBNAIL_WIDTH = 640;
+
+const ALLOWED_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif", "image/avif"];
+const MAX_BYTES = 10 * 1024 * 1024;
+const MIN_DIMENSION = 100;
+const MAX_DIMENSION = 10000;
+const FETCH_TIMEOUT_MS = 8000;
+const MAX_REDIRECTS = 3;
+
+//image rejected for good (bad type, size or dimensions); the article is marked thumbnail_not_found
+export class InvalidThumbnailError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidThumbnailError";
+  }
+}
+
+//upstream unreachable or erroring; worth retrying later
+export class ThumbnailFetchError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = "ThumbnailFetchError";
+  }
+}
+
+export function variantWidth(requested) {
+  const w = parseInt(requested);
+  if (!Number.isFinite(w) || w <= 0) return DEFAULT_THUMBNAIL_WIDTH;
+  return THUMBNAIL_WIDTHS.find(v => v >= w) || THUMBNAIL_WIDTHS[THUMBNAIL_WIDTHS.length - 1];
+}
+
+//follows redirects itself so every hop gets the same public-host check as the first URL
+async function fetchFollowingRedirects(url, { isAllowedUrl, agents }) {
+  for (let hop = 0; ; hop++) {
+    if (!isAllowedUrl(url)) throw new InvalidThumbnailError(`Not a public http(s) URL: ${url}`);
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        ...agents,
+        responseType: "arraybuffer",
+        timeout: FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_BYTES,
+        maxRedirects: 0,
+        headers: { "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" },
+        validateStatus: () => true,
+      });
+    } catch (err) {
+      if (err.cause instanceof PrivateAddressError) throw new InvalidThumbnailError(err.cause.message);
+      if (/maxContentLength/.test(err.message)) throw new InvalidThumbnailError(`Image larger than ${MAX_BYTES} bytes`);
+      throw new ThumbnailFetchError(`Failed to fetch ${url}: ${err.message}`, { cause: err });
+    }
+
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+    if (hop === MAX_REDIRECTS) throw new InvalidThumbnailError(`Too many redirects from ${url}`);
+    try {
+      url = new URL(location, url).href;
+    } catch {
+      throw new InvalidThumbnailError(`Bad redirect location "${location}"`);
+    }
+  }
+}
+
+/**
+ * Download and validate an original image. The URL checks are injectable so
+ * tests can serve images from a local stub server.
+ */
+export async function fetchOriginal(url, { isAllowedUrl = isPublicHttpUrl, agents = publicOnlyAgents } = {}) {
+  const response = await fetchFollowingRedirects(url, { isAllowedUrl, agents });
+
+  if ([404, 410].includes(response.status)) throw new InvalidThumbnailError(`Image gone (${response.status})`);
+  if (response.status >= 400) throw new ThumbnailFetchError(`Image request failed (${response.status})`);
+
+  const contentType = String(response.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (!ALLOWED_TYPES.includes(contentType)) {
+    throw new InvalidThumbnailError(`Unsupported content-type "${contentType}"`);
+  }
+
+  const buffer = Buffer.from(response.data);
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new InvalidThumbnailError("Image data could not be decoded");
+  }
+  if (metadata.width < MIN_DIMENSION || metadata.height < MIN_DIMENSION) {
+    throw new InvalidThumbnailError(`Image too small (${metadata.width}x${metadata.height})`);
+  }
+  if (metadata.width > MAX_DIMENSION || metadata.height > MAX_DIMENSION) {
+    throw new InvalidThumbnailError(`Image too large (${metadata.width}x${metadata.height})`);
+  }
+
+  return buffer;
+}
+
+//write via a temp file so concurrent readers never see a partial image
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, file);
+}
+
+async function readIfExists(file) {
+  try {
+    return await readFile(file);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+//one in-flight build per variant, so a burst of requests fetches the original once
+const inFlight = new Map();
+
+async function buildVariant(dir, sourceUrl, width, format) {
+  const variantFile = path.join(dir, `${width}.${format}`);
+  const cached = await readIfExists(variantFile);
+  if (cached) return cached;
+
+  const originalFile = path.join(dir, "original");
+  let original = await readIfExists(originalFile);
+  if (!original) {
+    original = await fetchOriginal(sourceUrl);
+    await mkdir(dir, { recursive: true });
+    await writeAtomic(originalFile, original);
+  }
+
+  const resized = await sharp(original, { animated: false })
+    .rotate() //respect EXIF orientation
+    .resize({ width, withoutEnlargement: true })
+    [format]({ quality: 80 })
+    .toBuffer();
+  await writeAtomic(variantFile, resized);
+  return resized;
+}
+
+/**
+ * Resized thumbnail for an article, fetched once and cached on disk under
+ * a hash of the source URL (a new og:image URL gets a fresh cache entry).
+ * Returns { body, contentType, etag }. Invalid images mark the article
+ * thumbnail_not_found and throw InvalidThumbnailError.
+ */
+export async function getThumbnail(article, { width, format = "jpeg" }) {
+  const key = createHash("sha1").update(article.thumbnail).digest("hex");
+  const dir = path.join(CACHE_DIR, key.slice(0, 2), key);
+  const flightKey = `${key}/${width}.${format}`;
+
+  if (!inFlight.has(flightKey)) {
+    inFlight.set(flightKey, buildVariant(dir, article.thumbnail, width, format)
+      .finally(() => inFlight.delete(flightKey)));
+  }
+
+  try {
+    const body = await inFlight.get(flightKey);
+    return { body, contentType: `image/${format}`, etag: `"${key.slice(0, 16)}-${width}-${format}"` };
+  } catch (err) {
+    if (err instanceof InvalidThumbnailError) {
+      await saveThumbnailFailure(article._id, new ThumbnailFailure("invalid_image", err.message));
+    }
+    throw err;
+  }
+}
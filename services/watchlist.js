@@ -0,0 +1,141 @@
+import Event from "../models/event.js";
+import Market from "../models/market.js";
+import MarketSnapshot from "../models/marketSnapshot.js";
+import News from "../models/news.js";
+import WatchlistItem from "../models/watchlistItem.js";
+import { collapseStories } from "./storyClustering.js";
+
+export const MAX_WATCHLIST_ITEMS = 500;
+
+const FEED_EVENT_FIELDS = { event_ticker: 1, title: 1, sub_title: 1, category: 1, status: 1, expires_at: 1, archived: 1, news_links: 1 };
+const FEED_MARKET_FIELDS = {
+  market_ticker: 1, event_ticker: 1, name: 1, yes_sub_title: 1, status: 1,
+  yes_price: 1, no_price: 1, last_price: 1, last_trade_at: 1, volume: 1, close_time: 1, result: 1,
+};
+
+//body or query { event_ticker } or { market_ticker }; returns { error } or { type, ticker }
+export function parseWatchTarget(source = {}) {
+  const { event_ticker: event, market_ticker: market } = source;
+  if (Boolean(event) === Boolean(market)) return { error: "Provide exactly one of event_ticker or market_ticker" };
+  const ticker = event || market;
+  if (typeof ticker !== "string") return { error: "Tickers must be strings" };
+  return { type: event ? "event" : "market", ticker };
+}
+
+export function listWatchlist(userId) {
+  return WatchlistItem.find({ user: userId }, { user: 0 }).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Follow an event or market. Returns { item, created } (created is false when
+ * it was already followed) or { error, status } for unknown tickers and full
+ * watchlists.
+ */
+export async function follow(userId, { type, ticker }) {
+  const target = type === "event"
+    ? await Event.findOne({ event_ticker: ticker }, { event_ticker: 1 }).lean()
+    : await Market.findOne({ market_ticker: ticker }, { event_ticker: 1 }).lean();
+  if (!target) return { error: `No ${type} with ticker ${ticker}`, status: 404 };
+
+  const filter = { user: userId, type, ticker };
+  const existing = await WatchlistItem.findOne(filter, { user: 0 }).lean();
+  if (existing) return { item: existing, created: false };
+
+  if (await WatchlistItem.countDocuments({ user: userId }) >= MAX_WATCHLIST_ITEMS) {
+    return { error: `Watchlists are limited to ${MAX_WATCHLIST_ITEMS} items`, status: 409 };
+  }
+
+  try {
+    const item = await WatchlistItem.create({ ...filter, event_ticker: target.event_ticker });
+    const { user, ...rest } = item.toObject();
+    return { item: rest, created: true };
+  } catch (err) {
+    //a concurrent request followed it first
+    if (err.code !== 11000) throw err;
+    return { item: await WatchlistItem.findOne(filter, { user: 0 }).lean(), created: false };
+  }
+}
+
+//true when the item was followed
+export async function unfollow(userId, { type, ticker }) {
+  const result = await WatchlistItem.deleteOne({ user: userId, type, ticker });
+  return result.deletedCount > 0;
+}
+
+//yes_price of each market at a point in time: its last snapshot at or before `at`
+async function pricesAt(marketTickers, at) {
+  if (!marketTickers.length) return new Map();
+  const rows = await MarketSnapshot.aggregate([
+    { $match: { market_ticker: { $in: marketTickers }, captured_at: { $lte: at } } },
+    { $sort: { market_ticker: 1, captured_at: -1 } },
+    { $group: { _id: "$market_ticker", yes_price: { $first: "$yes_price" } } },
+  ]);
+  return new Map(rows.map(r => [r._id, r.yes_price]));
+}
+
+/**
+ * A user's feed: every followed event (and the event of every followed
+ * market) with current market prices and the change since `since`, plus the
+ * news linked to those events since `since`, newest link first, with
+ * near-duplicate copies collapsed into one story.
+ */
+export async function buildFeed(userId, { since, newsLimit }) {
+  const items = await WatchlistItem.find({ user: userId }, { type: 1, ticker: 1, event_ticker: 1 }).lean();
+  const followedEvents = new Set(items.filter(i => i.type === "event").map(i => i.ticker));
+  const followedMarkets = new Set(items.filter(i => i.type === "market").map(i => i.ticker));
+  const eventTickers = [...new Set(items.map(i => i.event_ticker).filter(Boolean))];
+
+  const [events, markets] = await Promise.all([
+    Event.find({ event_ticker: { $in: eventTickers } }, FEED_EVENT_FIELDS).lean(),
+    Market.find({
+      $or: [
+        { event_ticker: { $in: [...followedEvents] } },
+        { market_ticker: { $in: [...followedMarkets] } },
+      ]
+    }, FEED_MARKET_FIELDS).lean(),
+  ]);
+  const previous = await pricesAt(markets.map(m => m.market_ticker), since);
+
+  const marketsByEvent = new Map();
+  for (const market of markets) {
+    const before = previous.get(market.market_ticker);
+    const entry = {
+      ...market,
+      followed: followedMarkets.has(market.market_ticker),
+      price_change: before != null && market.yes_price != null ? market.yes_price - before : null,
+    };
+    if (!marketsByEvent.has(market.event_ticker)) marketsByEvent.set(market.event_ticker, []);
+    marketsByEvent.get(market.event_ticker).push(entry);
+  }
+
+  //news linked since `since`, remembering which events each article is linked to
+  const links = new Map(); //news id -> { linked_at, event_tickers }
+  for (const event of events) {
+    for (const link of event.news_links || []) {
+      if (!link.linked_at || link.linked_at < since) continue;
+      const key = link.news.toString();
+      const entry = links.get(key) || { linked_at: link.linked_at, event_tickers: [] };
+      if (link.linked_at > entry.linked_at) entry.linked_at = link.linked_at;
+      entry.event_tickers.push(event.event_ticker);
+      links.set(key, entry);
+    }
+  }
+
+  const articles = links.size
+    ? await News.find({ _id: { $in: [...links.keys()] } }).lean()
+    : [];
+  for (const article of articles) Object.assign(article, links.get(article._id.toString()));
+  articles.sort((a, b) => b.linked_at - a.linked_at || new Date(b.published_at || 0) - new Date(a.published_at || 0));
+
+  return {
+    since,
+    events: events
+      .map(({ news_links, ...event }) => ({
+        ...event,
+        followed: followedEvents.has(event.event_ticker),
+        markets: marketsByEvent.get(event.event_ticker) || [],
+      }))
+      .sort((a, b) => a.event_ticker.localeCompare(b.event_ticker)),
+    news: collapseStories(articles).slice(0, newsLimit),
+  };
+}
@@ -0,0 +1,227 @@
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import axios from "axios";
+import WebhookDelivery from "../models/webhookDelivery.js";
+import { isPublicHttpUrl, publicOnlyAgents } from "../utils/urls.js";
+
+/**
+ * Signed webhook delivery with retries. Every POST is stored as a
+ * WebhookDelivery first; the first attempt is made right away and failed
+ * attempts are retried with exponential backoff by the dispatcher
+ * (startWebhookDispatcher), so a delivery queued by a CLI run is retried by
+ * the server. Each attempt is appended to the delivery's log.
+ *
+ * Requests carry:
+ *   X-Webhook-Id         delivery id, the same on every retry (use it to de-duplicate)
+ *   X-Webhook-Event      e.g. "alert.triggered"
+ *   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the secret>
+ */
+
+const SIGNATURE_HEADER = "X-Webhook-Signature";
+const REQUEST_TIMEOUT_MS = 10000;
+const LOCK_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+function maxAttempts() {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6");
+}
+
+function retryBaseMs() {
+  return parseInt(process.env.WEBHOOK_RETRY_BASE_MS || "30000");
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString("base64url")}`;
+}
+
+function allowPrivateUrls() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+}
+
+/**
+ * Where webhooks may be sent: http(s), and only public hosts unless
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true (for testing against a local receiver).
+ * Returns an error message or null. Host names are checked again on every
+ * attempt, against the addresses they resolve to then.
+ */
+export function webhookUrlError(url) {
+  if (typeof url !== "string" || !/^https?:\/\//i.test(url)) return "webhook_url must be an http(s) URL";
+  try {
+    new URL(url);
+  } catch {
+    return "webhook_url must be an http(s) URL";
+  }
+  if (!allowPrivateUrls() && !isPublicHttpUrl(url)) {
+    return "webhook_url must point to a public host";
+  }
+  return null;
+}
+
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+//for receivers: true when the header matches the raw body and is no older than toleranceSec
+export function verifySignature(secret, header, body, toleranceSec = 300) {
+  const parts = Object.fromEntries(String(header || "").split(",").map(p => p.split("=")));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSec) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split("v1=")[1]);
+  const provided = Buffer.from(parts.v1);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+function backoffMs(attempts) {
+  return Math.min(retryBaseMs() * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+async function attempt(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const start = Date.now();
+  let statusCode;
+  let error;
+  try {
+    if (!allowPrivateUrls() && !isPublicHttpUrl(delivery.url)) throw new Error("webhook_url must point to a public host");
+    const response = await axios.post(delivery.url, body, {
+      ...(allowPrivateUrls() ? {} : publicOnlyAgents),
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "kalshi-stream-webhooks/1",
+        "X-Webhook-Id": delivery._id.toString(),
+        "X-Webhook-Event": delivery.event,
+        [SIGNATURE_HEADER]: signPayload(delivery.secret, body),
+      },
+    });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (err) {
+    error = err.code || err.message;
+  }
+
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  const entry = { at: now, status_code: statusCode, error, duration_ms: Date.now() - start };
+  const update = { $set: { attempts, locked_until: null }, $push: { log: entry } };
+
+  if (!error) {
+    Object.assign(update.$set, { status: "delivered", delivered_at: now, next_attempt_at: null, last_error: null });
+  } else if (attempts >= maxAttempts()) {
+    Object.assign(update.$set, { status: "failed", next_attempt_at: null, last_error: error });
+  } else {
+    Object.assign(update.$set, { next_attempt_at: new Date(now.getTime() + backoffMs(attempts)), last_error: error });
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+  return { ...delivery, ...update.$set, log: [...(delivery.log || []), entry] };
+}
+
+//take a due delivery so no other process sends it at the same time; null if someone else has it
+function claim(filter) {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      ...filter,
+      status: "pending",
+      next_attempt_at: { $lte: now },
+      $or: [{ locked_until: null }, { locked_until: { $lte: now } }],
+    },
+    { $set: { locked_until: new Date(now.getTime() + LOCK_MS) } },
+    { new: true }
+  ).select("+secret").lean();
+}
+
+const inFlight = new Set();
+
+/**
+ * Store a delivery and make its first attempt without waiting for it.
+ * Returns the stored delivery (without the secret).
+ */
+export async function enqueueWebhook({ user, source, event, url, secret, payload }) {
+  const delivery = await WebhookDelivery.create({
+    user, source, event, url, secret, payload, next_attempt_at: new Date(),
+  });
+
+  const sending = claim({ _id: delivery._id })
+    .then(claimed => claimed && attempt(claimed))
+    .catch(err => console.error(`webhooks: delivery ${delivery._id} failed to send:`, err.message))
+    .finally(() => inFlight.delete(sending));
+  inFlight.add(sending);
+
+  const { secret: _, ...stored } = delivery.toObject();
+  return stored;
+}
+
+//wait for first attempts started by enqueueWebhook (the CLI calls this before exiting)
+export async function flushWebhooks() {
+  while (inFlight.size) await Promise.allSettled([...inFlight]);
+}
+
+//send every delivery whose retry is due; returns how many were attempted
+export async function dispatchDueWebhooks() {
+  let sent = 0;
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const delivery = await claim({});
+    if (!delivery) break;
+    await attempt(delivery);
+    sent++;
+  }
+  return sent;
+}
+
+let dispatcher = null;
+
+//retry due deliveries every WEBHOOK_POLL_MS (default 15s)
+export function startWebhookDispatcher() {
+  if (dispatcher) return;
+  let running = false;
+  dispatcher = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchDueWebhooks();
+    } catch (err) {
+      console.error("webhooks: dispatch failed:", err.message);
+    } finally {
+      running = false;
+    }
+  }, parseInt(process.env.WEBHOOK_POLL_MS || "15000"));
+  dispatcher.unref();
+}
+
+export function stopWebhookDispatcher() {
+  clearInterval(dispatcher);
+  dispatcher = null;
+}
+
+//delivery log of one source (e.g. an alert rule), newest first
+export function listDeliveries(source, limit) {
+  return WebhookDelivery.find({ "source.kind": source.kind, "source.id": source.id })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Send a source's deliveries again, e.g. after its receiver was down past the
+ * last retry: the failed ones created since `since`, or all of them with
+ * includeDelivered. They keep their X-Webhook-Id and the secret they were
+ * queued with. Returns how many were queued; the dispatcher sends them.
+ */
+export async function replayDeliveries(source, { since, includeDelivered = false }) {
+  const result = await WebhookDelivery.updateMany(
+    {
+      "source.kind": source.kind,
+      "source.id": source.id,
+      status: { $in: includeDelivered ? ["failed", "delivered"] : ["failed"] },
+      createdAt: { $gte: since },
+    },
+    { $set: { status: "pending", attempts: 0, next_attempt_at: new Date(), locked_until: null, last_error: null } }
+  );
+  return result.modifiedCount;
+}
@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import AlertRule from "../models/alertRule.js";
+import MarketSnapshot from "../models/marketSnapshot.js";
+import WebhookDelivery from "../models/webhookDelivery.js";
+import { checkRule, evaluateMarketChange, validateRule } from "../services/alerts.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const webhook_url = "https://example.com/hook";
+const now = new Date("2025-10-19T12:00:00Z");
+
+//replace model statics for one test
+function stub(t, model, methods) {
+  for (const [name, fn] of Object.entries(methods)) {
+    const original = model[name];
+    model[name] = fn;
+    t.after(() => { model[name] = original; });
+  }
+}
+
+//MarketSnapshot.findOne answers with the last of `snapshots` at or before the queried time
+function stubSnapshots(t, snapshots) {
+  stub(t, MarketSnapshot, {
+    findOne: ({ captured_at }) => ({
+      sort: () => ({
+        lean: async () => snapshots.filter(s => s.captured_at <= captured_at.$lte).at(-1) ?? null,
+      }),
+    }),
+  });
+}
+
+const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+test("validateRule fills in defaults and drops fields the type doesn't use", () => {
+  assert.deepEqual(validateRule({ type: "price_move", points: 5, threshold: 60, webhook_url }), {
+    type: "price_move",
+    points: 5,
+    window: "1h",
+    direction: "either",
+    threshold: undefined,
+    multiplier: undefined,
+    baseline: undefined,
+    min_volume: undefined,
+    cooldown: "1h",
+    webhook_url,
+  });
+  assert.equal(validateRule({ type: "volume_spike", webhook_url }).multiplier, 3);
+});
+
+test("validateRule rejects bad conditions", () => {
+  const errors = [
+    [{ type: "price_jump" }, /type must be one of/],
+    [{ type: "price_cross", threshold: 100, direction: "above" }, /threshold/],
+    [{ type: "price_cross", threshold: 50, direction: "up" }, /direction must be above or below/],
+    [{ type: "price_move", points: 0 }, /points/],
+    [{ type: "volume_spike", window: "24h", baseline: "1h" }, /baseline must be longer than window/],
+    [{ type: "price_move", points: 5, cooldown: "soon" }, /cooldown/],
+    [{ type: "price_move", points: 5, webhook_url: "ftp://example.com" }, /webhook_url/],
+  ];
+  for (const [input, error] of errors) {
+    assert.match(validateRule({ webhook_url, ...input }).error, error);
+  }
+});
+
+test("price_cross fires only on the change that crosses the threshold", async () => {
+  const rule = { type: "price_cross", threshold: 60, direction: "above" };
+  const change = (before, price) => ({ market_ticker: "M", previous: { yes_price: before }, current: { yes_price: price } });
+
+  assert.deepEqual(await checkRule(rule, change(58, 60), now), { previous_price: 58, price: 60 });
+  assert.equal(await checkRule(rule, change(60, 62), now), null);
+  assert.equal(await checkRule(rule, change(62, 58), now), null);
+  assert.deepEqual(await checkRule({ ...rule, direction: "below" }, change(62, 59), now), { previous_price: 62, price: 59 });
+});
+
+test("price_move compares against the last snapshot before the window", async (t) => {
+  stubSnapshots(t, [{ captured_at: hoursAgo(2), yes_price: 40 }, { captured_at: hoursAgo(0.5), yes_price: 45 }]);
+  const rule = { type: "price_move", points: 5, window: "1h", direction: "up" };
+  const at = (price) => ({ market_ticker: "M", current: { yes_price: price } });
+
+  assert.deepEqual(await checkRule(rule, at(46), now), { baseline_price: 40, baseline_at: hoursAgo(2), price: 46, change: 6 });
+  assert.equal(await checkRule(rule, at(44), now), null);
+  assert.equal(await checkRule(rule, at(34), now), null, "a drop doesn't fire an up rule");
+  assert.equal((await checkRule({ ...rule, direction: "either" }, at(34), now)).change, -6);
+});
+
+test("volume_spike compares window volume with the baseline rate", async (t) => {
+  //1000 traded over the 23h before the window (~43/h), then the window starts at 1000
+  stubSnapshots(t, [{ captured_at: hoursAgo(24), volume: 0 }, { captured_at: hoursAgo(1), volume: 1000 }]);
+  const rule = { type: "volume_spike", window: "1h", baseline: "24h", multiplier: 3, min_volume: 100 };
+  const at = (volume) => ({ market_ticker: "M", current: { volume } });
+
+  assert.deepEqual(await checkRule(rule, at(1200), now), { volume_in_window: 200, usual_volume: 43, ratio: 4.6 });
+  assert.equal(await checkRule(rule, at(1100), now), null, "under 3x the usual rate");
+  assert.equal(await checkRule({ ...rule, min_volume: 500 }, at(1200), now), null, "under min_volume");
+});
+
+test("a rule whose delivery can't be stored gives its trigger back and the next rule still fires", async (t) => {
+  const rule = (threshold) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    market_ticker: "M",
+    event_ticker: "E",
+    type: "price_cross",
+    threshold,
+    direction: "above",
+    cooldown: "1h",
+    last_triggered_at: null,
+    webhook: { url: webhook_url, secret: "whsec_test" },
+  });
+  const rules = [rule(55), rule(60)];
+  const updates = [];
+  const created = [];
+  stub(t, AlertRule, {
+    find: () => ({ select: () => ({ lean: async () => rules }) }),
+    updateOne: async (filter, update) => { updates.push({ filter, update }); return { modifiedCount: 1 }; },
+  });
+  stub(t, WebhookDelivery, {
+    create: async (delivery) => {
+      if (delivery.source.id === rules[0]._id) throw new Error("connection lost");
+      created.push(delivery);
+      throw new Error("stop before sending");
+    },
+  });
+  const originalError = console.error;
+  console.error = () => {};
+  t.after(() => { console.error = originalError; });
+
+  await evaluateMarketChange({ market_ticker: "M", event_ticker: "E", previous: { yes_price: 50 }, current: { yes_price: 61 } });
+
+  assert.equal(created.length, 1, "the second rule was still evaluated");
+  const undo = updates.find(u => u.filter._id === rules[0]._id && u.update.$inc?.trigger_count === -1);
+  assert.deepEqual(undo.update.$set, { last_triggered_at: null });
+});
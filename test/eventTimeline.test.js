@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { timelineResolution } from "../services/eventTimeline.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const to = new Date("2025-10-19T00:00:00Z");
+const daysBefore = (days) => new Date(to.getTime() - days * DAY_MS);
+
+test("short ranges keep raw snapshots unless a resolution is asked for", () => {
+  assert.deepEqual(timelineResolution(daysBefore(7), to), { resolution: null });
+  assert.deepEqual(timelineResolution(daysBefore(1), to, "1m"), { resolution: "1m" });
+});
+
+test("long ranges default to the finest resolution within the point cap", () => {
+  assert.deepEqual(timelineResolution(daysBefore(30), to), { resolution: "1h" });
+  assert.deepEqual(timelineResolution(daysBefore(200), to), { resolution: "1d" });
+});
+
+test("rejects a resolution too fine for the range and ranges over a year", () => {
+  assert.match(timelineResolution(daysBefore(30), to, "1m").error, /too many points/);
+  assert.match(timelineResolution(daysBefore(400), to, "1d").error, /at most 366 days/);
+});
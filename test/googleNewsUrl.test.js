@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { decodeGoogleNewsUrl, isGoogleNewsUrl } from "../utils/googleNewsUrl.js";
+
+//article links from the Google News fixture feed, in feed order
+const fixtureLinks = [...readFileSync(new URL("./fixtures/news/google-news.xml", import.meta.url), "utf8")
+  .matchAll(/<link>(https:\/\/news\.google\.com\/rss\/articles\/[^<]+)<\/link>/g)]
+  .map(m => m[1]);
+
+test("decodes the publisher URLs of the fixture feed's links", () => {
+  assert.deepEqual(fixtureLinks.map(decodeGoogleNewsUrl), [
+    "https://www.reuters.com/markets/us/fed-signals-rate-cut-december-2025-10-19/",
+    "https://www.cnbc.com/2025/10/18/markets-price-in-quarter-point-cut.html",
+  ]);
+});
+
+test("a length running past the end of the id falls back to the printable run", () => {
+  const publisher = "https://example.com/story";
+  const id = Buffer.concat([Buffer.from([0x08, 0x13, 0x22, 0x7f]), Buffer.from(publisher)]).toString("base64url");
+
+  assert.equal(decodeGoogleNewsUrl(`https://news.google.com/rss/articles/${id}?oc=5`), publisher);
+});
+
+test("opaque ids and other hosts are not decoded", () => {
+  const opaque = Buffer.from([0x08, 0x13, 0x22, 0x10, ...Buffer.from("AU_yqLopaquetoken")]).toString("base64url");
+
+  assert.equal(decodeGoogleNewsUrl(`https://news.google.com/rss/articles/${opaque}`), null);
+  assert.equal(decodeGoogleNewsUrl("https://www.reuters.com/markets/"), null);
+  assert.equal(decodeGoogleNewsUrl("not a url"), null);
+  assert.equal(isGoogleNewsUrl(fixtureLinks[0]), true);
+  assert.equal(isGoogleNewsUrl("https://www.reuters.com/"), false);
+});
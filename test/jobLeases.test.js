@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import JobLease from "../models/jobLease.js";
+import { OWNER, withJobLease } from "../services/jobLeases.js";
+
+//replace model statics for one test
+function stub(t, model, methods) {
+  for (const [name, fn] of Object.entries(methods)) {
+    const original = model[name];
+    model[name] = fn;
+    t.after(() => { model[name] = original; });
+  }
+}
+
+test("a job runs under its lease and releases it afterwards", async (t) => {
+  const released = [];
+  stub(t, JobLease, {
+    findOneAndUpdate: async (filter, update) => ({ job: filter.job, ...update.$set }),
+    deleteOne: async (filter) => { released.push(filter); },
+  });
+
+  assert.deepEqual(await withJobLease("sync-news", async () => "done"), { result: "done" });
+  assert.deepEqual(released, [{ job: "sync-news", owner: OWNER }]);
+});
+
+test("a job whose lease is held elsewhere doesn't run", async (t) => {
+  let ran = false;
+  stub(t, JobLease, {
+    findOneAndUpdate: async () => { throw Object.assign(new Error("duplicate key"), { code: 11000 }); },
+    deleteOne: async () => assert.fail("released a lease it didn't hold"),
+  });
+
+  assert.equal(await withJobLease("sync-news", async () => { ran = true; }), null);
+  assert.equal(ran, false);
+});
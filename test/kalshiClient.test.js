@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  KalshiApiError,
+  KalshiServerError,
+  KalshiTimeoutError,
+  createKalshiClient,
+} from "../services/kalshiClient.js";
+import { sequence, startKalshiStubServer } from "./support/kalshiStubServer.js";
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+function clientFor(stub, options = {}) {
+  return createKalshiClient({
+    baseUrl: stub.url,
+    requestsPerSecond: 1000,
+    timeoutMs: 1000,
+    maxRetries: 5,
+    baseDelayMs: 5,
+    maxDelayMs: 20,
+    logger: quiet,
+    ...options,
+  });
+}
+
+test("a 429 waits for Retry-After before retrying", async (t) => {
+  const stub = await startKalshiStubServer(sequence(
+    { status: 429, headers: { "Retry-After": "1" }, body: { error: { message: "too many requests" } } },
+    { body: { events: [] } },
+  ));
+  t.after(() => stub.close());
+
+  const data = await clientFor(stub).get("/events");
+
+  assert.deepEqual(data, { events: [] });
+  assert.equal(stub.requests.length, 2);
+  assert.ok(stub.requests[1].at - stub.requests[0].at >= 950, "retried before Retry-After elapsed");
+});
+
+test("5xx responses are retried with backoff until one succeeds", async (t) => {
+  const stub = await startKalshiStubServer(sequence(
+    { status: 500 },
+    { status: 502 },
+    { status: 503 },
+    { body: { event: { event_ticker: "KXFED" } } },
+  ));
+  t.after(() => stub.close());
+
+  const data = await clientFor(stub).get("/events/KXFED");
+
+  assert.equal(data.event.event_ticker, "KXFED");
+  assert.equal(stub.requests.length, 4);
+});
+
+test("5xx responses throw KalshiServerError once retries run out", async (t) => {
+  const stub = await startKalshiStubServer(sequence({ status: 503 }));
+  t.after(() => stub.close());
+
+  await assert.rejects(clientFor(stub, { maxRetries: 2 }).get("/events"), (err) => {
+    assert.ok(err instanceof KalshiServerError);
+    assert.equal(err.status, 503);
+    return true;
+  });
+  assert.equal(stub.requests.length, 3);
+});
+
+test("a slow response surfaces KalshiTimeoutError", async (t) => {
+  const stub = await startKalshiStubServer(sequence({ delayMs: 500, body: {} }));
+  t.after(() => stub.close());
+
+  await assert.rejects(clientFor(stub, { timeoutMs: 100, maxRetries: 0 }).get("/events"), KalshiTimeoutError);
+});
+
+test("other 4xx responses are not retried", async (t) => {
+  const stub = await startKalshiStubServer(sequence({ status: 404, body: { error: { message: "not found" } } }));
+  t.after(() => stub.close());
+
+  await assert.rejects(clientFor(stub).get("/events/NOPE"), KalshiApiError);
+  assert.equal(stub.requests.length, 1);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startKalshiStubServer } from "./support/kalshiStubServer.js";
+
+const stub = await startKalshiStubServer(respond);
+//the shared client reads these on first use
+process.env.KALSHI_BASE_URL = stub.url;
+process.env.KALSHI_MAX_RETRIES = "0";
+process.env.KALSHI_REQUESTS_PER_SECOND = "1000";
+
+const { syncPages } = await import("../services/kalshiService.js");
+const { createRunRecorder } = await import("../services/pipelineTelemetry.js");
+
+let secondPageDown = true;
+
+//two pages of events; the second one fails while secondPageDown is set
+function respond({ path, query }) {
+  if (path !== "/events") return { status: 404 };
+  if (!query.cursor) return { body: { events: [{ event_ticker: "EV-1" }, { event_ticker: "EV-2" }], cursor: "page-2" } };
+  if (secondPageDown) return { status: 503, body: { error: { message: "unavailable" } } };
+  return { body: { events: [{ event_ticker: "EV-3" }], cursor: "" } };
+}
+
+function emptyStats() {
+  const counts = () => ({ inserted: 0, updated: 0, unchanged: 0 });
+  return { events: counts(), markets: counts(), snapshots: 0, pages: 0, resumed: false };
+}
+
+function memoryStore() {
+  return {
+    state: null,
+    async load() { return this.state; },
+    async save(fields) { this.state = { ...this.state, ...fields }; },
+  };
+}
+
+test("a full sync that fails mid-way resumes from the saved cursor", async (t) => {
+  t.after(() => stub.close());
+  const store = memoryStore();
+  const applied = [];
+  const applyPage = async (events) => {
+    applied.push(...events.map(e => e.event_ticker));
+    return { events: { inserted: events.length, updated: 0, unchanged: 0 }, markets: { inserted: 0, updated: 0, unchanged: 0 }, snapshots: 0 };
+  };
+  const options = { dryRun: false, capturedAt: new Date(), resume: true };
+  const originalLog = console.log;
+  console.log = () => {};
+  t.after(() => { console.log = originalLog; });
+
+  //first run: page 1 is stored, page 2 fails and its cursor is saved
+  const firstRun = createRunRecorder("sync-events");
+  await assert.rejects(
+    syncPages(firstRun, emptyStats(), options, { applyPage, store }),
+    (err) => err.name === "KalshiServerError" && err.status === 503
+  );
+  assert.deepEqual(applied, ["EV-1", "EV-2"]);
+  assert.equal(store.state.cursor, "page-2");
+  assert.equal(store.state.events_seen, 2);
+  assert.match(store.state.last_error, /KalshiServerError/);
+  assert.equal(firstRun.failureCount, 1);
+
+  //second run: starts at page 2 instead of the beginning, then clears the cursor
+  secondPageDown = false;
+  const requestsBefore = stub.requests.length;
+  const stats = emptyStats();
+  await syncPages(createRunRecorder("sync-events"), stats, options, { applyPage, store });
+
+  assert.deepEqual(stub.requests.slice(requestsBefore).map(r => r.query.cursor), ["page-2"]);
+  assert.deepEqual(applied, ["EV-1", "EV-2", "EV-3"]);
+  assert.equal(stats.resumed, true);
+  assert.equal(stats.pages, 1);
+  assert.equal(store.state.cursor, null);
+  assert.equal(store.state.events_seen, 3);
+  assert.equal(store.state.last_error, null);
+});
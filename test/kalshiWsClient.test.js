@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createKalshiWsClient } from "../services/kalshiWsClient.js";
+import { loadFrames, startMockKalshiWsServer, waitFor } from "./support/mockKalshiWsServer.js";
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+function startClient(server, options = {}) {
+  const updates = [];
+  const client = createKalshiWsClient({
+    url: server.url,
+    marketTickers: ["KXFEDDECISION-25DEC-H0"],
+    reconnectBaseMs: 10,
+    reconnectMaxMs: 20,
+    logger: quiet,
+    onUpdate: async (update) => { updates.push(update); },
+    ...options,
+  });
+  client.start();
+  return { client, updates };
+}
+
+test("applies recorded ticker and trade frames in order", async (t) => {
+  const server = await startMockKalshiWsServer({ sessions: [loadFrames("ticker-session.jsonl")] });
+  const applied = [];
+  const { client } = startClient(server, {
+    //the first update is the slowest; the queue must still apply them in arrival order
+    onUpdate: async (update) => {
+      await new Promise(resolve => setTimeout(resolve, applied.length === 0 ? 50 : 0));
+      applied.push(`${update.type}:${update.yes_bid ?? update.yes_price}`);
+    },
+  });
+  t.after(async () => { client.stop(); await server.close(); });
+
+  await waitFor(() => client.stats.messages === 6);
+  await client.flush();
+
+  assert.deepEqual(applied, ["ticker:61", "trade:62", "ticker:62", "ticker:64"]);
+  assert.equal(client.stats.updates, 4);
+  assert.equal(client.stats.gaps, 0);
+  assert.deepEqual(server.connections[0].commands[0].params, {
+    channels: ["ticker", "trade"],
+    market_tickers: ["KXFEDDECISION-25DEC-H0"],
+  });
+});
+
+test("resubscribes with the same channels and markets after a reconnect", async (t) => {
+  const server = await startMockKalshiWsServer({
+    sessions: [[...loadFrames("ticker-session.jsonl").slice(0, 3), { close: 1011 }], loadFrames("ticker-session.jsonl")],
+  });
+  const { client, updates } = startClient(server);
+  t.after(async () => { client.stop(); await server.close(); });
+
+  await waitFor(() => client.stats.connects === 2 && client.stats.updates === 5);
+
+  assert.equal(server.connections.length, 2);
+  assert.deepEqual(server.connections[1].commands.map(c => c.cmd), ["subscribe"]);
+  assert.deepEqual(server.connections[1].commands[0].params, server.connections[0].commands[0].params);
+  //seq restarts at 1 on the new subscription without being taken for a gap
+  assert.equal(client.stats.gaps, 0);
+  assert.equal(updates.length, 5);
+});
+
+test("reconnects on a sequence gap and drops the frame after it", async (t) => {
+  const server = await startMockKalshiWsServer({ sessions: [loadFrames("sequence-gap.jsonl")] });
+  const { client, updates } = startClient(server);
+  t.after(async () => { client.stop(); await server.close(); });
+
+  await waitFor(() => client.stats.connects === 2 && server.connections[1]?.commands.length === 1);
+  await client.flush();
+
+  assert.equal(client.stats.gaps, 1);
+  assert.deepEqual(updates.map(u => u.yes_bid), [61, 62]);
+  assert.equal(server.connections[1].commands[0].cmd, "subscribe");
+});
+
+test("reconnects when no frames arrive within the heartbeat timeout", async (t) => {
+  const server = await startMockKalshiWsServer({ sessions: [loadFrames("ticker-session.jsonl").slice(0, 1)] });
+  const { client } = startClient(server, { heartbeatTimeoutMs: 150 });
+  t.after(async () => { client.stop(); await server.close(); });
+
+  await waitFor(() => client.stats.connects === 2);
+
+  assert.ok(client.stats.heartbeatTimeouts >= 1);
+  assert.equal(server.connections.length, 2);
+});
+
+test("ignores null, non-object and malformed frames", async (t) => {
+  const server = await startMockKalshiWsServer({
+    sessions: [["null", "42", "not json", ...loadFrames("ticker-session.jsonl").slice(2, 3)]],
+  });
+  const { client, updates } = startClient(server);
+  t.after(async () => { client.stop(); await server.close(); });
+
+  await waitFor(() => client.stats.updates === 1);
+
+  assert.equal(client.stats.errors, 3);
+  assert.equal(updates[0].market_ticker, "KXFEDDECISION-25DEC-H0");
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Market from "../models/market.js";
+import MarketSnapshot from "../models/marketSnapshot.js";
+import { rankMovers } from "../services/marketMovers.js";
+
+const MINUTE_MS = 60 * 1000;
+
+//replace model statics for one test
+function stub(t, model, methods) {
+  for (const [name, fn] of Object.entries(methods)) {
+    const original = model[name];
+    model[name] = fn;
+    t.after(() => { model[name] = original; });
+  }
+}
+
+/**
+ * Markets at their current prices, and snapshots given as minutes before now.
+ * The snapshot stub applies the baseline aggregate's time range and keeps the
+ * last snapshot per market in it; every $match it got is kept in `matches`.
+ */
+function stubData(t, { markets, snapshots }) {
+  const now = Date.now();
+  const stored = snapshots.map(({ minutesAgo, ...s }) => ({ ...s, captured_at: new Date(now - minutesAgo * MINUTE_MS) }));
+  const matches = [];
+  stub(t, MarketSnapshot, {
+    aggregate: async ([{ $match }]) => {
+      matches.push($match);
+      const last = new Map();
+      for (const s of stored.sort((a, b) => a.captured_at - b.captured_at)) {
+        if (s.captured_at > $match.captured_at.$gt && s.captured_at <= $match.captured_at.$lte) last.set(s.market_ticker, s);
+      }
+      return [...last.values()].map(({ market_ticker, ...s }) => ({ _id: market_ticker, ...s }));
+    },
+  });
+  stub(t, Market, {
+    find: (filter) => ({ lean: async () => markets.filter(m => filter.market_ticker.$in.includes(m.market_ticker)) }),
+  });
+  return matches;
+}
+
+const markets = [
+  { market_ticker: "UP", event_ticker: "E", yes_price: 70, volume: 500 },
+  { market_ticker: "DOWN", event_ticker: "E", yes_price: 30, volume: 900 },
+  { market_ticker: "FLAT", event_ticker: "E", yes_price: 50, volume: 100 },
+  { market_ticker: "NEW", event_ticker: "E", yes_price: 90, volume: 10 },
+];
+const snapshots = [
+  { market_ticker: "UP", minutesAgo: 70, yes_price: 60, volume: 400 },
+  { market_ticker: "DOWN", minutesAgo: 65, yes_price: 55, volume: 800 },
+  { market_ticker: "FLAT", minutesAgo: 65, yes_price: 50, volume: 90 },
+  { market_ticker: "NEW", minutesAgo: 20, yes_price: 10, volume: 0 },
+];
+
+test("ranks markets by the size of their move and leaves out unchanged ones", async (t) => {
+  stubData(t, { markets, snapshots });
+
+  const movers = await rankMovers({ window: "1h" });
+
+  assert.deepEqual(movers.map(m => [m.market_ticker, m.previous_yes_price, m.price_change, m.volume_change]), [
+    ["DOWN", 55, -25, 100],
+    ["UP", 60, 10, 100],
+  ]);
+});
+
+test("direction keeps only rises or falls", async (t) => {
+  stubData(t, { markets, snapshots });
+
+  assert.deepEqual((await rankMovers({ window: "1h", direction: "up" })).map(m => m.market_ticker), ["UP"]);
+  assert.deepEqual((await rankMovers({ window: "1h", direction: "down" })).map(m => m.market_ticker), ["DOWN"]);
+});
+
+test("markets first seen inside the window are left out", async (t) => {
+  stubData(t, { markets, snapshots });
+
+  const movers = await rankMovers({ window: "1h" });
+
+  assert.ok(!movers.some(m => m.market_ticker === "NEW"));
+});
+
+test("the baseline is looked for within half the window, at most an hour", async (t) => {
+  const matches = stubData(t, {
+    markets,
+    //UP's only snapshot is 100 minutes old: outside the 30 minute slack of a 1h window
+    snapshots: [{ market_ticker: "UP", minutesAgo: 100, yes_price: 60, volume: 400 }, ...snapshots.slice(1)],
+  });
+
+  const hourly = await rankMovers({ window: "1h" });
+  await rankMovers({ window: "24h" });
+
+  assert.deepEqual(hourly.map(m => m.market_ticker), ["DOWN"]);
+  const slackMinutes = matches.map(m => (m.captured_at.$lte - m.captured_at.$gt) / MINUTE_MS);
+  assert.deepEqual(slackMinutes, [30, 60]);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import News from "../models/news.js";
+import { listNews, parseNewsListOptions } from "../services/newsListing.js";
+
+//run listNews against a stubbed aggregate and return the pipeline it built
+async function pipelineFor(query) {
+  let pipeline;
+  const original = News.aggregate;
+  News.aggregate = async (stages) => { pipeline = stages; return []; };
+  try {
+    await listNews(parseNewsListOptions(query));
+  } finally {
+    News.aggregate = original;
+  }
+  return pipeline;
+}
+
+const stageNames = (pipeline) => pipeline.map(stage => Object.keys(stage)[0]);
+
+test("collapsed lists match story leads instead of grouping the collection", async () => {
+  const pipeline = await pipelineFor({ limit: "20" });
+
+  //unflagged articles from before migration 006 count as leads
+  assert.deepEqual(pipeline[0].$match.story_lead, { $ne: false });
+  assert.ok(!stageNames(pipeline).includes("$group"));
+  assert.deepEqual(pipeline.find(s => s.$limit), { $limit: 21 });
+  assert.equal(pipeline.find(s => s.$lookup?.as === "alternates").$lookup.localField, "story_id");
+});
+
+test("lists filtered by source group the matching copies without their fingerprints", async () => {
+  const pipeline = await pipelineFor({ source: "Reuters" });
+  const names = stageNames(pipeline);
+
+  assert.equal(pipeline[0].$match.story_lead, undefined);
+  assert.ok(names.indexOf("$unset") < names.indexOf("$group"), "fingerprints must be dropped before $group");
+  assert.deepEqual(pipeline[names.indexOf("$unset")].$unset, ["minhash", "minhash_bands"]);
+});
+
+test("collapse=false lists every copy", async () => {
+  const pipeline = await pipelineFor({ collapse: "false" });
+
+  assert.equal(pipeline[0].$match.story_lead, undefined);
+  assert.ok(!stageNames(pipeline).includes("$group"));
+  assert.ok(!pipeline.some(s => s.$lookup?.as === "alternates"));
+});
@@ -0,0 +1,12 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { relatedNewsLookup } from "../services/newsRanking.js";
+
+test("related news are looked up by _id, not with an $expr match", () => {
+  const { $lookup } = relatedNewsLookup(5);
+
+  assert.equal($lookup.localField, "related_news");
+  assert.equal($lookup.foreignField, "_id");
+  assert.ok(!$lookup.pipeline.some(stage => stage.$match?.$expr));
+  assert.deepEqual($lookup.pipeline.find(stage => stage.$limit), { $limit: 5 });
+});
@@ -0,0 +1,130 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { readFileSync } from "node:fs";
+import { createGoogleNewsSource } from "../services/newsSources/googleNews.js";
+import { createRssFeedSource } from "../services/newsSources/rssFeed.js";
+import { createJsonApiSource } from "../services/newsSources/jsonApi.js";
+
+const FIXTURES = new URL("./fixtures/news/", import.meta.url);
+const fixtureUrl = (name) => new URL(name, FIXTURES).href;
+
+//serves test/fixtures/news/<path> over http and keeps every request URL
+async function startFixtureServer(t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const name = new URL(req.url, "http://localhost").pathname.slice(1);
+    try {
+      const body = readFileSync(new URL(name, FIXTURES));
+      res.writeHead(200, { "Content-Type": name.endsWith(".json") ? "application/json" : "application/xml" });
+      res.end(body);
+    } catch {
+      res.writeHead(404).end();
+    }
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+test("googleNews normalizes a Google News RSS search feed", async () => {
+  const source = createGoogleNewsSource({ baseUrl: fixtureUrl("google-news.xml") });
+
+  const articles = await source.fetch('"Federal Reserve" rate cut');
+
+  assert.deepEqual(articles, [
+    {
+      title: "Fed officials signal another rate cut in December - Reuters",
+      link: "https://news.google.com/rss/articles/CBMiX2h0dHBzOi8vd3d3LnJldXRlcnMuY29tL21hcmtldHMvdXMvZmVkLXNpZ25hbHMtcmF0ZS1jdXQtZGVjZW1iZXItMjAyNS0xMC0xOS_SAQA?oc=5",
+      source: "Reuters",
+      snippet: "Fed officials signal another rate cut in December\u00a0\u00a0Reuters", //&nbsp; separators from the description HTML
+      published_at: "2025-10-19T12:30:00.000Z",
+    },
+    {
+      title: "Markets price in a quarter-point cut as inflation cools - CNBC",
+      link: "https://news.google.com/rss/articles/CBMiTmh0dHBzOi8vd3d3LmNuYmMuY29tLzIwMjUvMTAvMTgvbWFya2V0cy1wcmljZS1pbi1xdWFydGVyLXBvaW50LWN1dC5odG1s0gEA?oc=5",
+      source: "CNBC",
+      snippet: "Markets price in a quarter-point cut as inflation cools\u00a0\u00a0CNBC",
+      published_at: "2025-10-18T21:05:00.000Z",
+    },
+  ]);
+});
+
+test("googleNews sends the encoded query and locale to the search URL", async (t) => {
+  const server = await startFixtureServer(t);
+  const source = createGoogleNewsSource({ baseUrl: `${server.url}/google-news.xml`, lang: "en-GB", region: "GB", ceid: "GB:en" });
+
+  const articles = await source.fetch('"Bank of England" rates');
+
+  assert.equal(articles.length, 2);
+  assert.deepEqual(server.requests, ["/google-news.xml?q=%22Bank%20of%20England%22%20rates&hl=en-GB&gl=GB&ceid=GB:en"]);
+});
+
+test("rssFeed normalizes Atom entries and keeps those matching the query", async () => {
+  const source = createRssFeedSource({ name: "coindesk", url: fixtureUrl("outlet-feed.atom"), categories: ["Crypto"] });
+
+  const articles = await source.fetch("bitcoin price -ether");
+
+  assert.equal(source.type, "rss");
+  assert.deepEqual(source.categories, ["Crypto"]);
+  assert.deepEqual(articles, [{
+    title: "Bitcoin climbs back above $110,000 as ETF inflows return",
+    link: "https://www.coindesk.com/markets/2025/10/19/bitcoin-climbs-back-above-110000",
+    source: "Jane Doe",
+    snippet: "Spot bitcoin ETFs saw their largest daily inflows in two weeks.",
+    published_at: "2025-10-19T13:00:00.000Z",
+  }]);
+  assert.deepEqual(await source.fetch("football"), []);
+});
+
+test("rssFeed requires quoted phrases and most keywords, and drops excluded terms", async () => {
+  const source = createRssFeedSource({ name: "coindesk", url: fixtureUrl("outlet-feed.atom"), categories: ["Crypto"] });
+  const titles = async (query) => (await source.fetch(query)).map(a => a.title);
+
+  assert.deepEqual(await titles('"bitcoin climbs" etf'), ["Bitcoin climbs back above $110,000 as ETF inflows return"]);
+  assert.deepEqual(await titles('"bitcoin price" etf'), []);
+  assert.deepEqual(await titles("bitcoin presidential election"), []);
+  assert.deepEqual(await titles("ether validator yields"), ["Ether staking yields slip as validator queue empties"]);
+  assert.deepEqual(await titles("bitcoin -etf"), []);
+  assert.deepEqual(await titles("-bitcoin"), []);
+});
+
+test("jsonApi maps configured paths onto the article shape", async (t) => {
+  const server = await startFixtureServer(t);
+  const source = createJsonApiSource({
+    name: "ap",
+    url: `${server.url}/json-api.json?q={query}`,
+    itemsPath: "data.articles",
+    fields: { title: "headline", link: "web_url", source: "publisher.name", snippet: "summary", published_at: "date" },
+  });
+
+  const articles = await source.fetch("government shutdown");
+
+  assert.deepEqual(server.requests, ["/json-api.json?q=government%20shutdown"]);
+  assert.deepEqual(articles, [
+    {
+      title: "Senate passes stopgap funding bill hours before shutdown deadline",
+      link: "https://apnews.com/article/senate-stopgap-funding-shutdown",
+      source: "AP",
+      snippet: "The measure keeps the government open through mid-December.",
+      published_at: "2025-10-19T03:12:00.000Z",
+    },
+    {
+      title: "What a shutdown would mean for federal workers",
+      link: "https://apnews.com/article/shutdown-federal-workers",
+      source: "AP",
+      snippet: null,
+      published_at: undefined,
+    },
+  ]);
+});
+
+test("jsonApi rejects a response without an array at itemsPath", async (t) => {
+  const server = await startFixtureServer(t);
+  const source = createJsonApiSource({ name: "ap", url: `${server.url}/json-api.json`, itemsPath: "data.missing" });
+
+  await assert.rejects(source.fetch("anything"), /no array at "data.missing"/);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import NewsSubscription from "../models/newsSubscription.js";
+import DeliveredArticle from "../models/deliveredArticle.js";
+import WebhookDelivery from "../models/webhookDelivery.js";
+import { deliverLinkedNews } from "../services/newsSubscriptions.js";
+import { flushWebhooks } from "../services/webhooks.js";
+
+//replace model statics for one test
+function stub(t, model, methods) {
+  for (const [name, fn] of Object.entries(methods)) {
+    const original = model[name];
+    model[name] = fn;
+    t.after(() => { model[name] = original; });
+  }
+}
+
+function subscription(type, value) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    type,
+    value,
+    webhook: { url: "https://example.com/hook", secret: "whsec_test" },
+  };
+}
+
+test("a subscription whose delivery can't be stored releases its claims and the next one still gets the batch", async (t) => {
+  const failing = subscription("event", "KXFED");
+  const keyword = subscription("keyword", "rates");
+  const released = [];
+  const stored = [];
+  stub(t, NewsSubscription, {
+    find: () => ({ select: () => ({ lean: async () => [failing, keyword] }) }),
+    updateOne: async () => ({ modifiedCount: 1 }),
+  });
+  stub(t, DeliveredArticle, {
+    bulkWrite: async (ops) => ({ upsertedIds: Object.fromEntries(ops.map((op, i) => [i, op])) }),
+    deleteMany: async (filter) => { released.push(filter); },
+    updateMany: async () => ({ modifiedCount: 1 }),
+  });
+  stub(t, WebhookDelivery, {
+    create: async (delivery) => {
+      if (delivery.source.id === failing._id) throw new Error("connection lost");
+      stored.push(delivery);
+      return { _id: new mongoose.Types.ObjectId(), toObject: () => ({ ...delivery }) };
+    },
+    //no first attempt: the delivery is left for the dispatcher
+    findOneAndUpdate: () => ({ select: () => ({ lean: async () => null }) }),
+  });
+  const originalError = console.error;
+  console.error = () => {};
+  t.after(() => { console.error = originalError; });
+
+  const message = { type: "news", event_ticker: "KXFED", category: "Economics", articles: [{ id: "a1", title: "Fed" }, { id: "a2", title: "Rates hold" }] };
+  await deliverLinkedNews(message);
+  await flushWebhooks();
+
+  assert.deepEqual(released, [{ subscription: failing._id, article_id: { $in: ["a1", "a2"] } }]);
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].source.id, keyword._id);
+  assert.deepEqual(stored[0].payload.articles.map(a => a.id), ["a2"]);
+});
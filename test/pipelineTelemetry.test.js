@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import PipelineRun from "../models/pipelineRun.js";
+import { createRunRecorder, listRuns, runTrends } from "../services/pipelineTelemetry.js";
+
+//run fn against a stubbed PipelineRun.aggregate answering `result`; returns fn's value and the pipeline it built
+async function withAggregate(result, fn) {
+  let stages;
+  const original = PipelineRun.aggregate;
+  PipelineRun.aggregate = async (pipeline) => { stages = pipeline; return result; };
+  try {
+    return { value: await fn(), stages };
+  } finally {
+    PipelineRun.aggregate = original;
+  }
+}
+
+test("a run recorder adds up stages, counters and source queries", async () => {
+  const run = createRunRecorder("sync-news");
+
+  assert.equal(await run.stage("fetch", async () => "page"), "page");
+  await run.stage("fetch", async () => {});
+  await assert.rejects(run.stage("link", async () => { throw new Error("boom"); }), /boom/);
+  run.count("articles", 3);
+  run.count("articles");
+  run.set("events", 7);
+  run.query({ source: "google-news", strategy: "phrase", results: 4, duration_ms: 10 });
+  run.query({ source: "google-news", strategy: "phrase", results: 0, duration_ms: 5 });
+  run.query({ source: "google-news", strategy: "phrase", results: null, duration_ms: 1 });
+
+  const doc = run.finish();
+  assert.equal(doc.status, "succeeded");
+  assert.deepEqual(doc.stages.map(s => s.name), ["fetch", "link"]);
+  assert.deepEqual(doc.counters, { articles: 4, events: 7 });
+  assert.deepEqual(doc.sources, [{ source: "google-news", strategy: "phrase", queries: 3, results: 4, zero_results: 1, failed: 1, duration_ms: 16 }]);
+  assert.equal(doc.error, undefined);
+});
+
+test("a run recorder caps stored failures and counts the rest", () => {
+  const run = createRunRecorder("thumbnails");
+  for (let i = 0; i < 205; i++) run.fail({ event_ticker: `EV-${i}`, stage: "fetch", message: "timeout" });
+
+  const doc = run.finish(new Error("browser crashed"));
+  assert.equal(run.failureCount, 205);
+  assert.equal(doc.failures.length, 200);
+  assert.equal(doc.failures_truncated, 5);
+  assert.equal(doc.status, "failed");
+  assert.equal(doc.error, "browser crashed");
+});
+
+test("listRuns filters, pages newest first and rejects bad cursors", async () => {
+  const runs = [3, 2, 1].map(day => ({ _id: new mongoose.Types.ObjectId(), pipeline: "sync-news", started_at: new Date(Date.UTC(2025, 9, day)) }));
+  const { value: page, stages } = await withAggregate(runs, () => listRuns({ pipeline: "sync-news", status: "failed", limit: 2 }));
+
+  assert.deepEqual(stages[0], { $match: { pipeline: "sync-news", status: "failed" } });
+  assert.deepEqual(stages.at(-1), { $limit: 3 });
+  assert.deepEqual(page.items, runs.slice(0, 2));
+  assert.ok(page.nextCursor);
+
+  const next = await withAggregate([], () => listRuns({ limit: 2, cursor: page.nextCursor }));
+  assert.ok(next.stages.some(stage => stage.$match?.$expr?.$or), "the cursor continues after the last run");
+  assert.deepEqual(await listRuns({ limit: 2, cursor: "not-a-cursor" }), { error: "Invalid cursor" });
+});
+
+test("runTrends shapes buckets with counters and source rates", async () => {
+  const bucket = new Date("2025-10-19T00:00:00Z");
+  const since = new Date("2025-10-12T00:00:00Z");
+  const facets = {
+    runs: [
+      { _id: { pipeline: "sync-news", bucket }, runs: 2, failed: 1, failures: 3, avg_duration_ms: 1500.4, max_duration_ms: 2000 },
+      { _id: { pipeline: "sync-events", bucket }, runs: 1, failed: 0, failures: 0, avg_duration_ms: null, max_duration_ms: null },
+    ],
+    counters: [{ _id: { pipeline: "sync-news", bucket, name: "articles" }, total: 40 }],
+    sources: [{ _id: { pipeline: "sync-news", bucket, source: "google-news" }, queries: 10, results: 40, zero_results: 4, failed: 2 }],
+  };
+
+  const { value: trends, stages } = await withAggregate([facets], () => runTrends({ since, resolution: "1d" }));
+
+  assert.deepEqual(stages[0], { $match: { started_at: { $gte: since } } });
+  assert.deepEqual(trends.map(t => t.pipeline), ["sync-events", "sync-news"]);
+  assert.equal(trends[0].avg_duration_ms, 0);
+  assert.deepEqual(trends[1], {
+    pipeline: "sync-news",
+    bucket,
+    runs: 2,
+    failed: 1,
+    failures: 3,
+    avg_duration_ms: 1500,
+    max_duration_ms: 2000,
+    counters: { articles: 40 },
+    sources: [{ source: "google-news", queries: 10, results: 40, zero_results: 4, failed: 2, zero_result_rate: 0.4, avg_results: 5 }],
+  });
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateSearchQueries } from "../services/generic-search-generator.js";
+
+//event title + category, market sub-titles -> the strategies whose query is pinned down
+//(phrases quoted, thresholds and dates from the markets, category exclusions appended)
+const CASES = [
+  {
+    event: { title: "Will the Kansas City Chiefs win Super Bowl 2025?", category: "Sports" },
+    markets: [],
+    strategies: {
+      phrase: '"Kansas City Chiefs" "Super Bowl" win -fantasy -betting',
+      keywords: '"kansas city chiefs" "super bowl" win -fantasy -betting',
+    },
+  },
+  {
+    event: { title: "Bitcoin price on Dec 31, 2025?", category: "Crypto" },
+    markets: ["$100,000 or above", "$95,000 to $99,999.99"],
+    strategies: {
+      threshold: 'bitcoin price $100,000 $95,000 "Dec 31, 2025" -casino',
+    },
+  },
+  {
+    event: { title: "Will the Bank of England cut rates?", category: "Economics" },
+    markets: ["Cut 25bps"],
+    strategies: {
+      phrase: '"Bank of England" cut rates -horoscope',
+      threshold: '"bank of england" cut 25bps -horoscope',
+    },
+  },
+];
+
+for (const { event, markets, strategies } of CASES) {
+  test(`strategies for "${event.title}"`, () => {
+    const result = generateSearchQueries(event, markets.map(yes_sub_title => ({ yes_sub_title })));
+    const queries = Object.fromEntries(result.strategies.map(s => [s.name, s.query]));
+
+    for (const [name, query] of Object.entries(strategies)) assert.equal(queries[name], query, name);
+    assert.deepEqual(result.searchQueries, result.strategies.map(s => s.query));
+  });
+}
+
+test("extracts phrases, thresholds, dates and category exclusions", () => {
+  const bitcoin = generateSearchQueries(
+    { title: "Bitcoin price on Dec 31, 2025?", category: "Crypto" },
+    [{ yes_sub_title: "$100,000 or above" }, { yes_sub_title: "$95,000 to $99,999.99" }]
+  );
+  assert.deepEqual(bitcoin.numericTerms, ["$100,000", "$95,000", "$99,999.99"]);
+  assert.deepEqual(bitcoin.dates, ["Dec 31, 2025"]);
+  assert.deepEqual(bitcoin.exclusions, ["casino"]);
+
+  const boe = generateSearchQueries({ title: "Will the Bank of England cut rates?", category: "Economics" }, [{ yes_sub_title: "Cut 25bps" }]);
+  assert.deepEqual(boe.phrases, ["Bank of England"]);
+  assert.deepEqual(boe.keywords, ["bank of england", "cut", "rates"]);
+  assert.deepEqual(boe.numericTerms, ["25bps"]);
+});
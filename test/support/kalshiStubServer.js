@@ -0,0 +1,39 @@
+import http from "node:http";
+import { once } from "node:events";
+
+/**
+ * Local stand-in for the Kalshi REST API that injects failures.
+ * respond(request) returns { status, headers, body, delayMs } for each
+ * request ({ method, path, query }); every request is kept in `requests`.
+ */
+export async function startKalshiStubServer(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), at: Date.now() };
+    requests.push(request);
+
+    const { status = 200, headers = {}, body = {}, delayMs = 0 } = respond(request, requests.length - 1) || {};
+    setTimeout(() => {
+      if (res.destroyed) return;
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    }, delayMs);
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+//responses in order, the last one repeating
+export function sequence(...responses) {
+  return (request, index) => responses[Math.min(index, responses.length - 1)];
+}
@@ -0,0 +1,57 @@
+import { readFileSync } from "node:fs";
+import { once } from "node:events";
+import { WebSocketServer } from "ws";
+
+const FIXTURES = new URL("../fixtures/kalshi-ws/", import.meta.url);
+
+//recorded frames, one JSON frame per line, as raw strings so malformed ones replay as-is
+export function loadFrames(name) {
+  return readFileSync(new URL(name, FIXTURES), "utf8").split("\n").filter(Boolean);
+}
+
+/**
+ * Local stand-in for Kalshi's WebSocket API. sessions[i] is replayed on the
+ * i-th connection once the client sends its subscribe command; connections
+ * past the last session get no frames. A session entry { close: code }
+ * closes the socket at that point, anything else is sent as a frame.
+ */
+export async function startMockKalshiWsServer({ sessions = [] } = {}) {
+  const wss = new WebSocketServer({ host: "127.0.0.1", port: 0 });
+  await once(wss, "listening");
+  const connections = [];
+
+  wss.on("connection", (socket) => {
+    const connection = { commands: [], socket };
+    const frames = sessions[connections.length] || [];
+    connections.push(connection);
+
+    socket.on("message", (raw) => {
+      const command = JSON.parse(raw.toString());
+      connection.commands.push(command);
+      if (command.cmd !== "subscribe") return;
+
+      for (const frame of frames) {
+        if (frame && typeof frame === "object" && "close" in frame) return socket.close(frame.close);
+        socket.send(typeof frame === "string" ? frame : JSON.stringify(frame));
+      }
+    });
+  });
+
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    connections,
+    async close() {
+      for (const client of wss.clients) client.terminate();
+      await new Promise(resolve => wss.close(resolve));
+    },
+  };
+}
+
+//poll until check() is truthy
+export async function waitFor(check, { timeoutMs = 3000, intervalMs = 10 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
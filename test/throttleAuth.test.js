@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import express from "express";
+import axios from "axios";
+import { createRateLimiter } from "../utils/rateLimiter.js";
+
+process.env.AUTH_ATTEMPTS_PER_IP = "3";
+process.env.AUTH_ATTEMPTS_PER_EMAIL = "2";
+const { resetAuthThrottle, throttleAuth } = await import("../middleware/throttleAuth.js");
+
+test("the rate limiter counts hits per key until the window resets", async () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 50 });
+
+  assert.equal(limiter.hit("a"), 0);
+  assert.equal(limiter.hit("a"), 0);
+  assert.ok(limiter.hit("a") > 0);
+  assert.equal(limiter.hit("b"), 0);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(limiter.hit("a"), 0);
+});
+
+test("login attempts are throttled per email and IP, and per IP, with Retry-After", async (t) => {
+  const app = express();
+  app.set("trust proxy", true);
+  app.use(express.json());
+  app.post("/login", throttleAuth, (req, res) => {
+    if (req.body.password !== "right-password") return res.status(401).json({ error: "Invalid email or password" });
+    resetAuthThrottle(req, req.body.email);
+    res.json({ ok: true });
+  });
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const login = (email, ip, password = "wrong-password") => axios.post(`http://127.0.0.1:${server.address().port}/login`, { email, password }, {
+    headers: { "X-Forwarded-For": ip },
+    validateStatus: () => true,
+  });
+
+  assert.equal((await login("a@example.com", "203.0.113.1")).status, 401);
+  assert.equal((await login(" A@example.com", "203.0.113.1")).status, 401);
+  const throttled = await login("a@example.com", "203.0.113.1");
+  assert.equal(throttled.status, 429);
+  assert.ok(Number(throttled.headers["retry-after"]) > 0);
+
+  //spamming an address from one IP doesn't lock its owner out elsewhere
+  assert.equal((await login("a@example.com", "198.51.100.7", "right-password")).status, 200);
+
+  //another account from the throttled IP still counts towards the IP limit
+  assert.equal((await login("b@example.com", "203.0.113.1")).status, 429);
+});
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "node:fs";
+import { createHash } from "node:crypto";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+
+const cacheDir = mkdtempSync(path.join(os.tmpdir(), "thumbnails-"));
+process.env.THUMBNAIL_CACHE_DIR = cacheDir;
+const { InvalidThumbnailError, fetchOriginal, getThumbnail } = await import("../services/thumbnailProxy.js");
+
+const image = await sharp({ create: { width: 200, height: 150, channels: 3, background: "#c00" } }).png().toBuffer();
+const tinyImage = await sharp({ create: { width: 20, height: 20, channels: 3, background: "#c00" } }).png().toBuffer();
+
+//the stub is reached as "localhost"; 127.0.0.1 stands in for an internal host the fetcher must refuse
+const onlyLocalhost = { isAllowedUrl: (url) => new URL(url).hostname === "localhost", agents: {} };
+
+const ROUTES = {
+  "/image.png": (res) => res.writeHead(200, { "Content-Type": "image/png" }).end(image),
+  "/moved": (res) => res.writeHead(302, { Location: "/image.png" }).end(),
+  "/to-internal": (res, port) => res.writeHead(302, { Location: `http://127.0.0.1:${port}/image.png` }).end(),
+  "/loop": (res) => res.writeHead(302, { Location: "/loop" }).end(),
+  "/page.html": (res) => res.writeHead(200, { "Content-Type": "text/html" }).end("<html></html>"),
+  "/huge.png": (res) => res.writeHead(200, { "Content-Type": "image/png" }).end(Buffer.alloc(10 * 1024 * 1024 + 1)),
+  "/tiny.png": (res) => res.writeHead(200, { "Content-Type": "image/png" }).end(tinyImage),
+};
+
+const requests = [];
+const server = http.createServer((req, res) => {
+  requests.push(req.url);
+  const route = ROUTES[req.url];
+  if (route) route(res, server.address().port);
+  else res.writeHead(404).end();
+});
+server.listen(0, "127.0.0.1");
+await once(server, "listening");
+const base = `http://localhost:${server.address().port}`;
+
+test.after(() => {
+  server.close();
+  rmSync(cacheDir, { recursive: true, force: true });
+});
+
+test("follows redirects to an allowed host", async () => {
+  const buffer = await fetchOriginal(`${base}/moved`, onlyLocalhost);
+
+  assert.deepEqual(buffer, image);
+});
+
+test("re-checks the host on every redirect hop", async () => {
+  requests.length = 0;
+
+  await assert.rejects(fetchOriginal(`${base}/to-internal`, onlyLocalhost), (err) => {
+    assert.ok(err instanceof InvalidThumbnailError);
+    assert.match(err.message, /Not a public http\(s\) URL: http:\/\/127\.0\.0\.1/);
+    return true;
+  });
+  assert.deepEqual(requests, ["/to-internal"], "the internal URL was never requested");
+});
+
+test("gives up after too many redirects", async () => {
+  await assert.rejects(fetchOriginal(`${base}/loop`, onlyLocalhost), /Too many redirects/);
+});
+
+test("rejects non-image, oversized, too small and missing images", async () => {
+  await assert.rejects(fetchOriginal(`${base}/page.html`, onlyLocalhost), /Unsupported content-type "text\/html"/);
+  await assert.rejects(fetchOriginal(`${base}/huge.png`, onlyLocalhost), (err) => err instanceof InvalidThumbnailError && /larger than/.test(err.message));
+  await assert.rejects(fetchOriginal(`${base}/tiny.png`, onlyLocalhost), /Image too small \(20x20\)/);
+  await assert.rejects(fetchOriginal(`${base}/gone.png`, onlyLocalhost), /Image gone \(404\)/);
+});
+
+test("the default check refuses loopback URLs", async () => {
+  await assert.rejects(fetchOriginal(`${base}/image.png`), InvalidThumbnailError);
+});
+
+test("cached originals and variants are served without fetching", async () => {
+  //an internal URL: any fetch would be refused, so a result proves the cache was used
+  const article = { _id: "n1", thumbnail: "http://127.0.0.1:1/photo.png" };
+  const key = createHash("sha1").update(article.thumbnail).digest("hex");
+  const dir = path.join(cacheDir, key.slice(0, 2), key);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(path.join(dir, "original"), image);
+
+  const first = await getThumbnail(article, { width: 160, format: "jpeg" });
+  const second = await getThumbnail(article, { width: 160, format: "jpeg" });
+
+  assert.equal(first.contentType, "image/jpeg");
+  assert.equal((await sharp(first.body).metadata()).width, 160);
+  assert.deepEqual(second.body, first.body);
+  assert.equal(second.etag, `"${key.slice(0, 16)}-160-jpeg"`);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import axios from "axios";
+import { PrivateAddressError, isPublicHttpUrl, publicLookup, publicOnlyAgents } from "../utils/urls.js";
+
+test("isPublicHttpUrl rejects non-public IP literals in every spelling", () => {
+  for (const url of [
+    "http://127.0.0.1/",
+    "http://2130706433/",
+    "http://0x7f.1/",
+    "http://[::1]/",
+    "http://[::]/",
+    "http://0.0.0.0/",
+    "http://[::ffff:127.0.0.1]/",
+    "http://[::ffff:169.254.169.254]/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://100.64.0.1/",
+    "http://10.1.2.3/",
+    "http://172.20.0.1/",
+    "http://192.168.1.1/",
+    "http://[fd00::1]/",
+    "http://[fe80::1]/",
+    "http://localhost:3000/",
+    "http://api.localhost/",
+    "http://printer.local/",
+    "ftp://example.com/",
+    "not a url",
+  ]) {
+    assert.equal(isPublicHttpUrl(url), false, url);
+  }
+});
+
+test("isPublicHttpUrl accepts public hosts and addresses", () => {
+  for (const url of ["https://example.com/hook", "http://93.184.216.34/", "http://[2606:2800:220:1::]/", "http://[::ffff:93.184.216.34]/"]) {
+    assert.equal(isPublicHttpUrl(url), true, url);
+  }
+});
+
+test("publicLookup fails when a host name resolves to a loopback address", async () => {
+  const err = await new Promise(resolve => publicLookup("localhost", {}, resolve));
+
+  assert.ok(err instanceof PrivateAddressError);
+  assert.match(err.message, /^localhost resolves to non-public address/);
+});
+
+test("requests through publicOnlyAgents never connect to a host that resolves privately", async (t) => {
+  let connections = 0;
+  const server = http.createServer((req, res) => res.end("ok"));
+  server.on("connection", () => connections++);
+  server.listen(0);
+  await once(server, "listening");
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  await assert.rejects(
+    axios.get(`http://localhost:${server.address().port}/`, { ...publicOnlyAgents, timeout: 1000 }),
+    (err) => err.code === "ERR_PRIVATE_ADDRESS" && err.cause instanceof PrivateAddressError
+  );
+  assert.equal(connections, 0);
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { signPayload, verifySignature } from "../services/webhooks.js";
+
+const secret = "whsec_test";
+const body = JSON.stringify({ event: "alert.triggered", market: { yes_price: 61 } });
+
+test("a signature verifies against the same body and secret", () => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const header = signPayload(secret, body, timestamp);
+
+  assert.match(header, new RegExp(`^t=${timestamp},v1=[0-9a-f]{64}$`));
+  assert.equal(verifySignature(secret, header, body), true);
+});
+
+test("a signature fails for another body, another secret or an old timestamp", () => {
+  const header = signPayload(secret, body);
+
+  assert.equal(verifySignature(secret, header, body.replace("61", "16")), false);
+  assert.equal(verifySignature("whsec_other", header, body), false);
+  assert.equal(verifySignature(secret, signPayload(secret, body, Math.floor(Date.now() / 1000) - 600), body), false);
+  assert.equal(verifySignature(secret, "v1=abc", body), false);
+  assert.equal(verifySignature(secret, undefined, body), false);
+});
@@ -3,29 +3,50 @@
  * 
  * Processes ONLY recently added news articles from MongoDB and adds thumbnail URLs
  * Skips articles that have already been processed (have thumbnails or marked as not_found)
- * Uses hyper-optimized Puppeteer cluster for fast processing
+ * Failures are classified (timeout, HTTP status, blocked, no image, ...); transient ones
+ * are retried on later runs with exponential backoff, see services/thumbnailFailures.js
+ * Resolves Google News links to publisher URLs offline; falls back to a
+ * hyper-optimized Puppeteer cluster only for links that can't be decoded
  * 
  * Usage:
  *   node update-news-thumbnails.js
+ *   node scripts/cli.js thumbnails [--event TICKER] [--since 2d] [--limit N] [--dry-run]
  * 
  * Options (via environment variables):
  *   RECENT_DAYS - Only process articles added in last N days (default: 7)
  *   LIMIT - Number of articles to process (default: all recent without thumbnails)
  *   BATCH_SIZE - Process in batches (default: 100)
  *   MAX_CONCURRENCY - Concurrent Puppeteer instances (default: 10)
+ *   THUMBNAIL_MAX_ATTEMPTS - Give up on an article after N failed lookups (default: 5)
+ *   THUMBNAIL_RETRY_BASE_MS - Delay before the first retry, doubled after each failure (default: 30 min)
  */
 
-import { MongoClient } from 'mongodb';
 import axios from 'axios';
 import { JSDOM } from 'jsdom';
 import { Cluster } from 'puppeteer-cluster';
 import dotenv from 'dotenv';
+import { pathToFileURL } from 'node:url';
+import { decodeGoogleNewsUrl, isGoogleNewsUrl } from './utils/googleNewsUrl.js';
+import { createRunRecorder, saveRun } from './services/pipelineTelemetry.js';
+import {
+  ThumbnailFailure,
+  classifyError,
+  domainOf,
+  isBlockedPage,
+  nextRetryAt,
+} from './services/thumbnailFailures.js';
+import { databaseName, disconnectDB, requireDB } from './utils/db.js';
+import { findEventByTicker } from './repositories/eventRepository.js';
+import {
+  countThumbnailCandidates,
+  findThumbnailCandidates,
+  saveThumbnail,
+  saveThumbnailFailure,
+  thumbnailCandidatesFilter,
+} from './repositories/newsRepository.js';
 
 dotenv.config();
 
-const MONGODB_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/test';
-const DB_NAME = process.env.DB_NAME || 'test';
-const NEWS_COLLECTION = 'news';
 const LIMIT = parseInt(process.env.LIMIT || '0'); // 0 = all
 const BATCH_SIZE = parseInt(process.env.BATCH_SIZE || '100'); // Increased default batch size
 const MAX_CONCURRENCY = parseInt(process.env.MAX_CONCURRENCY || '10'); // Increased default concurrency
@@ -44,61 +65,85 @@ function isGooglePlaceholder(url) {
 
 /**
  * Extract thumbnail from article URL
+ * Throws a ThumbnailFailure saying why when there is none
  */
 async function fetchThumbnailFromUrl(url) {
+  let response;
   try {
-    const response = await axios.get(url, {
+    response = await axios.get(url, {
       timeout: 3000, // Reduced timeout for faster processing
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
       },
       maxRedirects: 3 // Reduced redirects for speed
     });
-    
-    const dom = new JSDOM(response.data);
-    const document = dom.window.document;
-    
-    // Try Open Graph image
-    const ogImage = document.querySelector('meta[property="og:image"]');
-    if (ogImage && ogImage.content && !isGooglePlaceholder(ogImage.content)) {
-      return ogImage.content;
-    }
-    
-    // Try Twitter card image
-    const twitterImage = document.querySelector('meta[name="twitter:image"]') || 
-                        document.querySelector('meta[property="twitter:image"]');
-    if (twitterImage && twitterImage.content && !isGooglePlaceholder(twitterImage.content)) {
-      return twitterImage.content;
-    }
-    
-    // Try meta image
-    const metaImage = document.querySelector('meta[name="image"]');
-    if (metaImage && metaImage.content && !isGooglePlaceholder(metaImage.content)) {
-      return metaImage.content;
+  } catch (error) {
+    throw classifyError(error);
+  }
+  
+  const contentType = String(response.headers['content-type'] || '');
+  if (contentType && !contentType.includes('html')) {
+    throw new ThumbnailFailure('no_image', `Not an HTML page (${contentType.split(';')[0]})`);
+  }
+  if (isBlockedPage(response.data)) {
+    throw new ThumbnailFailure('blocked', 'Bot check or access wall', { status: response.status });
+  }
+  
+  const dom = new JSDOM(response.data);
+  const document = dom.window.document;
+  
+  // Image meta tags that are present but unusable (placeholders, data: URIs) make this invalid_image rather than no_image
+  let unusable = null;
+  const usable = (content) => {
+    if (!content) return false;
+    if (isGooglePlaceholder(content) || !/^https?:\/\//i.test(content)) {
+      unusable = content;
+      return false;
     }
-    
-    // Try to find first large image (excluding Google placeholders)
-    const images = document.querySelectorAll('img');
-    for (const img of images) {
-      const src = img.src || img.getAttribute('data-src') || img.getAttribute('data-lazy-src');
-      if (src && (src.startsWith('http://') || src.startsWith('https://'))) {
-        // Skip Google placeholder images
-        if (isGooglePlaceholder(src)) {
-          continue;
-        }
-        
-        const width = img.width || img.getAttribute('width');
-        const height = img.height || img.getAttribute('height');
-        if (width && parseInt(width) > 200 && height && parseInt(height) > 200) {
-          return src;
-        }
+    return true;
+  };
+  
+  // Try Open Graph image
+  const ogImage = document.querySelector('meta[property="og:image"]');
+  if (ogImage && usable(ogImage.content)) {
+    return ogImage.content;
+  }
+  
+  // Try Twitter card image
+  const twitterImage = document.querySelector('meta[name="twitter:image"]') || 
+                      document.querySelector('meta[property="twitter:image"]');
+  if (twitterImage && usable(twitterImage.content)) {
+    return twitterImage.content;
+  }
+  
+  // Try meta image
+  const metaImage = document.querySelector('meta[name="image"]');
+  if (metaImage && usable(metaImage.content)) {
+    return metaImage.content;
+  }
+  
+  // Try to find first large image (excluding Google placeholders)
+  const images = document.querySelectorAll('img');
+  for (const img of images) {
+    const src = img.src || img.getAttribute('data-src') || img.getAttribute('data-lazy-src');
+    if (src && (src.startsWith('http://') || src.startsWith('https://'))) {
+      // Skip Google placeholder images
+      if (isGooglePlaceholder(src)) {
+        continue;
+      }
+      
+      const width = img.width || img.getAttribute('width');
+      const height = img.height || img.getAttribute('height');
+      if (width && parseInt(width) > 200 && height && parseInt(height) > 200) {
+        return src;
       }
     }
-    
-    return null;
-  } catch (error) {
-    return null;
   }
+  
+  if (unusable) {
+    throw new ThumbnailFailure('invalid_image', `Unusable image ${unusable.substring(0, 100)}`);
+  }
+  throw new ThumbnailFailure('no_image', 'No og:image, twitter:image or large <img> on the page');
 }
 
 /**
@@ -159,153 +204,122 @@ async function extractActualUrl({ page, data: googleNewsUrl }) {
       return null;
     });
     
-    return actualUrl || googleNewsUrl;
+    if (!actualUrl) {
+      throw new ThumbnailFailure('unresolved', 'Google News page did not lead to a publisher URL');
+    }
+    return actualUrl;
   } catch (error) {
-    return googleNewsUrl;
+    throw classifyError(error);
   }
 }
 
 /**
- * Test MongoDB connection and verify database/collection access
+ * Launch Puppeteer cluster with hyper-optimized settings
  */
-async function testMongoConnection(client) {
-  try {
-    console.log('🔍 Testing MongoDB connection...\n');
-    
-    // Test connection
-    await client.db('admin').command({ ping: 1 });
-    console.log('✅ MongoDB connection successful\n');
-    
-    // Test database access
-    const db = client.db(DB_NAME);
-    const adminDb = client.db('admin');
-    const dbList = await adminDb.admin().listDatabases();
-    const dbExists = dbList.databases.some(d => d.name === DB_NAME);
-    
-    if (!dbExists) {
-      console.log(`⚠️  Warning: Database '${DB_NAME}' does not exist yet (will be created on first write)\n`);
-    } else {
-      console.log(`✅ Database '${DB_NAME}' exists\n`);
+async function launchCluster(maxConcurrency) {
+  console.log('🚀 Launching Puppeteer cluster (HYPER-OPTIMIZED)...\n');
+  const cluster = await Cluster.launch({
+    concurrency: Cluster.CONCURRENCY_CONTEXT,
+    maxConcurrency,
+    puppeteerOptions: {
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--disable-gpu',
+        '--disable-images', // Don't load images
+        '--disable-javascript-harmony-shipping',
+        '--disable-background-networking',
+        '--disable-background-timer-throttling',
+        '--disable-backgrounding-occluded-windows',
+        '--disable-breakpad',
+        '--disable-client-side-phishing-detection',
+        '--disable-component-extensions-with-background-pages',
+        '--disable-default-apps',
+        '--disable-extensions',
+        '--disable-features=TranslateUI',
+        '--disable-hang-monitor',
+        '--disable-ipc-flooding-protection',
+        '--disable-popup-blocking',
+        '--disable-prompt-on-repost',
+        '--disable-renderer-backgrounding',
+        '--disable-sync',
+        '--disable-translate',
+        '--metrics-recording-only',
+        '--mute-audio',
+        '--no-first-run',
+        '--safebrowsing-disable-auto-update',
+        '--enable-automation',
+        '--password-store=basic',
+        '--use-mock-keychain'
+      ]
     }
-    
-    // Test collection access
-    const newsCollection = db.collection(NEWS_COLLECTION);
-    const count = await newsCollection.countDocuments({});
-    console.log(`✅ Collection '${NEWS_COLLECTION}' accessible (${count} total documents)\n`);
-    
-    return { db, newsCollection, count };
-  } catch (error) {
-    console.error('❌ MongoDB connection test failed:', error.message);
-    throw error;
-  }
+  });
+  
+  await cluster.task(extractActualUrl);
+  return cluster;
 }
 
-async function main() {
+/**
+ * options (all optional; defaults come from the env vars above):
+ *   since       - Date; only articles added or updated after it (default: RECENT_DAYS ago)
+ *   limit       - max articles to process (default: LIMIT, 0 = all)
+ *   event       - only articles linked to this event ticker
+ *   concurrency - Puppeteer workers (default: MAX_CONCURRENCY)
+ *   dryRun      - resolve and fetch thumbnails, but write nothing
+ */
+async function main({ since, limit = LIMIT, event: eventTicker, concurrency = MAX_CONCURRENCY, dryRun = false } = {}) {
   const startTime = Date.now();
-  console.log('🖼️  Updating News Collection with Thumbnails (RECENT ARTICLES ONLY)\n');
-  console.log(`MongoDB URI: ${MONGODB_URI.replace(/\/\/[^:]+:[^@]+@/, '//***:***@')}`);
-  console.log(`Database: ${DB_NAME}`);
-  console.log(`Collection: ${NEWS_COLLECTION}`);
-  console.log(`Recent Days: ${RECENT_DAYS} days`);
-  console.log(`Limit: ${LIMIT || 'All recent articles without thumbnails'}`);
+  const recentCutoffDate = since || new Date(Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000);
+  console.log(`🖼️  Updating News Collection with Thumbnails (RECENT ARTICLES ONLY)${dryRun ? ' - dry run, nothing will be written' : ''}\n`);
+  console.log(`Database: ${databaseName()}`);
+  console.log(`Added after: ${recentCutoffDate.toISOString()}`);
+  if (eventTicker) console.log(`Event: ${eventTicker}`);
+  console.log(`Limit: ${limit || 'All recent articles without thumbnails'}`);
   console.log(`Batch Size: ${BATCH_SIZE}`);
-  console.log(`Concurrency: ${MAX_CONCURRENCY}\n`);
+  console.log(`Concurrency: ${concurrency}\n`);
   console.log('='.repeat(80) + '\n');
   
-  const client = new MongoClient(MONGODB_URI);
+  const run = createRunRecorder('thumbnails');
+  let fatalError;
   let cluster;
   
   try {
-    await client.connect();
-    
-    // Test MongoDB connection
-    const { db, newsCollection } = await testMongoConnection(client);
-    
-    // Calculate the cutoff date for "recent" articles (as ISO string for comparison)
-    const recentCutoffDate = new Date();
-    recentCutoffDate.setDate(recentCutoffDate.getDate() - RECENT_DAYS);
-    const recentCutoffISO = recentCutoffDate.toISOString();
-    
-    console.log(`📅 Processing articles added after: ${recentCutoffISO}`);
-    console.log(`   (Last ${RECENT_DAYS} days)\n`);
+    console.log(`📅 Processing articles added after: ${recentCutoffDate.toISOString()}\n`);
+    
+    // Find ONLY recently added articles without thumbnails (or with Google placeholders)
+    // that haven't been given up on, optionally only those linked to one event
+    let eventId;
+    if (eventTicker) {
+      const event = await findEventByTicker(eventTicker);
+      if (!event) {
+        throw new Error(`Event ${eventTicker} not found`);
+      }
+      eventId = event._id;
+    }
+    const query = thumbnailCandidatesFilter({ since: recentCutoffDate, eventId });
     
-    // Find ONLY recently added articles without thumbnails
-    // Only process articles that:
-    // 1. Were added recently (created_at or updated_at within RECENT_DAYS)
-    // 2. Don't have thumbnails (or have Google placeholders)
-    // 3. Haven't been processed before (no thumbnail_fetched_at) OR have Google placeholders
-    // 4. Not explicitly marked as thumbnail_not_found: true (unless it's a Google placeholder)
-    const query = {
-      $and: [
-        {
-          // Only process recently added articles (dates stored as ISO strings)
-          $or: [
-            { created_at: { $gte: recentCutoffISO } },
-            { updated_at: { $gte: recentCutoffISO } },
-            // Fallback: if no date fields, process if never fetched
-            {
-              $and: [
-                { created_at: { $exists: false } },
-                { updated_at: { $exists: false } },
-                { thumbnail_fetched_at: { $exists: false } }
-              ]
-            }
-          ]
-        },
-        {
-          $or: [
-            // No thumbnail
-            { thumbnail: { $exists: false } },
-            { thumbnail: null },
-            { thumbnail: '' },
-            // Google placeholder thumbnail (needs replacement)
-            { thumbnail: { $regex: /googleusercontent\.com|gstatic\.com|google\.com\/images/i } }
-          ]
-        },
-        {
-          // Skip articles that already have real thumbnails
-          $or: [
-            { thumbnail: { $exists: false } },
-            { thumbnail: null },
-            { thumbnail: '' },
-            { thumbnail: { $regex: /googleusercontent\.com|gstatic\.com|google\.com\/images/i } }
-          ]
-        },
-        {
-          $or: [
-            // Never processed
-            { thumbnail_fetched_at: { $exists: false } },
-            { thumbnail_fetched_at: null },
-            // Has Google placeholder - allow reprocessing
-            { thumbnail: { $regex: /googleusercontent\.com|gstatic\.com|google\.com\/images/i } }
-          ]
-        },
-        {
-          // Only exclude "not_found" if it's NOT a Google placeholder
-          $or: [
-            { thumbnail_not_found: { $ne: true } },
-            { thumbnail: { $regex: /googleusercontent\.com|gstatic\.com|google\.com\/images/i } }
-          ]
-        }
-      ]
-    };
+    // Dry runs go through the same steps without touching the database
+    const recordThumbnail = (article, thumbnail, domain) => dryRun
+      ? Promise.resolve()
+      : saveThumbnail(article._id, thumbnail, { domain });
+    const recordFailure = (article, failure, options) => dryRun
+      ? Promise.resolve()
+      : saveThumbnailFailure(article._id, failure, options);
     
-    const totalWithoutThumbnails = await newsCollection.countDocuments(query);
+    const totalWithoutThumbnails = await countThumbnailCandidates(query);
     console.log(`📊 Found ${totalWithoutThumbnails} recent articles without thumbnails\n`);
     
     if (totalWithoutThumbnails === 0) {
-      console.log(`✅ No recent articles (last ${RECENT_DAYS} days) need thumbnail processing!`);
+      console.log(`✅ No recent articles (added after ${recentCutoffDate.toISOString()}) need thumbnail processing!`);
       console.log('   All recent articles already have thumbnails or have been processed.');
-      return;
+      return { processed: 0, updated: 0, failed: 0, retrying: 0, failureKinds: {}, decodedOffline: 0, resolvedInBrowser: 0, failures: 0, dry_run: dryRun };
     }
     
-    // Get articles to process
-    // Prioritize recently added articles (created_at or updated_at)
-    const articles = await newsCollection
-      .find(query)
-      .sort({ created_at: -1, updated_at: -1 }) // Process newest first
-      .limit(LIMIT || totalWithoutThumbnails)
-      .toArray();
+    // Get articles to process, newest first
+    const articles = await findThumbnailCandidates(query, limit || totalWithoutThumbnails);
     
     console.log(`📋 Processing ${articles.length} articles\n`);
     
@@ -323,53 +337,23 @@ async function main() {
     }
     console.log('='.repeat(80) + '\n');
     
-    // Launch Puppeteer cluster with hyper-optimized settings
-    console.log('🚀 Launching Puppeteer cluster (HYPER-OPTIMIZED)...\n');
-    cluster = await Cluster.launch({
-      concurrency: Cluster.CONCURRENCY_CONTEXT,
-      maxConcurrency: MAX_CONCURRENCY,
-      puppeteerOptions: {
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--disable-gpu',
-          '--disable-images', // Don't load images
-          '--disable-javascript-harmony-shipping',
-          '--disable-background-networking',
-          '--disable-background-timer-throttling',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-breakpad',
-          '--disable-client-side-phishing-detection',
-          '--disable-component-extensions-with-background-pages',
-          '--disable-default-apps',
-          '--disable-extensions',
-          '--disable-features=TranslateUI',
-          '--disable-hang-monitor',
-          '--disable-ipc-flooding-protection',
-          '--disable-popup-blocking',
-          '--disable-prompt-on-repost',
-          '--disable-renderer-backgrounding',
-          '--disable-sync',
-          '--disable-translate',
-          '--metrics-recording-only',
-          '--mute-audio',
-          '--no-first-run',
-          '--safebrowsing-disable-auto-update',
-          '--enable-automation',
-          '--password-store=basic',
-          '--use-mock-keychain'
-        ]
+    // The Puppeteer cluster is only launched if some Google News link can't be decoded offline
+    let clusterPromise = null;
+    const getCluster = () => {
+      if (!clusterPromise) {
+        clusterPromise = launchCluster(concurrency);
+        clusterPromise.then(c => { cluster = c; }, () => {});
       }
-    });
-    
-    await cluster.task(extractActualUrl);
+      return clusterPromise;
+    };
+    let decodedOffline = 0;
+    let resolvedInBrowser = 0;
     
     let processed = 0;
     let updated = 0;
-    let failed = 0;
+    let failed = 0; // given up on: permanent failure or out of attempts
+    let retrying = 0;
+    const failureKinds = {};
     let lastProgressLog = 0; // Track when we last logged progress
     
     // Process in batches
@@ -382,100 +366,81 @@ async function main() {
       
       // Extract actual URLs concurrently
       const urlPromises = batch.map(async (article) => {
+        // Publisher URLs need no resolving; Google News links are decoded offline when possible
+        if (!isGoogleNewsUrl(article.canonical_url)) {
+          return { article, actualUrl: article.canonical_url };
+        }
+        const decodedUrl = decodeGoogleNewsUrl(article.canonical_url);
+        if (decodedUrl) {
+          decodedOffline++;
+          return { article, actualUrl: decodedUrl };
+        }
+        
         try {
-          const actualUrl = await cluster.execute(article.canonical_url);
+          const browserCluster = await getCluster();
+          const actualUrl = await browserCluster.execute(article.canonical_url);
+          resolvedInBrowser++;
           return { article, actualUrl };
         } catch (error) {
-          return { article, actualUrl: article.canonical_url, error: error.message };
+          return { article, actualUrl: article.canonical_url, failure: classifyError(error) };
         }
       });
       
-      const urlResults = await Promise.all(urlPromises);
+      const urlResults = await run.stage('resolve', () => Promise.all(urlPromises));
       
       // Fetch thumbnails and update database
-      const updatePromises = urlResults.map(async ({ article, actualUrl, error }) => {
-        if (error) {
-          // Mark as not found to prevent future retries
-          const updateDoc = {
-            thumbnail: null,
-            thumbnail_not_found: true,
-            thumbnail_fetched_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          };
-          
-          console.log(`   ❌ ${article.title?.substring(0, 50) || 'No title'}... - Error: ${error}`);
-          console.log(`      📝 Will update MongoDB with: thumbnail=null, thumbnail_not_found=true`);
-          
-          await newsCollection.updateOne(
-            { _id: article._id },
-            { $set: updateDoc }
-          );
-          failed++;
-          processed++;
-          return;
-        }
+      const updatePromises = urlResults.map(async ({ article, actualUrl, failure }) => {
+        // A resolve failure never reached the publisher, so it isn't counted against any domain
+        const domain = failure ? undefined : domainOf(actualUrl);
+        const title = article.title?.substring(0, 50) || 'No title';
         
         try {
-          const thumbnail = await fetchThumbnailFromUrl(actualUrl);
+          let thumbnail;
+          try {
+            if (failure) throw failure;
+            thumbnail = await fetchThumbnailFromUrl(actualUrl);
+          } catch (error) {
+            failure = classifyError(error);
+          }
           
           if (thumbnail) {
-            const updateDoc = {
-              thumbnail: thumbnail,
-              thumbnail_not_found: false,
-              thumbnail_fetched_at: new Date().toISOString(),
-              updated_at: new Date().toISOString()
-            };
-            
-            console.log(`   ✅ Found thumbnail: ${article.title?.substring(0, 50) || 'No title'}...`);
+            console.log(`   ✅ Found thumbnail: ${title}...`);
             console.log(`      🖼️  ${thumbnail.substring(0, 70)}...`);
             console.log(`      📝 Will update MongoDB with thumbnail URL`);
             
-            await newsCollection.updateOne(
-              { _id: article._id },
-              { $set: updateDoc }
-            );
+            await recordThumbnail(article, thumbnail, domain);
             updated++;
           } else {
-            // Mark as not found to prevent future retries
-            const updateDoc = {
-              thumbnail: null,
-              thumbnail_not_found: true,
-              thumbnail_fetched_at: new Date().toISOString(),
-              updated_at: new Date().toISOString()
-            };
+            const attempts = (article.thumbnail_attempts || 0) + 1;
+            const retryAt = nextRetryAt(failure, attempts);
+            failureKinds[failure.kind] = (failureKinds[failure.kind] || 0) + 1;
             
-            console.log(`   ⚠️  No thumbnail found: ${article.title?.substring(0, 50) || 'No title'}...`);
-            console.log(`      📝 Will update MongoDB with: thumbnail=null, thumbnail_not_found=true`);
+            console.log(`   ⚠️  No thumbnail (${failure.kind}${failure.status ? ` ${failure.status}` : ''}): ${title}... - ${failure.message}`);
+            if (retryAt) {
+              console.log(`      📝 Will retry after ${retryAt.toISOString()} (attempt ${attempts})`);
+              retrying++;
+            } else {
+              console.log(`      📝 Will update MongoDB with: thumbnail=null, thumbnail_not_found=true${failure.retryable ? ` (gave up after ${attempts} attempts)` : ''}`);
+              failed++;
+            }
             
-            await newsCollection.updateOne(
-              { _id: article._id },
-              { $set: updateDoc }
-            );
-            failed++;
+            await recordFailure(article, failure, { retryAt, domain });
           }
-          processed++;
         } catch (error) {
-          // Mark as not found on error to prevent future retries
-          const updateDoc = {
-            thumbnail: null,
-            thumbnail_not_found: true,
-            thumbnail_fetched_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-          };
-          
-          console.log(`   ❌ Error updating: ${article.title?.substring(0, 50) || 'No title'}... - ${error.message}`);
-          console.log(`      📝 Will update MongoDB with: thumbnail=null, thumbnail_not_found=true`);
-          
-          await newsCollection.updateOne(
-            { _id: article._id },
-            { $set: updateDoc }
-          );
-          failed++;
-          processed++;
+          console.log(`   ❌ Error updating: ${title}... - ${error.message}`);
+          run.fail({ stage: 'fetch', message: `${actualUrl}: ${error.message}` });
         }
+        processed++;
       });
       
-      await Promise.all(updatePromises);
+      await run.stage('fetch', () => Promise.all(updatePromises));
+      run.set('processed', processed);
+      run.set('updated', updated);
+      run.set('not_found', failed);
+      run.set('retry_scheduled', retrying);
+      for (const [kind, count] of Object.entries(failureKinds)) run.set(`failed_${kind}`, count);
+      run.set('decoded_offline', decodedOffline);
+      run.set('resolved_in_browser', resolvedInBrowser);
       
       // Progress log every 100 articles
       if (processed - lastProgressLog >= 100) {
@@ -520,7 +485,7 @@ async function main() {
         console.log(`📊 PROGRESS UPDATE (Every 100 articles)`);
         console.log('='.repeat(80));
         console.log(`✅ Successfully updated: ${updated} articles`);
-        console.log(`⚠️  No thumbnail found: ${failed} articles`);
+        console.log(`⚠️  No thumbnail found: ${failed} articles, ${retrying} to retry later`);
         console.log(`📊 Total processed: ${processed} / ${articles.length} (${percentage}%)`);
         console.log(`⏱️  Elapsed time: ${elapsedFormatted}`);
         console.log(`⚡ Processing rate: ${rate} articles/second`);
@@ -537,8 +502,10 @@ async function main() {
       }
     }
     
-    await cluster.idle();
-    await cluster.close();
+    if (cluster) {
+      await cluster.idle();
+      await cluster.close();
+    }
     
     const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
     
@@ -547,27 +514,43 @@ async function main() {
     console.log('📊 FINAL SUMMARY');
     console.log('='.repeat(80) + '\n');
     console.log(`✅ Successfully updated: ${updated} articles`);
-    console.log(`⚠️  No thumbnail found: ${failed} articles`);
+    console.log(`⚠️  No thumbnail found: ${failed} articles, ${retrying} to retry later`);
+    if (Object.keys(failureKinds).length) {
+      console.log(`   Failures by kind: ${Object.entries(failureKinds).map(([kind, count]) => `${kind} ${count}`).join(', ')}`);
+    }
     console.log(`📊 Total processed: ${processed} articles`);
+    console.log(`🔓 Google News links decoded offline: ${decodedOffline}, resolved in browser: ${resolvedInBrowser}`);
     console.log(`⏱️  Total time: ${totalTime}s`);
     console.log(`⚡ Average: ${(parseFloat(totalTime) / processed).toFixed(1)}s per article`);
     
     // Get final count
-    const remaining = await newsCollection.countDocuments(query);
+    const remaining = await countThumbnailCandidates(query);
     console.log(`\n📋 Remaining articles without thumbnails: ${remaining}`);
     
+    run.set('remaining', remaining);
+    return { processed, updated, failed, retrying, failureKinds, decodedOffline, resolvedInBrowser, remaining, failures: run.failureCount, dry_run: dryRun };
   } catch (error) {
     console.error('❌ Fatal error:', error);
+    fatalError = error;
     if (cluster) {
       await cluster.idle();
       await cluster.close();
     }
-    process.exit(1);
+    throw error;
   } finally {
-    await client.close();
-    console.log('\n👋 Disconnected from MongoDB');
+    if (!dryRun) await saveRun(run.finish(fatalError));
   }
 }
 
-main().catch(console.error);
+// Expects an open Mongoose connection (the server, the scheduler and scripts/cli.js provide one)
+export async function updateNewsThumbnails(options) {
+  return main(options);
+}
+
+// Run when executed directly (node update-news-thumbnails.js); the scheduler imports updateNewsThumbnails()
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  requireDB()
+    .then(() => main())
+    .then(() => disconnectDB(), () => process.exit(1));
+}
 
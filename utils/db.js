@@ -1,12 +1,35 @@
 import mongoose from "mongoose";
 
+const DEFAULT_URI = "mongodb://localhost:27017/kalshi";
+//the driver's own default, which deployments with a path-less MONGO_URI have always used
+const DEFAULT_DB_NAME = "test";
+
+//one database for the server, the pipelines and the CLI:
+//DB_NAME if set, else the database in MONGO_URI's path (kalshi without MONGO_URI), else "test"
+export function databaseName() {
+  if (process.env.DB_NAME) return process.env.DB_NAME;
+  //not new URL(): multi-host URIs (a:27017,b:27017) don't parse as URLs
+  const path = (process.env.MONGO_URI || DEFAULT_URI).match(/^[^:]+:\/\/[^/]+\/([^?]*)/)?.[1];
+  return path ? decodeURIComponent(path) : DEFAULT_DB_NAME;
+}
+
 export async function connectDB() {
   try {
-    await mongoose.connect(process.env.MONGO_URI || "mongodb://localhost:27017/kalshi", {
-      
+    await mongoose.connect(process.env.MONGO_URI || DEFAULT_URI, {
+      dbName: databaseName(),
     });
-    console.log("Connected to MongoDB");
+    console.log(`Connected to MongoDB (${databaseName()})`);
   } catch (err) {
     console.error("MongoDB connection error:", err);
   }
 }
+
+//connectDB for scripts and the CLI, which can't do anything useful without a connection
+export async function requireDB() {
+  await connectDB();
+  if (mongoose.connection.readyState !== 1) throw new Error("Could not connect to MongoDB");
+}
+
+export async function disconnectDB() {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,78 @@
+/**
+ * Offline decoding of Google News article links
+ * 
+ * RSS links look like https://news.google.com/rss/articles/<id>?oc=5 where
+ * <id> is base64url of a small protobuf: 0x08 0x13 0x22, a varint length,
+ * then the publisher URL (sometimes followed by an AMP URL). Newer ids
+ * ("AU_yqL...") only hold an opaque token; those return null and callers
+ * fall back to following the redirect in a browser.
+ */
+
+const ARTICLE_PATH = /^\/(?:rss\/)?(?:articles|read)\/([A-Za-z0-9_-]+)/;
+const PROTOBUF_PREFIX = [0x08, 0x13, 0x22];
+
+export function isGoogleNewsUrl(link) {
+  try {
+    return new URL(link).hostname === 'news.google.com';
+  } catch {
+    return false;
+  }
+}
+
+function readVarint(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+  let pos = offset;
+  while (pos < bytes.length) {
+    const byte = bytes[pos++];
+    value |= (byte & 0x7f) << shift;
+    if (!(byte & 0x80)) return { value, next: pos };
+    shift += 7;
+    if (shift > 28) break;
+  }
+  return null;
+}
+
+function validUrl(candidate) {
+  if (!/^https?:\/\//.test(candidate)) return null;
+  try {
+    return new URL(candidate).toString();
+  } catch {
+    return null;
+  }
+}
+
+// Publisher URL encoded in a Google News article link, or null when it can't be decoded offline
+export function decodeGoogleNewsUrl(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return null;
+  }
+  if (url.hostname !== 'news.google.com') return null;
+
+  const match = ARTICLE_PATH.exec(url.pathname);
+  if (!match) return null;
+
+  const bytes = Buffer.from(match[1], 'base64url');
+  if (bytes.length < 5) return null;
+
+  let offset = 0;
+  if (PROTOBUF_PREFIX.every((b, i) => bytes[i] === b)) {
+    offset = PROTOBUF_PREFIX.length;
+    const length = readVarint(bytes, offset);
+    // A length running past the end means a truncated or different layout; the fallback below handles those
+    if (length && length.next + length.value <= bytes.length) {
+      const decoded = validUrl(bytes.subarray(length.next, length.next + length.value).toString('utf8'));
+      if (decoded) return decoded;
+    }
+  }
+
+  // Older layouts: take the first printable http(s) run
+  const text = bytes.subarray(offset).toString('latin1');
+  const start = text.search(/https?:\/\//);
+  if (start === -1) return null;
+  const run = /^https?:\/\/[\x21-\x7e]+/.exec(text.slice(start));
+  return run ? validUrl(run[0]) : null;
+}
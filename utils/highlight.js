@@ -0,0 +1,53 @@
+const SNIPPET_LENGTH = 160;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function escapeHtml(s) {
+  return s.replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+//search terms from a free-text query, ignoring quotes and negations
+export function queryTerms(q) {
+  return [...new Set(
+    String(q || "")
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(t => t && !t.startsWith("-"))
+      .map(t => t.replace(/[^\p{L}\p{N}]/gu, ""))
+      .filter(t => t.length >= 2)
+  )];
+}
+
+/**
+ * HTML-escaped excerpt of `text` with matching words wrapped in <mark>.
+ * Matches on word prefixes so stemmed $text hits ("cuts" for "cut") still light up.
+ * Returns null when nothing matches.
+ */
+export function highlight(text, terms, length = SNIPPET_LENGTH) {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(`\\b(${terms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`, "giu");
+  const first = text.search(pattern);
+  if (first === -1) return null;
+
+  //center the window on the first hit
+  let start = 0;
+  let end = text.length;
+  if (text.length > length) {
+    start = Math.max(0, first - Math.floor(length / 3));
+    end = Math.min(text.length, start + length);
+  }
+
+  const excerpt = text.slice(start, end);
+  let out = "";
+  let last = 0;
+  for (const m of excerpt.matchAll(pattern)) {
+    out += escapeHtml(excerpt.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  out += escapeHtml(excerpt.slice(last));
+
+  return (start > 0 ? "…" : "") + out + (end < text.length ? "…" : "");
+}
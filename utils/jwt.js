@@ -0,0 +1,36 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+//minimal HS256 JSON Web Tokens; only tokens we signed ourselves are ever accepted
+
+const HEADER = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString("base64url");
+
+function signature(data, secret) {
+  return createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+//payload plus iat/exp (seconds since epoch)
+export function signJwt(payload, secret, ttlMs) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(JSON.stringify({ ...payload, iat: now, exp: now + Math.floor(ttlMs / 1000) })).toString("base64url");
+  return `${HEADER}.${body}.${signature(`${HEADER}.${body}`, secret)}`;
+}
+
+//payload of a well-formed, correctly signed, unexpired token; null otherwise
+export function verifyJwt(token, secret) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+  const [header, body, given] = parts;
+
+  const expected = Buffer.from(signature(`${header}.${body}`, secret));
+  const provided = Buffer.from(given);
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url").toString()).alg !== "HS256") return null;
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (typeof payload.exp !== "number" || payload.exp <= Date.now() / 1000) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,80 @@
+//opaque keyset cursors shared by the list endpoints
+//a cursor holds the sort-field values of the last item on the previous page
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+export function parseLimit(value) {
+  if (value === undefined || value === "") return DEFAULT_PAGE_SIZE;
+  const limit = parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1) return null;
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+//"true"/"1" -> true, "false"/"0" -> false, missing -> undefined, anything else -> null
+export function parseBoolean(value) {
+  if (value === undefined || value === "") return undefined;
+  if (value === "true" || value === "1") return true;
+  if (value === "false" || value === "0") return false;
+  return null;
+}
+
+//sort is a list of [field, 1 | -1]; _id is always appended as the tie-breaker
+export function withTieBreaker(sort) {
+  return [...sort, ["_id", 1]];
+}
+
+export function encodeCursor(doc, sort) {
+  const values = sort.map(([field]) => {
+    const value = doc[field];
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value && value._bsontype === "ObjectId") return { $oid: value.toString() };
+    return value ?? null;
+  });
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+//returns the decoded values, or null when the cursor is malformed
+export function decodeCursor(cursor, sort, ObjectId) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Array.isArray(values) || values.length !== sort.length) return null;
+
+    return values.map((value) => {
+      if (value && value.$date) return new Date(value.$date);
+      if (value && value.$oid) return new ObjectId(value.$oid);
+      return value;
+    });
+  } catch {
+    return null;
+  }
+}
+
+//aggregation $match selecting documents strictly after the cursor position
+//uses $expr so mixed BSON types compare the same way $sort orders them
+export function keysetMatch(sort, values) {
+  const branches = sort.map(([field, dir], i) => {
+    const equalPrefix = sort.slice(0, i).map(([prev], j) => ({ $eq: [`$${prev}`, { $literal: values[j] }] }));
+    const beyond = { [dir === 1 ? "$gt" : "$lt"]: [`$${field}`, { $literal: values[i] }] };
+    return { $and: [...equalPrefix, beyond] };
+  });
+  return { $match: { $expr: { $or: branches } } };
+}
+
+export function sortStage(sort) {
+  return { $sort: Object.fromEntries(sort) };
+}
+
+//trim the limit+1 lookahead row and build the next cursor
+export function toPage(docs, limit, sort) {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore ? encodeCursor(items[items.length - 1], sort) : null;
+  return { items, nextCursor };
+}
+
+//next-page cursor travels in a response header so list bodies stay plain arrays
+export function sendPage(res, { items, nextCursor }) {
+  if (nextCursor) res.set("X-Next-Cursor", nextCursor);
+  res.json(items);
+}
@@ -0,0 +1,36 @@
+const MAX_KEYS = 10000;
+
+/**
+ * In-memory fixed-window attempt counter per key. Counts are per process,
+ * so every server instance throttles on its own. hit(key) counts an attempt
+ * and returns 0 while the key is within `limit` for the current window, else
+ * the ms until the window resets.
+ */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  //drop finished windows once enough keys pile up
+  function prune(now) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      if (windows.size >= MAX_KEYS) prune(now);
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+      return window.count > limit ? window.resetAt - now : 0;
+    },
+    reset(key) {
+      windows.delete(key);
+    },
+  };
+}
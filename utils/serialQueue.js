@@ -0,0 +1,34 @@
+//runs handler on pushed items one at a time, in order; push() returns immediately
+//errors go to onError so one bad item doesn't stop the rest
+export function createSerialQueue(handler, onError) {
+  const items = [];
+  let draining = null;
+
+  function drain() {
+    if (draining) return;
+    draining = (async () => {
+      while (items.length) {
+        const item = items.shift();
+        try {
+          await handler(item);
+        } catch (err) {
+          onError(err, item);
+        }
+      }
+    })().finally(() => {
+      draining = null;
+      if (items.length) drain();
+    });
+  }
+
+  return {
+    push(item) {
+      items.push(item);
+      drain();
+    },
+    //resolves once everything pushed so far has been handled
+    async flush() {
+      while (draining) await draining;
+    },
+  };
+}
@@ -0,0 +1,29 @@
+//units accepted by $dateTrunc for each history resolution
+export const RESOLUTION_UNITS = {
+  "1m": "minute",
+  "1h": "hour",
+  "1d": "day",
+};
+
+//parse a date query param (ISO string or epoch ms); returns null when missing, undefined when invalid
+export function parseDateParam(value) {
+  if (value === undefined || value === "") return null;
+
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+//parse a duration like "30m", "24h", "7d" or "2w" into milliseconds; null when invalid
+export function parseDuration(value) {
+  const match = /^(\d+)([mhdw])$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const ms = Number(match[1]) * DURATION_UNITS[match[2]];
+  return ms > 0 ? ms : null;
+}
@@ -0,0 +1,72 @@
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+
+//loopback, private, link-local, CGNAT, unspecified, multicast and reserved ranges;
+//BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 rules
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) BLOCKED.addSubnet(prefix, bits, "ipv4");
+for (const [prefix, bits] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) BLOCKED.addSubnet(prefix, bits, "ipv6");
+
+//the resolved address of a URL's host is loopback or private
+export class PrivateAddressError extends Error {
+  constructor(hostname, address) {
+    super(`${hostname} resolves to non-public address ${address}`);
+    this.name = "PrivateAddressError";
+    this.code = "ERR_PRIVATE_ADDRESS";
+  }
+}
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+//http(s) URL whose host isn't localhost or a non-public IP literal; keeps
+//user-supplied URLs from pointing the server at internal hosts. DNS names
+//are only checked once resolved, by publicLookup on the request itself.
+export function isPublicHttpUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return false;
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return isPublicAddress(host);
+  return !(host === "localhost" || host.endsWith(".localhost") || host.endsWith(".local") || host.endsWith(".internal"));
+}
+
+/**
+ * dns.lookup replacement for outgoing sockets: fails with PrivateAddressError
+ * when any address the host resolves to is non-public, so the connection can
+ * only be made to an address that was checked (no re-resolve in between).
+ */
+export function publicLookup(hostname, options, callback) {
+  if (typeof options === "function") [callback, options] = [options, {}];
+  if (typeof options === "number") options = { family: options };
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => !isPublicAddress(a.address));
+    if (blocked) return callback(new PrivateAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+//axios config for requests to user-supplied URLs; pair with isPublicHttpUrl,
+//since sockets to IP literals skip the lookup
+export const publicOnlyAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};